@@ -0,0 +1,7 @@
+/**
+ * Jest setup: environment the specs run with.
+ * Only errors are logged, and session tokens are signed with a fixed test secret.
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'test-session-secret';
+process.env.AWS_SDK_JS_SUPPRESS_MAINTENANCE_MODE_MESSAGE = '1';
@@ -9,7 +9,7 @@ const APP_CONFIG = {
   DEFAULT_REGION: 'eu-central-1',
   CACHE_TTL: 200000, // 20 seconds
   REQUEST_TIMEOUT: 5000, // 5 seconds
-  GUESS_RESOLUTION_DELAY: 60000, // 60 seconds (1 minute)
+  GUESS_CANCEL_WINDOW: 5000, // 5 seconds after creation during which a guess can be cancelled
 };
 
 // EventBridge Configuration
@@ -20,16 +20,30 @@ const EVENTBRIDGE_CONFIG = {
   },
 };
 
+// EventBridge Scheduler Configuration
+const SCHEDULER_CONFIG = {
+  GROUP_NAME: 'default',
+  SCHEDULE_NAME_PREFIX: 'resolve-guess-',
+  LOCAL_POLL_INTERVAL: 1000, // Offline mode: how often the local scheduler checks for due jobs
+};
+
 // DynamoDB Table Names (will be set from environment variables)
 const TABLE_NAMES = {
   PLAYERS: process.env.PLAYERS_TABLE,
   GUESSES: process.env.GUESSES_TABLE,
+  PRICE_HISTORY: process.env.PRICE_HISTORY_TABLE,
+  LEADERBOARD: process.env.LEADERBOARD_TABLE,
+  PLAYER_STATS: process.env.PLAYER_STATS_TABLE,
+  ACCOUNTS: process.env.ACCOUNTS_TABLE,
+  SCHEDULED_JOBS: process.env.SCHEDULED_JOBS_TABLE, // Only used by the local scheduler in offline mode
 };
 
 // DynamoDB Index Names
 const INDEX_NAMES = {
   PLAYER_GUESSES: 'PlayerGuessesIndex',
   PLAYER_TIME: 'PlayerTimeIndex',
+  ACTIVE_RESOLVE_AT: 'ActiveResolveAtIndex',
+  LEADERBOARD: 'LeaderboardIndex',
 };
 
 // Guess Status Constants
@@ -37,6 +51,9 @@ const GUESS_STATUS = {
   ACTIVE: 'ACTIVE',
   WON: 'WON',
   LOST: 'LOST',
+  CANCELLED: 'CANCELLED',
+  PUSH: 'PUSH', // Price stayed within the push epsilon of the entry price; the score is unchanged
+  VOID: 'VOID', // No price as of resolveAt could be found; the score is unchanged and any stake released
 };
 
 // Guess Direction Constants
@@ -45,10 +62,142 @@ const GUESS_DIRECTION = {
   DOWN: 'down',
 };
 
-// Score Changes
+// Guess Types (stored as guessType; guesses without one are up/down guesses)
+const GUESS_TYPES = {
+  DIRECTION: 'direction', // Price will go up or down from the entry price (default)
+  TARGET: 'target', // Price will be above or below a target price
+  RANGE: 'range', // Price will land in the bucket [rangeLow, rangeHigh)
+  PERCENT_MOVE: 'percent', // Price will move by a predicted percentage, scored by accuracy
+};
+
+// Target Guess Conditions
+const TARGET_CONDITIONS = {
+  ABOVE: 'above',
+  BELOW: 'below',
+};
+
+// Prediction Rules for target, range and percent-move guesses
+const PREDICTION_RULES = {
+  MAX_RANGE_WIDTH_PERCENT: 1, // A range bucket may span at most this share of the entry price
+  MAX_CHANGE_PERCENT: 50, // Largest predicted move accepted for percent-move guesses
+  PERCENT_MOVE: {
+    MAX_POINTS: 3, // Points for an exact prediction (multiplied by the timeframe multiplier)
+  },
+};
+
+// Guess Resolution Modes
+const RESOLUTION_MODES = {
+  SCHEDULER: 'scheduler', // One EventBridge Scheduler entry and invocation per guess
+  BATCH: 'batch', // A per-minute resolver fetches one price per bucket and resolves every due guess
+};
+
+// Guess Resolution Configuration
+const RESOLUTION_CONFIG = {
+  MODE: process.env.RESOLUTION_MODE === RESOLUTION_MODES.BATCH ? RESOLUTION_MODES.BATCH : RESOLUTION_MODES.SCHEDULER,
+  BATCH_BUCKET_SIZE: 60000, // In batch mode resolveAt is rounded up to a whole minute so guesses share a price
+  BATCH_SIZE: 1000, // Maximum due guesses resolved per batch run
+  TRANSACTION_ATTEMPTS: 3, // Retries when the player's score changes during a resolution transaction
+  SWEEPER_GRACE_PERIOD: 120000, // 2 minutes past resolveAt before the sweeper takes over
+  SWEEPER_BATCH_SIZE: 100, // Maximum overdue guesses resolved per sweeper run
+  VOID_AFTER: 43200000, // 12 hours past resolveAt (the providers' 1-minute history) an unpriceable guess is voided
+};
+
+// Guess Resolution Outcomes
+const RESOLUTION_OUTCOMES = {
+  RESOLVED: 'RESOLVED',
+  ALREADY_RESOLVED: 'ALREADY_RESOLVED',
+  NOT_READY: 'NOT_READY',
+  DEFERRED: 'DEFERRED',
+  PRICE_UNAVAILABLE: 'PRICE_UNAVAILABLE',
+  VOIDED: 'VOIDED',
+};
+
+// Leaderboard Configuration
+const LEADERBOARD = {
+  PARTITION: 'GLOBAL', // Prefix of the leaderboard shards; unsharded partition of players ranked before sharding
+  SHARDS: 10, // Leaderboard partitions GLOBAL#0..GLOBAL#9 on player items and score histogram items, picked by player ID
+  SCORE_DIGITS: 12, // Zero-padding of scores in the rankKey sort key
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100,
+  HISTOGRAM_CACHE_TTL: 10000, // Score histogram reuse per container (10 seconds); ranks may lag by this much
+};
+
+// Guess History Configuration
+const GUESS_HISTORY = {
+  DEFAULT_LIMIT: 5, // Page size without a limit, as returned before the history was paginated
+  MAX_LIMIT: 100,
+  QUERY_PAGE_SIZE: 100, // Items evaluated per DynamoDB query while filling a filtered page
+  MAX_QUERY_PAGES: 5, // Queries per request; a filtered page still short after them is returned with a cursor
+};
+
+// Player Statistics Configuration
+const PLAYER_STATS = {
+  DAILY_PREFIX: 'DAY#', // Period sort key prefixes in the player stats table
+  WEEKLY_PREFIX: 'WEEK#',
+  DAILY_PERIODS: 30, // Number of most recent days returned by the stats endpoint
+  WEEKLY_PERIODS: 12, // Number of most recent ISO weeks returned by the stats endpoint
+};
+
+// Authentication Configuration
+const AUTH = {
+  SECRET_TOKEN_BYTES: 32, // Random bytes in the secret token issued at player creation
+  SESSION_TTL: 3600000, // Session tokens expire after 1 hour
+  SCHEME: 'Bearer', // Authorization header scheme for session tokens
+};
+
+// Registered Account Configuration
+const ACCOUNTS = {
+  EMAIL_PREFIX: 'email#', // Login lookup keys in the accounts table, e.g. "email#player@example.com"
+  USERNAME_PREFIX: 'username#',
+  PASSWORD_HASH: {
+    ALGORITHM: 'scrypt',
+    COST: 16384, // scrypt N
+    BLOCK_SIZE: 8, // scrypt r
+    PARALLELIZATION: 1, // scrypt p
+    KEY_LENGTH: 64,
+    SALT_BYTES: 16,
+  },
+  MAX_FAILED_LOGINS: 5, // Wrong passwords in a row before password logins of the player are locked
+  LOGIN_LOCKOUT: 900000, // Password logins stay locked for 15 minutes
+  CLAIM_CODE_TTL: 604800000, // Claim codes of players created before authentication are valid for 7 days
+};
+
+// Score Changes (multiplied by the guess timeframe's multiplier)
 const SCORE_CHANGES = {
   WIN: 1,
   LOSS: -1,
+  PUSH: 0,
+};
+
+// Units in which the push epsilon is expressed
+const PUSH_EPSILON_UNITS = {
+  PRICE: 'price', // Absolute price difference, e.g. 0.5 = 50 cents
+  BPS: 'bps', // Basis points of the entry price, e.g. 1 = 0.01%
+};
+
+// Push (tie) Configuration: a guess resolves as PUSH when |resolvePrice - entryPrice| <= epsilon
+const PUSH_CONFIG = {
+  EPSILON_UNIT: process.env.PUSH_EPSILON_UNIT === PUSH_EPSILON_UNITS.BPS ? PUSH_EPSILON_UNITS.BPS : PUSH_EPSILON_UNITS.PRICE,
+  EPSILON: Math.max(Number(process.env.PUSH_EPSILON) || 0, 0), // 0 = only an unchanged price is a push
+};
+
+// Wager Configuration
+const WAGER = {
+  MAX_STAKE_PERCENT: 50, // A stake may be at most this share of the player's available (unreserved) score
+};
+
+// Guess Timeframes: how long after creation a guess resolves and how much it is worth.
+// PERCENT_TOLERANCE is the distance from the actual move (in percentage points) at which percent-move
+// guesses stop scoring: half the typical (1 sigma) move over the timeframe at ~3% daily volatility,
+// so predicting "no move" does not pay on average
+const GUESS_TIMEFRAMES = {
+  DEFAULT: '1m', // Used when no timeframe is given, and for guesses created before timeframes existed
+  CATALOGUE: {
+    '1m': { DURATION: 60000, MULTIPLIER: 1, PERCENT_TOLERANCE: 0.04 },
+    '5m': { DURATION: 300000, MULTIPLIER: 2, PERCENT_TOLERANCE: 0.09 },
+    '15m': { DURATION: 900000, MULTIPLIER: 3, PERCENT_TOLERANCE: 0.15 },
+    '1h': { DURATION: 3600000, MULTIPLIER: 5, PERCENT_TOLERANCE: 0.3 },
+  },
 };
 
 // API Response Messages
@@ -56,7 +205,13 @@ const RESPONSE_MESSAGES = {
   GUESS_RECORDED: 'Guess recorded',
   GUESS_RESOLVED: 'Guess resolved',
   GUESS_ALREADY_RESOLVED: 'Guess already resolved',
+  GUESS_RESOLUTION_DEFERRED: 'Guess resolution deferred until a price is available',
+  GUESS_CANCELLED: 'Guess cancelled',
   PLAYER_CREATED: 'Player created successfully',
+  PLAYER_CLAIMED: 'Player claimed',
+  ACCOUNT_REGISTERED: 'Account registered',
+  PASSWORD_CHANGED: 'Password changed',
+  CURRENCY_UPDATED: 'Currency updated',
 };
 
 // Error Messages
@@ -65,8 +220,28 @@ const ERROR_MESSAGES = {
   PLAYER_NOT_FOUND: 'Player not found',
   GUESS_NOT_FOUND: 'Guess not found',
   ACTIVE_GUESS_EXISTS: 'Player already has an active guess',
+  GUESS_NOT_READY: 'Guess cannot be resolved before its resolveAt time',
+  GUESS_NOT_ACTIVE: 'Only active guesses can be cancelled',
+  GUESS_ALREADY_RESOLVED: 'Guess has already been resolved',
+  CANCEL_WINDOW_EXPIRED: 'The cancellation window for this guess has expired',
   UNAUTHORIZED: 'Unauthorized access',
+  INVALID_CREDENTIALS: 'Invalid player ID or token',
+  INVALID_SESSION: 'Missing, invalid or expired session token',
+  INVALID_LOGIN: 'Invalid login or password',
+  INVALID_PASSWORD: 'Current password is incorrect',
+  INVALID_CLAIM_CODE: 'Invalid player ID or claim code',
+  TOO_MANY_LOGIN_ATTEMPTS: 'Too many failed login attempts, please try again later',
+  ACCOUNT_ALREADY_REGISTERED: 'Player already has a registered account',
+  PLAYER_ALREADY_CLAIMED: 'Player already has a secret token or a registered account',
+  ACCOUNT_NOT_REGISTERED: 'Player has no registered account',
+  EMAIL_TAKEN: 'Email is already registered',
+  USERNAME_TAKEN: 'Username is already registered',
+  STAKE_UNAVAILABLE: 'Score changed while reserving the stake, please retry',
+  STAKE_NOT_SUPPORTED: 'Stakes are not supported for percent-move guesses',
   DATABASE_ERROR: 'Database error occurred',
+  DATABASE_BUSY: 'Database is busy, please retry',
+  CONFLICT_ERROR: 'The request conflicted with a concurrent update, please retry',
+  INVALID_CURSOR: 'Invalid cursor',
   PRICE_FETCH_ERROR: 'Failed to fetch Bitcoin price',
   INTERNAL_ERROR: 'Internal server error',
   INVALID_JSON: 'Invalid JSON in request body',
@@ -80,7 +255,23 @@ const ERROR_CODES = {
   PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
   GUESS_NOT_FOUND: 'GUESS_NOT_FOUND',
   ACTIVE_GUESS_EXISTS: 'ACTIVE_GUESS_EXISTS',
+  GUESS_NOT_READY: 'GUESS_NOT_READY',
+  GUESS_ALREADY_RESOLVED: 'GUESS_ALREADY_RESOLVED',
+  GUESS_NOT_ACTIVE: 'GUESS_NOT_ACTIVE',
+  CANCEL_WINDOW_EXPIRED: 'CANCEL_WINDOW_EXPIRED',
+  MISSING_GUESS_ID: 'MISSING_GUESS_ID',
+  INVALID_GUESS_ID: 'INVALID_GUESS_ID',
+  INVALID_CURSOR: 'INVALID_CURSOR',
   UNAUTHORIZED: 'UNAUTHORIZED',
+  TOO_MANY_LOGIN_ATTEMPTS: 'TOO_MANY_LOGIN_ATTEMPTS',
+  ACCOUNT_ALREADY_REGISTERED: 'ACCOUNT_ALREADY_REGISTERED',
+  PLAYER_ALREADY_CLAIMED: 'PLAYER_ALREADY_CLAIMED',
+  ACCOUNT_NOT_REGISTERED: 'ACCOUNT_NOT_REGISTERED',
+  EMAIL_TAKEN: 'EMAIL_TAKEN',
+  USERNAME_TAKEN: 'USERNAME_TAKEN',
+  INVALID_STAKE: 'INVALID_STAKE',
+  STAKE_UNAVAILABLE: 'STAKE_UNAVAILABLE',
+  INVALID_PREDICTION: 'INVALID_PREDICTION',
   DATABASE_ERROR: 'DATABASE_ERROR',
   PRICE_FETCH_ERROR: 'PRICE_FETCH_ERROR',
   INTERNAL_ERROR: 'INTERNAL_ERROR',
@@ -103,14 +294,100 @@ const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  TOO_MANY_REQUESTS: 429,
   INTERNAL_SERVER_ERROR: 500,
+  SERVICE_UNAVAILABLE: 503,
 };
 
 // Bitcoin API Configuration
 const BITCOIN_API = {
-  COINGECKO_URL: 'https://api.coingecko.com/api/v3/simple/price?ids=bitcoin&vs_currencies=usd',
-  FALLBACK_PRICE_MIN: 45000,
-  FALLBACK_PRICE_MAX: 55000,
+  COINGECKO_URL: 'https://api.coingecko.com/api/v3/simple/price', // ?ids=<COINGECKO_ID>&vs_currencies=<currency>
+  COINBASE_URL: 'https://api.coinbase.com/v2/prices', // /<ASSET>-<CURRENCY>/spot
+  KRAKEN_URL: 'https://api.kraken.com/0/public/Ticker', // ?pair=<KRAKEN_CODE><CURRENCY>
+  BITSTAMP_URL: 'https://www.bitstamp.net/api/v2/ticker', // /<asset><currency>/
+  COINGECKO_RANGE_URL: 'https://api.coingecko.com/api/v3/coins', // /<COINGECKO_ID>/market_chart/range?vs_currency=<currency>
+  COINBASE_CANDLES_URL: 'https://api.exchange.coinbase.com/products', // /<ASSET>-<CURRENCY>/candles?granularity=60
+  KRAKEN_OHLC_URL: 'https://api.kraken.com/0/public/OHLC', // ?pair=<KRAKEN_CODE><CURRENCY>&interval=1
+  BITSTAMP_OHLC_URL: 'https://www.bitstamp.net/api/v2/ohlc', // /<asset><currency>/?step=60&limit=1000
+};
+
+// Quote Currencies prices can be requested and guesses made in
+const CURRENCIES = {
+  DEFAULT: 'USD', // Used for players without a currency preference, and for guesses created before currencies existed
+  SUPPORTED: ['USD', 'EUR', 'GBP'],
+};
+
+// Supported Assets: provider identifiers and the USD price the simulated random walk starts from
+const ASSETS = {
+  DEFAULT: 'BTC', // Used when no asset is given, and for guesses created before assets existed
+  CATALOGUE: {
+    BTC: { NAME: 'Bitcoin', COINGECKO_ID: 'bitcoin', KRAKEN_CODE: 'XBT', SIMULATOR_BASE_PRICE: 50000 },
+    ETH: { NAME: 'Ethereum', COINGECKO_ID: 'ethereum', KRAKEN_CODE: 'ETH', SIMULATOR_BASE_PRICE: 3000 },
+    SOL: { NAME: 'Solana', COINGECKO_ID: 'solana', KRAKEN_CODE: 'SOL', SIMULATOR_BASE_PRICE: 150 },
+  },
+};
+
+// Price Oracle Configuration
+const PRICE_ORACLE = {
+  PROVIDERS: ['coingecko', 'coinbase', 'kraken', 'bitstamp'],
+  MIN_SOURCES: 2, // Minimum number of agreeing providers required for a price
+  MAX_DEVIATION_PERCENT: 1, // Quotes further than this from the median are dropped as outliers
+  HISTORICAL_TOLERANCE: 60000, // Historical points must be within 1 minute (one candle) of the target time
+};
+
+// Resolution Price Lookup Configuration
+const RESOLUTION_PRICE = {
+  TICK_TOLERANCE: 15000, // Stored ticks within 15 seconds of resolveAt are used directly
+  LIVE_TOLERANCE: 15000, // A live price is used when resolving within 15 seconds of resolveAt
+};
+
+// Price Unavailable Policy
+const PRICE_POLICY = {
+  MOCK_SOURCE: 'mock', // Price source recorded when a simulated price stands in for an unavailable real price
+  RESOLVE_RETRY_DELAY: 30000, // 30 seconds between deferred resolution attempts
+  MAX_RESOLVE_RETRIES: 10,
+};
+
+// Price Sources: where current and historical prices come from
+const PRICE_SOURCES = {
+  ORACLE: 'oracle', // Real prices from the multi-source price oracle
+  SIMULATOR: 'simulator', // Seeded random walk, deterministic for a given seed (dev and tests)
+  REPLAY: 'replay', // Recorded price series played back from a CSV or JSON file (dev and tests)
+};
+
+// Price Simulation Configuration (simulator and replay price sources)
+const PRICE_SIMULATION = {
+  // Simulated sources are only honoured in stages allowed to use mock prices; everywhere else real prices are used
+  SOURCE: process.env.ALLOW_MOCK_PRICE === 'true' && Object.values(PRICE_SOURCES).includes(process.env.PRICE_SOURCE)
+    ? process.env.PRICE_SOURCE
+    : PRICE_SOURCES.ORACLE,
+  SEED: process.env.PRICE_SIMULATOR_SEED || 'bitcoin-guess-predictor',
+  DRIFT: Number(process.env.PRICE_SIMULATOR_DRIFT) || 0, // Mean log return per step
+  VOLATILITY: process.env.PRICE_SIMULATOR_VOLATILITY // Standard deviation of the log return per step (default: about 3% a day)
+    ? Math.max(Number(process.env.PRICE_SIMULATOR_VOLATILITY) || 0, 0)
+    : 0.0001,
+  STEP: 1000, // The walk moves once per second
+  EPOCH: Date.parse('2024-01-01T00:00:00Z'), // The walk starts from SIMULATOR_BASE_PRICE at this time
+  MAX_CACHED_DAYS: 8, // Intraday paths kept in memory per process
+  FX_RATES: { USD: 1, EUR: 0.92, GBP: 0.79 }, // Fixed conversion of simulated USD prices
+  REPLAY_FILE: process.env.PRICE_REPLAY_FILE, // CSV (timestamp,price[,asset[,currency]]) or JSON array of rows
+  REPLAY_START: process.env.PRICE_REPLAY_START, // Wall-clock time the first row plays at (default: rows play at their own timestamps)
+};
+
+// Price History Configuration
+const PRICE_HISTORY = {
+  RETENTION_DAYS: 30, // Ticks expire via DynamoDB TTL after this many days
+  DEFAULT_RANGE: 3600000, // 1 hour when "from" is omitted
+  RAW_INTERVAL: 'raw',
+  INTERVALS: {
+    '1m': 60000,
+    '5m': 300000,
+    '15m': 900000,
+    '1h': 3600000,
+    '1d': 86400000,
+  },
+  MAX_RAW_RANGE: 86400000, // 1 day of raw ticks per request
+  MAX_CANDLE_RANGE: 2592000000, // 30 days of candles per request
 };
 
 // Validation Rules
@@ -119,6 +396,48 @@ const VALIDATION_RULES = {
     MIN_LENGTH: 2,
     MAX_LENGTH: 50,
   },
+  EMAIL: {
+    MAX_LENGTH: 254,
+  },
+  USERNAME: {
+    MIN_LENGTH: 3,
+    MAX_LENGTH: 30,
+    PATTERN: /^[a-zA-Z0-9_.-]+$/,
+  },
+  PASSWORD: {
+    MIN_LENGTH: 8,
+    MAX_LENGTH: 128,
+  },
+};
+
+// Structured Logging Configuration
+const LOGGING = {
+  LEVEL: (process.env.LOG_LEVEL || 'info').toLowerCase(), // Lowest level written, set per stage in serverless.yml
+  LEVELS: {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+  },
+  CORRELATION_HEADER: 'x-correlation-id', // Incoming header reused as the correlation ID (otherwise the request ID is used)
+  REDACTED: '[REDACTED]',
+  // Field names (case-insensitive) whose values never reach the logs: credentials and player identity
+  REDACTED_KEYS: [
+    'authorization',
+    'cookie',
+    'x-api-key',
+    'token',
+    'sessiontoken',
+    'password',
+    'currentpassword',
+    'newpassword',
+    'passwordhash',
+    'tokenhash',
+    'name',
+    'username',
+    'email',
+    'sourceip',
+  ],
 };
 
 // Environment Variables
@@ -126,21 +445,49 @@ const ENV = {
   STAGE: process.env.STAGE || 'prod',
   AWS_REGION: process.env.AWS_REGION || APP_CONFIG.DEFAULT_REGION,
   IS_OFFLINE: process.env.IS_OFFLINE,
+  ALLOW_MOCK_PRICE: process.env.ALLOW_MOCK_PRICE === 'true', // Only set for flagged dev stages
+  SESSION_SECRET: process.env.SESSION_SECRET, // HMAC key for session tokens (local runs and tests)
+  SESSION_SECRET_PARAMETER: process.env.SESSION_SECRET_PARAMETER, // SSM SecureString parameter holding the HMAC key otherwise
 };
 
 module.exports = {
   APP_CONFIG,
   EVENTBRIDGE_CONFIG,
+  SCHEDULER_CONFIG,
   TABLE_NAMES,
   INDEX_NAMES,
   GUESS_STATUS,
   GUESS_DIRECTION,
+  GUESS_TYPES,
+  TARGET_CONDITIONS,
+  PREDICTION_RULES,
+  RESOLUTION_MODES,
+  RESOLUTION_CONFIG,
+  RESOLUTION_OUTCOMES,
+  LEADERBOARD,
+  GUESS_HISTORY,
+  PLAYER_STATS,
+  AUTH,
+  ACCOUNTS,
   SCORE_CHANGES,
+  PUSH_EPSILON_UNITS,
+  PUSH_CONFIG,
+  GUESS_TIMEFRAMES,
+  WAGER,
   RESPONSE_MESSAGES,
   ERROR_MESSAGES,
   ERROR_CODES,
   HTTP_STATUS,
   BITCOIN_API,
+  ASSETS,
+  CURRENCIES,
+  PRICE_ORACLE,
+  PRICE_POLICY,
+  PRICE_SOURCES,
+  PRICE_SIMULATION,
+  PRICE_HISTORY,
+  RESOLUTION_PRICE,
   VALIDATION_RULES,
+  LOGGING,
   ENV,
 };
@@ -0,0 +1,85 @@
+const { getDefaultRepository } = require('../repositories');
+const { getBitcoinPriceAt } = require('../utils/bitcoin');
+const { resolveActiveGuess } = require('../utils/resolution');
+const clock = require('../utils/clock');
+const { logger, withLogContext } = require('../utils/logger');
+const { RESOLUTION_CONFIG, RESOLUTION_OUTCOMES, ASSETS, CURRENCIES, ERROR_CODES } = require('../config/constants');
+
+/**
+ * Lambda handler for batch guess resolution
+ * Triggered every minute when RESOLUTION_MODE is "batch". Finds every ACTIVE guess whose resolveAt
+ * has passed, fetches the price once per asset, currency and resolveAt bucket and resolves all guesses in the
+ * bucket against it through the same logic as resolveGuess.
+ * The most recently due guesses are read first, so guesses that stay unpriceable run after run cannot
+ * fill RESOLUTION_CONFIG.BATCH_SIZE and hold back fresh buckets; the sweeper resolves or voids them.
+ * Output: { "found": number, "buckets": number, "resolved": number, "alreadyResolved": number, "deferred": number, "failed": number }
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player, guess and price tick repository (default: DynamoDB)
+ * @returns {Function} - Lambda handler
+ */
+const createHandler = ({ repository = getDefaultRepository() } = {}) => withLogContext('Batch Resolve Guesses', async () => {
+  const dueGuesses = await repository.getOverdueActiveGuesses(new Date(clock.now()).toISOString(), RESOLUTION_CONFIG.BATCH_SIZE, { newestFirst: true });
+
+  // Group guesses by asset, currency and resolveAt; in batch mode resolveAt is rounded to the bucket boundary
+  const buckets = new Map();
+  dueGuesses.forEach((guess) => {
+    const asset = guess.asset || ASSETS.DEFAULT;
+    const currency = guess.currency || CURRENCIES.DEFAULT;
+    const bucketKey = `${asset}-${currency}#${guess.resolveAt}`;
+    const bucket = buckets.get(bucketKey) || { asset, currency, resolveAt: guess.resolveAt, guesses: [] };
+    bucket.guesses.push(guess);
+    buckets.set(bucketKey, bucket);
+  });
+
+  const report = {
+    found: dueGuesses.length,
+    buckets: buckets.size,
+    resolved: 0,
+    alreadyResolved: 0,
+    deferred: 0,
+    failed: 0
+  };
+
+  for (const { asset, currency, resolveAt, guesses: bucketGuesses } of buckets.values()) {
+    // Fetch the price once for the whole bucket
+    let priceData;
+    try {
+      priceData = await getBitcoinPriceAt(new Date(resolveAt).getTime(), asset, currency, { repository });
+    } catch (priceError) {
+      if (priceError.code !== ERROR_CODES.PRICE_FETCH_ERROR) {
+        report.failed += bucketGuesses.length;
+        logger.error('Failed to fetch bucket price', { asset, currency, resolveAt, error: priceError });
+        continue;
+      }
+
+      // No price available yet; the guesses stay ACTIVE and are retried on the next run
+      report.deferred += bucketGuesses.length;
+      logger.warn('Bucket resolution deferred, price unavailable', { asset, currency, resolveAt, guesses: bucketGuesses.length });
+      continue;
+    }
+
+    for (const guess of bucketGuesses) {
+      try {
+        const resolution = await resolveActiveGuess(guess, { priceData, repository });
+
+        if (resolution.outcome === RESOLUTION_OUTCOMES.RESOLVED) {
+          report.resolved += 1;
+        } else if (resolution.outcome === RESOLUTION_OUTCOMES.ALREADY_RESOLVED) {
+          report.alreadyResolved += 1;
+        } else {
+          report.deferred += 1;
+        }
+      } catch (error) {
+        report.failed += 1;
+        logger.error('Failed to resolve guess in batch', { playerId: guess.playerId, guessId: guess.guessId, error });
+      }
+    }
+  }
+
+  logger.info('Batch guess resolution completed', report);
+
+  return report;
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,86 @@
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { cancelGuessResolution } = require('../utils/eventbridge');
+const { formatGuessForResponse } = require('../utils/guess');
+const clock = require('../utils/clock');
+const { withMiddleware, uuidParam, authorize } = require('../utils/middleware');
+const { logger } = require('../utils/logger');
+const { ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const {
+  APP_CONFIG,
+  GUESS_STATUS,
+  RESOLUTION_MODES,
+  RESOLUTION_CONFIG,
+  RESPONSE_MESSAGES,
+  ERROR_MESSAGES,
+  ERROR_CODES,
+  HTTP_STATUS
+} = require('../config/constants');
+
+/**
+ * Lambda handler for cancelling an active guess within the grace window (a reserved stake is released)
+ * DELETE /api/guess/{guessId}?userId=uuid
+ * Headers: Authorization: Bearer <sessionToken>
+ * Response: { "message": "Guess cancelled", "guess": { ... } }
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player and guess repository (default: DynamoDB)
+ * @param {Object} dependencies.scheduler - Resolution scheduler backend (default: EventBridge Scheduler, or the local scheduler offline)
+ * @returns {Function} - Lambda handler
+ */
+const createHandler = ({ repository = getDefaultRepository(), scheduler } = {}) => withMiddleware(
+  { name: 'Cancel Guess' },
+  uuidParam('guessId'),
+  uuidParam('userId', 'query'),
+  // Only the player's own session may access their data
+  authorize(({ params }) => params.userId, { repository })
+)(async ({ params: { guessId, userId } }) => {
+  // Get the guess from DynamoDB
+  const guess = await repository.getGuessById(guessId);
+  if (!guess) {
+    throw new NotFoundError(ERROR_MESSAGES.GUESS_NOT_FOUND, ERROR_CODES.GUESS_NOT_FOUND);
+  }
+
+  // Check if guess belongs to the specified user
+  if (guess.playerId !== userId) {
+    throw new ForbiddenError();
+  }
+
+  if (guess.status !== GUESS_STATUS.ACTIVE) {
+    throw new ConflictError(ERROR_MESSAGES.GUESS_NOT_ACTIVE, ERROR_CODES.GUESS_NOT_ACTIVE);
+  }
+
+  // Cancel only within the grace window; the condition is re-checked atomically by DynamoDB
+  const createdAfter = new Date(clock.now() - APP_CONFIG.GUESS_CANCEL_WINDOW).toISOString();
+  if (guess.createdAt < createdAfter) {
+    throw new ConflictError(ERROR_MESSAGES.CANCEL_WINDOW_EXPIRED, ERROR_CODES.CANCEL_WINDOW_EXPIRED);
+  }
+
+  const cancelledGuess = await repository.cancelGuess(guess, createdAfter);
+  if (!cancelledGuess) {
+    // Resolved or cancelled concurrently, or the window expired between the read and the update
+    const currentGuess = await repository.getGuessById(guessId, true);
+    throw currentGuess && currentGuess.status !== GUESS_STATUS.ACTIVE
+      ? new ConflictError(ERROR_MESSAGES.GUESS_NOT_ACTIVE, ERROR_CODES.GUESS_NOT_ACTIVE)
+      : new ConflictError(ERROR_MESSAGES.CANCEL_WINDOW_EXPIRED, ERROR_CODES.CANCEL_WINDOW_EXPIRED);
+  }
+
+  // Remove the pending resolution schedule; if this fails the schedule finds the guess no longer ACTIVE
+  if (RESOLUTION_CONFIG.MODE === RESOLUTION_MODES.SCHEDULER) {
+    try {
+      await cancelGuessResolution(guessId, { attempt: guess.resolveAttempt || 0, scheduler });
+    } catch (scheduleError) {
+      logger.warn('Failed to delete resolution schedule of cancelled guess', scheduleError);
+    }
+  }
+
+  logger.info('Guess cancelled successfully');
+
+  // Return success response
+  return successResponse({
+    message: RESPONSE_MESSAGES.GUESS_CANCELLED,
+    guess: formatGuessForResponse(cancelledGuess)
+  }, HTTP_STATUS.OK);
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
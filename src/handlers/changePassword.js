@@ -0,0 +1,76 @@
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { validatePassword } = require('../utils/validation');
+const { hashPassword, verifyPasswordWithLockout, loadSessionSecret, createSessionToken } = require('../utils/auth');
+const { withMiddleware, jsonBody, uuidParam, authorize } = require('../utils/middleware');
+const { logger } = require('../utils/logger');
+const { ValidationError, AuthenticationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { RESPONSE_MESSAGES, ERROR_MESSAGES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Lambda handler for changing a registered player's password
+ * POST /api/player/{userId}/password
+ * Headers: Authorization: Bearer <sessionToken>
+ * Body: { "currentPassword": "string", "newPassword": "string" }
+ * Response: { "message": "Password changed", "sessionToken": "string", "expiresAt": "timestamp" }
+ * Every session issued before the change is revoked; the response carries a new one for the caller
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player and guess repository (default: DynamoDB)
+ * @returns {Function} - Lambda handler
+ */
+const createHandler = ({ repository = getDefaultRepository() } = {}) => withMiddleware(
+  // The request body holds passwords and is never logged
+  { name: 'Change Password', logBody: false },
+  uuidParam('userId'),
+  // Only the player's own session may change their password
+  authorize(({ params }) => params.userId, { repository }),
+  jsonBody()
+)(async ({ params: { userId }, body }) => {
+  if (!body.currentPassword) {
+    throw new ValidationError('currentPassword is required');
+  }
+
+  const passwordValidation = validatePassword(body.newPassword);
+  if (!passwordValidation.isValid) {
+    throw new ValidationError(passwordValidation.error);
+  }
+
+  // Check if player exists and has a registered account
+  const player = await repository.getPlayerById(userId, true);
+  if (!player) {
+    throw new NotFoundError(ERROR_MESSAGES.PLAYER_NOT_FOUND, ERROR_CODES.PLAYER_NOT_FOUND);
+  }
+
+  if (!player.passwordHash) {
+    throw new ConflictError(ERROR_MESSAGES.ACCOUNT_NOT_REGISTERED, ERROR_CODES.ACCOUNT_NOT_REGISTERED);
+  }
+
+  // Wrong current passwords count towards the same lockout as password logins
+  if (!(await verifyPasswordWithLockout(player, body.currentPassword, repository))) {
+    throw new AuthenticationError(ERROR_MESSAGES.INVALID_PASSWORD);
+  }
+
+  // Load the session secret before the password is changed, so the caller always gets a new session
+  await loadSessionSecret();
+
+  // Conditional on the hash just verified, so a concurrent change cannot be overwritten
+  const updated = await repository.updatePlayerPassword(userId, player.passwordHash, await hashPassword(body.newPassword));
+  if (!updated) {
+    throw new AuthenticationError(ERROR_MESSAGES.INVALID_PASSWORD);
+  }
+
+  // Issued after passwordChangedAt, so it survives the revocation of the caller's current session
+  const session = createSessionToken(userId);
+
+  logger.info('Password changed successfully');
+
+  // Return success response
+  return successResponse({
+    message: RESPONSE_MESSAGES.PASSWORD_CHANGED,
+    sessionToken: session.sessionToken,
+    expiresAt: session.expiresAt
+  }, HTTP_STATUS.OK);
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
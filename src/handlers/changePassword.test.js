@@ -0,0 +1,71 @@
+const changePassword = require('./changePassword');
+const refreshSession = require('./refreshSession');
+const { createInMemoryRepository } = require('../repositories');
+const { hashPassword, createSessionToken } = require('../utils/auth');
+const { ACCOUNTS, ERROR_CODES } = require('../config/constants');
+
+const PLAYER_ID = '3f0c6a52-8d4e-4b8a-9a57-2f4f6d1f8c11';
+const PASSWORD = 'correct horse battery staple';
+
+const parse = (response) => ({ statusCode: response.statusCode, ...JSON.parse(response.body) });
+const httpEvent = (sessionToken, body) => ({
+  headers: { Authorization: `Bearer ${sessionToken}` },
+  pathParameters: { userId: PLAYER_ID },
+  body: JSON.stringify(body)
+});
+
+describe('changePassword', () => {
+  let repository;
+  let handlers;
+
+  beforeEach(async () => {
+    repository = createInMemoryRepository({ players: [
+      { playerId: PLAYER_ID, name: 'alice', score: 0, passwordHash: await hashPassword(PASSWORD) }
+    ] });
+    handlers = {
+      changePassword: changePassword.createHandler({ repository }),
+      refreshSession: refreshSession.createHandler({ repository })
+    };
+  });
+
+  it('revokes sessions issued before the change and returns a new one', async () => {
+    const issuedAt = Date.now() - 1000;
+    const { sessionToken } = createSessionToken(PLAYER_ID, issuedAt);
+    const otherDevice = createSessionToken(PLAYER_ID, issuedAt).sessionToken;
+
+    const changed = parse(await handlers.changePassword(httpEvent(sessionToken, {
+      currentPassword: PASSWORD,
+      newPassword: 'another long passphrase'
+    })));
+    expect(changed.statusCode).toBe(200);
+
+    const revoked = parse(await handlers.refreshSession(httpEvent(otherDevice)));
+    expect(revoked.statusCode).toBe(401);
+    expect(revoked.error.code).toBe(ERROR_CODES.UNAUTHORIZED);
+    expect(parse(await handlers.refreshSession(httpEvent(sessionToken))).statusCode).toBe(401);
+
+    expect(parse(await handlers.refreshSession(httpEvent(changed.data.sessionToken))).statusCode).toBe(200);
+  });
+
+  it('locks password changes after repeated wrong current passwords', async () => {
+    const { sessionToken } = createSessionToken(PLAYER_ID);
+    const change = async (currentPassword) => parse(await handlers.changePassword(httpEvent(sessionToken, {
+      currentPassword,
+      newPassword: 'another long passphrase'
+    })));
+
+    for (let attempt = 0; attempt < ACCOUNTS.MAX_FAILED_LOGINS; attempt++) {
+      expect((await change('wrong')).statusCode).toBe(401);
+    }
+
+    const locked = await change(PASSWORD);
+    expect(locked.statusCode).toBe(429);
+    expect(locked.error.code).toBe(ERROR_CODES.TOO_MANY_LOGIN_ATTEMPTS);
+  });
+
+  it('rejects sessions of players that no longer exist', async () => {
+    const { sessionToken } = createSessionToken('9b1d3c7e-2a4f-4e6b-8c0d-1e2f3a4b5c6d');
+
+    expect(parse(await handlers.refreshSession(httpEvent(sessionToken))).statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,64 @@
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { generateSecretToken, hashToken, verifySecretToken, loadSessionSecret, createSessionToken } = require('../utils/auth');
+const { withMiddleware, jsonBody, uuidParam } = require('../utils/middleware');
+const { logger } = require('../utils/logger');
+const clock = require('../utils/clock');
+const { ValidationError, AuthenticationError, ConflictError } = require('../utils/errors');
+const { RESPONSE_MESSAGES, ERROR_MESSAGES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Lambda handler for claiming a player created before authentication existed
+ * POST /api/auth/claim
+ * Body: { "playerId": "uuid", "claimCode": "string" } (one-time code issued out of band, see issueClaimCode)
+ * Response: { "message": "Player claimed", "playerId": "uuid", "token": "string", "sessionToken": "string", "sessionExpiresAt": "timestamp" }
+ * Issues the secret token such players never received, once, to whoever presents the player's
+ * unexpired claim code. Unknown players and missing, expired or wrong codes get 401 UNAUTHORIZED
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player and guess repository (default: DynamoDB)
+ * @returns {Function} - Lambda handler
+ */
+const createHandler = ({ repository = getDefaultRepository() } = {}) => withMiddleware(
+  // The request body holds the claim code and is never logged
+  { name: 'Claim Player', logBody: false },
+  jsonBody(),
+  uuidParam('playerId', 'body')
+)(async ({ params: { playerId }, body }) => {
+  if (typeof body.claimCode !== 'string' || !body.claimCode) {
+    throw new ValidationError('claimCode is required');
+  }
+
+  // Unknown players and missing, expired or wrong codes get the same response
+  const player = await repository.getPlayerById(playerId);
+  if (!player || !verifySecretToken(body.claimCode, player.claimCodeHash) ||
+      Date.parse(player.claimCodeExpiresAt) <= clock.now()) {
+    throw new AuthenticationError(ERROR_MESSAGES.INVALID_CLAIM_CODE);
+  }
+
+  // Load the session secret before the claim is written, so a failed load does not use up the claim
+  await loadSessionSecret();
+
+  // Issue the player's secret token; only its hash is stored. The write is conditioned on the player
+  // still having the code and no token or account, so the code is used once even by concurrent claims
+  const token = generateSecretToken();
+  const claimed = await repository.claimPlayerToken(playerId, hashToken(token), player.claimCodeHash);
+  if (!claimed) {
+    throw new ConflictError(ERROR_MESSAGES.PLAYER_ALREADY_CLAIMED, ERROR_CODES.PLAYER_ALREADY_CLAIMED);
+  }
+
+  const session = createSessionToken(playerId);
+
+  logger.info('Player claimed successfully');
+
+  // Return success response
+  return successResponse({
+    message: RESPONSE_MESSAGES.PLAYER_CLAIMED,
+    playerId,
+    token,
+    sessionToken: session.sessionToken,
+    sessionExpiresAt: session.expiresAt
+  }, HTTP_STATUS.OK);
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,64 @@
+const claimPlayer = require('./claimPlayer');
+const issueClaimCode = require('./issueClaimCode');
+const login = require('./login');
+const { createInMemoryRepository } = require('../repositories');
+const clock = require('../utils/clock');
+const { ACCOUNTS, ERROR_CODES } = require('../config/constants');
+
+const PLAYER_ID = '3f0c6a52-8d4e-4b8a-9a57-2f4f6d1f8c11';
+
+const parse = (response) => ({ statusCode: response.statusCode, ...JSON.parse(response.body) });
+
+describe('claiming a player created before authentication', () => {
+  let repository;
+  let handlers;
+
+  const claim = async (body) => parse(await handlers.claimPlayer({ body: JSON.stringify(body) }));
+
+  beforeEach(() => {
+    clock.setTime('2024-06-01T12:00:00.000Z');
+    repository = createInMemoryRepository({ players: [{ playerId: PLAYER_ID, name: 'alice', score: 0 }] });
+    handlers = {
+      claimPlayer: claimPlayer.createHandler({ repository }),
+      issueClaimCode: issueClaimCode.createHandler({ repository }),
+      login: login.createHandler({ repository })
+    };
+  });
+
+  afterEach(() => {
+    clock.useWallClock();
+  });
+
+  it('requires the claim code issued for the player', async () => {
+    expect((await claim({ playerId: PLAYER_ID })).statusCode).toBe(400);
+    expect((await claim({ playerId: PLAYER_ID, claimCode: 'guessed' })).statusCode).toBe(401);
+
+    const { claimCode } = await handlers.issueClaimCode({ playerId: PLAYER_ID });
+    const wrong = await claim({ playerId: PLAYER_ID, claimCode: 'guessed' });
+    expect(wrong.statusCode).toBe(401);
+    expect(wrong.error.code).toBe(ERROR_CODES.UNAUTHORIZED);
+
+    const claimed = await claim({ playerId: PLAYER_ID, claimCode });
+    expect(claimed.statusCode).toBe(200);
+    expect((await handlers.login({ body: JSON.stringify({ playerId: PLAYER_ID, token: claimed.data.token }) })).statusCode).toBe(200);
+
+    expect((await claim({ playerId: PLAYER_ID, claimCode })).statusCode).toBe(401);
+  });
+
+  it('refuses expired claim codes', async () => {
+    const { claimCode } = await handlers.issueClaimCode({ playerId: PLAYER_ID });
+    clock.advance(ACCOUNTS.CLAIM_CODE_TTL);
+
+    expect((await claim({ playerId: PLAYER_ID, claimCode })).statusCode).toBe(401);
+  });
+
+  it('issues no claim code to claimed or unknown players', async () => {
+    const { claimCode } = await handlers.issueClaimCode({ playerId: PLAYER_ID });
+    await claim({ playerId: PLAYER_ID, claimCode });
+
+    await expect(handlers.issueClaimCode({ playerId: PLAYER_ID }))
+      .rejects.toMatchObject({ code: ERROR_CODES.PLAYER_ALREADY_CLAIMED });
+    await expect(handlers.issueClaimCode({ playerId: '9b1d3c7e-2a4f-4e6b-8c0d-1e2f3a4b5c6d' }))
+      .rejects.toMatchObject({ code: ERROR_CODES.PLAYER_NOT_FOUND });
+  });
+});
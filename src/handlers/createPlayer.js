@@ -1,66 +1,83 @@
 const { v4: uuidv4 } = require('uuid');
-const { createPlayer } = require('../utils/dynamodb');
-const { successResponse, errorResponse } = require('../utils/response');
-const { validatePlayerName } = require('../utils/validation');
-const { ERROR_MESSAGES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { validatePlayerName, validateCurrency } = require('../utils/validation');
+const { buildLeaderboardAttributes } = require('../utils/leaderboard');
+const { generateSecretToken, hashToken, loadSessionSecret, createSessionToken } = require('../utils/auth');
+const { withMiddleware, jsonBody } = require('../utils/middleware');
+const { logger, addLogContext } = require('../utils/logger');
+const clock = require('../utils/clock');
+const { ValidationError } = require('../utils/errors');
+const { HTTP_STATUS } = require('../config/constants');
 
 /**
  * Lambda handler for creating a new player
  * POST /players
- * Body: { "name": "string" }
- * Response: { "playerId": "uuid", "name": "string", "score": 0, "createdAt": "timestamp" }
+ * Body: { "name": "string", "currency": "USD" | "EUR" | "GBP" (optional, default: USD) }
+ * Response: { "playerId": "uuid", "name": "string", "score": 0, "currency": "USD", "createdAt": "timestamp",
+ *             "token": "string", "sessionToken": "string", "sessionExpiresAt": "timestamp" }
+ * The secret token is only returned here; it is stored hashed and exchanged for sessions via POST /api/auth/login
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player and guess repository (default: DynamoDB)
+ * @returns {Function} - Lambda handler
  */
-exports.handler = async (event) => {
-  console.log('Create Player Event:', JSON.stringify(event, null, 2));
-
-  try {
-    // Parse request body
-    let body;
-    try {
-      body = JSON.parse(event.body || '{}');
-    } catch (parseError) {
-      console.error('Invalid JSON in request body:', parseError);
-      return errorResponse(ERROR_MESSAGES.INVALID_JSON, HTTP_STATUS.BAD_REQUEST);
-    }
+const createHandler = ({ repository = getDefaultRepository() } = {}) => withMiddleware(
+  { name: 'Create Player' },
+  jsonBody()
+)(async ({ body }) => {
+  // Validate player name
+  const nameValidation = validatePlayerName(body.name);
+  if (!nameValidation.isValid) {
+    throw new ValidationError(nameValidation.error);
+  }
 
-    // Validate player name
-    const nameValidation = validatePlayerName(body.name);
-    if (!nameValidation.isValid) {
-      return errorResponse(nameValidation.error, HTTP_STATUS.BAD_REQUEST, ERROR_CODES.VALIDATION_ERROR);
-    }
+  // Validate the preferred quote currency
+  const currencyValidation = validateCurrency(body.currency);
+  if (!currencyValidation.isValid) {
+    throw new ValidationError(currencyValidation.error);
+  }
 
-    // Create player object
-    const now = new Date().toISOString();
-    const player = {
-      playerId: uuidv4(),
-      name: nameValidation.trimmedName,
-      score: 0,
-      createdAt: now,
-      lastActive: now
-    };
+  // Load the session secret before the player is written, so a failed load leaves nothing behind
+  await loadSessionSecret();
 
-    // Save player to DynamoDB
-    const createdPlayer = await createPlayer(player);
+  // Issue the player's secret token; only its hash is stored
+  const token = generateSecretToken();
 
-    console.log('Player created successfully:', createdPlayer.playerId);
+  // Create player object
+  const now = new Date(clock.now()).toISOString();
+  const playerId = uuidv4();
+  const player = {
+    playerId,
+    name: nameValidation.trimmedName,
+    score: 0,
+    currency: currencyValidation.normalizedCurrency,
+    createdAt: now,
+    lastActive: now,
+    tokenHash: hashToken(token),
+    ...buildLeaderboardAttributes(playerId, 0, now)
+  };
 
-    // Return success response
-    return successResponse(createdPlayer, HTTP_STATUS.CREATED);
+  // Save player to DynamoDB (a duplicate playerId, very unlikely with UUID, is reported as CONFLICT_ERROR)
+  const createdPlayer = await repository.createPlayer(player);
 
-  } catch (error) {
-    console.error('Error creating player:', error);
+  addLogContext({ playerId: createdPlayer.playerId });
+  logger.info('Player created successfully');
 
-    // Handle DynamoDB conditional check failed (duplicate playerId - very unlikely with UUID)
-    if (error.code === 'ConditionalCheckFailedException') {
-      return errorResponse('Player creation failed due to conflict', HTTP_STATUS.CONFLICT, ERROR_CODES.CONFLICT_ERROR);
-    }
+  const session = createSessionToken(createdPlayer.playerId);
 
-    // Handle other DynamoDB errors
-    if (error.code && error.code.startsWith('Dynamo')) {
-      return errorResponse(ERROR_MESSAGES.DATABASE_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR, ERROR_CODES.DATABASE_ERROR);
-    }
+  // Return success response (leaderboard index attributes and the token hash are internal)
+  return successResponse({
+    playerId: createdPlayer.playerId,
+    name: createdPlayer.name,
+    score: createdPlayer.score,
+    currency: createdPlayer.currency,
+    createdAt: createdPlayer.createdAt,
+    lastActive: createdPlayer.lastActive,
+    token,
+    sessionToken: session.sessionToken,
+    sessionExpiresAt: session.expiresAt
+  }, HTTP_STATUS.CREATED);
+});
 
-    // Generic server error
-    return errorResponse(ERROR_MESSAGES.INTERNAL_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR, ERROR_CODES.INTERNAL_ERROR);
-  }
-};
+exports.createHandler = createHandler;
+exports.handler = createHandler();
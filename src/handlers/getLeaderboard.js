@@ -0,0 +1,50 @@
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { validateLeaderboardQuery } = require('../utils/validation');
+const { encodeCursor } = require('../utils/pagination');
+const { formatLeaderboardEntry, getCachedScoreHistogram } = require('../utils/leaderboard');
+const { withMiddleware, validated } = require('../utils/middleware');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+const { ERROR_MESSAGES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Lambda handler for getting the global leaderboard
+ * GET /api/leaderboard?limit=&cursor=
+ * Query: limit (default: 20, max: 100), cursor from a previous page's nextCursor
+ * Response: { "players": [{ "rank": number, "name": "string", "score": number, "scoreReachedAt": "timestamp" }],
+ *             "nextCursor": "string" | null, "totalPlayers": number }
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player and guess repository (default: DynamoDB)
+ * @returns {Function} - Lambda handler
+ */
+const createHandler = ({ repository = getDefaultRepository() } = {}) => withMiddleware(
+  {
+    name: 'Get Leaderboard',
+    // Malformed cursor rejected by DynamoDB (e.g. keys that do not match the index)
+    errors: { ValidationException: (error) => new ValidationError(ERROR_MESSAGES.INVALID_CURSOR, ERROR_CODES.INVALID_CURSOR, error) }
+  },
+  validated(({ event }) => validateLeaderboardQuery(event.queryStringParameters))
+)(async ({ data: { limit, exclusiveStartKey } }) => {
+  // Get the page of players and the score histogram used for ranks in parallel
+  const [page, histogram] = await Promise.all([
+    repository.getLeaderboardPage(limit, exclusiveStartKey),
+    getCachedScoreHistogram(repository)
+  ]);
+
+  // Player IDs are never exposed on the public leaderboard
+  const players = page.players.map((player) => formatLeaderboardEntry(player, histogram));
+  const totalPlayers = histogram.reduce((total, bucket) => total + Math.max(0, bucket.playerCount || 0), 0);
+
+  logger.info('Leaderboard retrieved successfully', { players: players.length, totalPlayers });
+
+  // Return success response
+  return successResponse({
+    players,
+    nextCursor: encodeCursor(page.lastEvaluatedKey),
+    totalPlayers
+  }, HTTP_STATUS.OK);
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -1,51 +1,55 @@
-const { getLatestGuessForPlayer } = require('../utils/dynamodb');
-const { successResponse, errorResponse } = require('../utils/response');
-const { isValidUUID } = require('../utils/validation');
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { validateGuessHistoryQuery } = require('../utils/validation');
 const { formatGuessForResponse } = require('../utils/guess');
+const { encodeCursor } = require('../utils/pagination');
+const { withMiddleware, uuidParam, validated, authorize } = require('../utils/middleware');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../utils/errors');
+const { ERROR_MESSAGES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
 
 /**
- * Lambda handler for getting player latest guesses
- * GET /api/guesses/{userId}
- * Response: { "latestGuesses": [...] }
+ * Lambda handler for getting a player's guess history
+ * GET /api/guesses/{userId}?limit=&cursor=&status=&direction=&from=&to=
+ * Headers: Authorization: Bearer <sessionToken>
+ * Query: limit (default: 5, max: 100), cursor from a previous page's nextCursor,
+ *        status (ACTIVE/WON/LOST/PUSH/CANCELLED/VOID), direction (up/down), from/to as epoch milliseconds or ISO 8601
+ * Response: { "guesses": [...], "latestGuesses": [...], "nextCursor": "string" | null }
+ *   (latestGuesses repeats guesses for clients of the unpaginated response)
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player and guess repository (default: DynamoDB)
+ * @returns {Function} - Lambda handler
  */
-exports.handler = async (event) => {
-  console.log('Get Player Guesses Event:', JSON.stringify(event, null, 2));
-
-  try {
-    // Extract userId from path parameters
-    const userId = event.pathParameters?.userId;
-
-    if (!userId) {
-      return errorResponse('User ID is required', 400, 'MISSING_USER_ID');
-    }
-
-    // Validate UUID format
-    if (!isValidUUID(userId)) {
-      return errorResponse('Invalid user ID format', 400, 'INVALID_USER_ID');
-    }
-
-    // Get latest guess for the player and current Bitcoin price in parallel
-    const latestGuesses = await getLatestGuessForPlayer(userId, 5);
-
-    // Prepare response data
-    const responseData = {
-      latestGuesses: latestGuesses && latestGuesses.length > 0 && latestGuesses.map(formatGuessForResponse) || []
-    };
-
-    console.log('Player latest guesses retrieved successfully:', userId);
-
-    // Return success response
-    return successResponse(responseData, 200);
-
-  } catch (error) {
-    console.error('Error getting player latest guesses:', error);
-
-    // Handle DynamoDB errors
-    if (error.code && error.code.startsWith('Dynamo')) {
-      return errorResponse('Database error occurred', 500, 'DATABASE_ERROR');
-    }
-
-    // Generic server error
-    return errorResponse('Internal server error', 500, 'INTERNAL_ERROR');
-  }
-};
+const createHandler = ({ repository = getDefaultRepository() } = {}) => withMiddleware(
+  {
+    name: 'Get Player Guesses',
+    // Malformed cursor rejected by DynamoDB (e.g. keys that do not match the index)
+    errors: { ValidationException: (error) => new ValidationError(ERROR_MESSAGES.INVALID_CURSOR, ERROR_CODES.INVALID_CURSOR, error) }
+  },
+  uuidParam('userId'),
+  // Only the player's own session may access their data
+  authorize(({ params }) => params.userId, { repository }),
+  validated(({ event, params }) => validateGuessHistoryQuery(event.queryStringParameters, params.userId))
+)(async ({ params: { userId }, data: { exclusiveStartKey, ...filters } }) => {
+  // Get the requested page of guesses, latest first
+  const { guesses, lastEvaluatedKey } = await repository.getGuessesForPlayer(userId, {
+    ...filters,
+    exclusiveStartKey
+  });
+
+  // Prepare response data (latestGuesses is the field name clients used before pagination)
+  const formattedGuesses = guesses.map(formatGuessForResponse);
+  const responseData = {
+    guesses: formattedGuesses,
+    latestGuesses: formattedGuesses,
+    nextCursor: encodeCursor(lastEvaluatedKey)
+  };
+
+  logger.info('Player guesses retrieved successfully', { guesses: guesses.length });
+
+  // Return success response
+  return successResponse(responseData, HTTP_STATUS.OK);
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
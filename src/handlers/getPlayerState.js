@@ -1,75 +1,88 @@
-const { getPlayerById, getLatestGuessForPlayer, updatePlayerLastActive } = require('../utils/dynamodb');
-const { successResponse, errorResponse } = require('../utils/response');
-const { isValidUUID } = require('../utils/validation');
-const { getCachedBitcoinPrice } = require('../utils/bitcoin');
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { validateCurrency } = require('../utils/validation');
+const { getCachedPrices } = require('../utils/bitcoin');
 const { formatGuessForResponse } = require('../utils/guess');
+const { computeRank, getCachedScoreHistogram } = require('../utils/leaderboard');
+const { withMiddleware, uuidParam, authorize } = require('../utils/middleware');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError, ServiceUnavailableError } = require('../utils/errors');
+const { ASSETS, CURRENCIES, ERROR_MESSAGES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
 
 /**
- * Lambda handler for getting player state including score, latest guess, and current BTC price
- * GET /api/player/{userId}
- * Response: { "score": number, "latestGuess": { ... }, "currentPrice": number }
+ * Lambda handler for getting player state including score, latest guess, and current prices of all supported assets
+ * GET /api/player/{userId}?currency=EUR
+ * Headers: Authorization: Bearer <sessionToken>
+ * Query: currency (optional, default: the player's currency) for the returned prices
+ * Response: { "score": number, "currency": "USD", "reservedStake": number, "rank": number, "percentile": number, "totalPlayers": number,
+ *             "latestGuess": { ... }, "currentPrice": number (BTC), "prices": { "BTC": number, "ETH": number, ... } }
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player, guess and price tick repository (default: DynamoDB)
+ * @returns {Function} - Lambda handler
  */
-exports.handler = async (event) => {
-  console.log('Get Player State Event:', JSON.stringify(event, null, 2));
+const createHandler = ({ repository = getDefaultRepository() } = {}) => withMiddleware(
+  { name: 'Get Player State' },
+  uuidParam('userId'),
+  // Only the player's own session may access their data
+  authorize(({ params }) => params.userId, { repository })
+)(async ({ event, params: { userId } }) => {
+  // Get player from DynamoDB
+  const player = await repository.getPlayerById(userId);
 
-  try {
-    // Extract userId from path parameters
-    const userId = event.pathParameters?.userId;
-
-    if (!userId) {
-      return errorResponse('User ID is required', 400, 'MISSING_USER_ID');
-    }
-
-    // Validate UUID format
-    if (!isValidUUID(userId)) {
-      return errorResponse('Invalid user ID format', 400, 'INVALID_USER_ID');
-    }
-
-    // Get player from DynamoDB
-    const player = await getPlayerById(userId);
-
-    if (!player) {
-      return errorResponse('Player not found', 404, 'PLAYER_NOT_FOUND');
-    }
+  if (!player) {
+    throw new NotFoundError(ERROR_MESSAGES.PLAYER_NOT_FOUND, ERROR_CODES.PLAYER_NOT_FOUND);
+  }
 
-    // Get latest guess for the player and current Bitcoin price in parallel
-    const [latestGuess, bitcoinPriceData] = await Promise.all([
-      getLatestGuessForPlayer(userId),
-      getCachedBitcoinPrice()
-    ]);
+  // Prices are quoted in the requested currency, falling back to the player's preference
+  const currencyValidation = validateCurrency(event.queryStringParameters?.currency, player.currency || CURRENCIES.DEFAULT);
+  if (!currencyValidation.isValid) {
+    throw new ValidationError(currencyValidation.error);
+  }
+  const currency = currencyValidation.normalizedCurrency;
 
-    // Update last active timestamp (non-blocking)
-    updatePlayerLastActive(userId)
-      .then(() => console.log('Player last active updated:', userId))
-      .catch((updateError) => console.warn('Failed to update last active timestamp:', updateError));
+  // Get latest guess for the player, current asset prices and score histogram in parallel
+  const [latestGuess, prices, histogram] = await Promise.all([
+    repository.getLatestGuessForPlayer(userId),
+    getCachedPrices(currency, { repository }),
+    getCachedScoreHistogram(repository)
+  ]);
 
-    // Prepare response data
-    const responseData = {
-      score: player.score,
-      currentPrice: bitcoinPriceData.price
-    };
+  // Other assets are reported as null when unavailable, but the default asset price is required
+  // (no cached price and mock prices disabled)
+  if (prices[ASSETS.DEFAULT] === null) {
+    throw new ServiceUnavailableError(ERROR_MESSAGES.PRICE_FETCH_ERROR, ERROR_CODES.PRICE_FETCH_ERROR);
+  }
 
-    const firstGuess = latestGuess && latestGuess.length > 0 && latestGuess[0];
-    if (firstGuess) {
-      responseData.latestGuess = formatGuessForResponse(firstGuess);
-    } else {
-      responseData.latestGuess = null;
-    }
+  // Update last active timestamp (non-blocking)
+  repository.updatePlayerLastActive(userId)
+    .then(() => logger.debug('Player last active updated'))
+    .catch((updateError) => logger.warn('Failed to update last active timestamp', updateError));
 
-    console.log('Player state retrieved successfully:', userId);
+  // Prepare response data
+  const { rank, percentile, totalPlayers } = computeRank(histogram, player.score);
+  const responseData = {
+    score: player.score,
+    reservedStake: player.reservedStake || 0,
+    rank,
+    percentile,
+    totalPlayers,
+    currency,
+    currentPrice: prices[ASSETS.DEFAULT],
+    prices
+  };
 
-    // Return success response
-    return successResponse(responseData, 200);
+  const firstGuess = latestGuess && latestGuess.length > 0 && latestGuess[0];
+  if (firstGuess) {
+    responseData.latestGuess = formatGuessForResponse(firstGuess);
+  } else {
+    responseData.latestGuess = null;
+  }
 
-  } catch (error) {
-    console.error('Error getting player state:', error);
+  logger.info('Player state retrieved successfully');
 
-    // Handle DynamoDB errors
-    if (error.code && error.code.startsWith('Dynamo')) {
-      return errorResponse('Database error occurred', 500, 'DATABASE_ERROR');
-    }
+  // Return success response
+  return successResponse(responseData, HTTP_STATUS.OK);
+});
 
-    // Generic server error
-    return errorResponse('Internal server error', 500, 'INTERNAL_ERROR');
-  }
-};
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,44 @@
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { formatPlayerStats } = require('../utils/stats');
+const { withMiddleware, uuidParam, authorize } = require('../utils/middleware');
+const { logger } = require('../utils/logger');
+const { NotFoundError } = require('../utils/errors');
+const { PLAYER_STATS, ERROR_MESSAGES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Lambda handler for getting player statistics
+ * GET /api/player/{userId}/stats
+ * Headers: Authorization: Bearer <sessionToken>
+ * Response: { "totalGuesses": number, "wins": number, "losses": number, "winRate": number,
+ *             "byDirection": { "up": {...}, "down": {...} }, "currentStreak": number, "longestStreak": number,
+ *             "averagePriceMovePercent": { "wins": number, "losses": number }, "daily": [...], "weekly": [...] }
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player and guess repository (default: DynamoDB)
+ * @returns {Function} - Lambda handler
+ */
+const createHandler = ({ repository = getDefaultRepository() } = {}) => withMiddleware(
+  { name: 'Get Player Stats' },
+  uuidParam('userId'),
+  // Only the player's own session may access their data
+  authorize(({ params }) => params.userId, { repository })
+)(async ({ params: { userId } }) => {
+  // Get the player (lifetime stats) and the recent daily/weekly breakdowns in parallel
+  const [player, dailyItems, weeklyItems] = await Promise.all([
+    repository.getPlayerById(userId),
+    repository.getPlayerStatsPeriods(userId, PLAYER_STATS.DAILY_PREFIX, PLAYER_STATS.DAILY_PERIODS),
+    repository.getPlayerStatsPeriods(userId, PLAYER_STATS.WEEKLY_PREFIX, PLAYER_STATS.WEEKLY_PERIODS)
+  ]);
+
+  if (!player) {
+    throw new NotFoundError(ERROR_MESSAGES.PLAYER_NOT_FOUND, ERROR_CODES.PLAYER_NOT_FOUND);
+  }
+
+  logger.info('Player stats retrieved successfully');
+
+  // Return success response
+  return successResponse(formatPlayerStats(player.stats, dailyItems, weeklyItems), HTTP_STATUS.OK);
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
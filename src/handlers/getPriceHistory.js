@@ -0,0 +1,49 @@
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { validatePriceHistoryQuery } = require('../utils/validation');
+const { getPriceSymbol, formatTickForResponse, aggregateCandles } = require('../utils/priceHistory');
+const { withMiddleware, validated } = require('../utils/middleware');
+const { logger } = require('../utils/logger');
+const { PRICE_HISTORY, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Lambda handler for getting the price history of an asset
+ * GET /api/price/history?asset=&currency=&from=&to=&interval=
+ * Query: asset "BTC" (default), "ETH" or "SOL", currency "USD" (default), "EUR" or "GBP", from/to as epoch milliseconds or ISO 8601 (default: last hour), interval "raw" (default) or a candle width
+ * Response: { "symbol": "BTC-USD", "from": number, "to": number, "interval": "raw", "ticks": [...] }
+ *       or: { "symbol": "BTC-USD", "from": number, "to": number, "interval": "1m", "candles": [...] }
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player and guess repository (default: DynamoDB)
+ * @returns {Function} - Lambda handler
+ */
+const createHandler = ({ repository = getDefaultRepository() } = {}) => withMiddleware(
+  { name: 'Get Price History' },
+  validated(({ event }) => validatePriceHistoryQuery(event.queryStringParameters))
+)(async ({ data: { asset, currency, from, to, interval } }) => {
+  const symbol = getPriceSymbol(asset, currency);
+
+  // Get stored ticks for the requested range
+  const ticks = await repository.getPriceTicks(symbol, from, to);
+
+  // Prepare response data
+  const responseData = {
+    symbol,
+    from,
+    to,
+    interval
+  };
+
+  if (interval === PRICE_HISTORY.RAW_INTERVAL) {
+    responseData.ticks = ticks.map(formatTickForResponse);
+  } else {
+    responseData.candles = aggregateCandles(ticks, PRICE_HISTORY.INTERVALS[interval]);
+  }
+
+  logger.info('Price history retrieved successfully', { symbol, from, to, interval, ticks: ticks.length });
+
+  // Return success response
+  return successResponse(responseData, HTTP_STATUS.OK);
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
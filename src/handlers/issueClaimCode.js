@@ -0,0 +1,45 @@
+const { getDefaultRepository } = require('../repositories');
+const { generateSecretToken, hashToken } = require('../utils/auth');
+const { isValidUUID } = require('../utils/validation');
+const { logger, withLogContext, addLogContext } = require('../utils/logger');
+const clock = require('../utils/clock');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { ACCOUNTS, ERROR_MESSAGES, ERROR_CODES } = require('../config/constants');
+
+/**
+ * Lambda handler for issuing the claim code of a player created before authentication existed
+ * Invoked by an operator (no HTTP endpoint) once the player proved ownership out of band, e.g.
+ * serverless invoke -f issueClaimCode -d '{"playerId":"uuid"}'
+ * Input: { "playerId": "uuid" }
+ * Output: { "playerId": "uuid", "claimCode": "string", "expiresAt": "timestamp" }
+ * The code is returned once and stored hashed; issuing a new code replaces the previous one. Players
+ * that already have a token or a registered account get no code
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player and guess repository (default: DynamoDB)
+ * @returns {Function} - Lambda handler
+ */
+const createHandler = ({ repository = getDefaultRepository() } = {}) => withLogContext('Issue Claim Code', async (event) => {
+  const playerId = event?.playerId;
+  if (!isValidUUID(playerId)) {
+    throw new ValidationError('Invalid playerId format', ERROR_CODES.INVALID_PLAYER_ID);
+  }
+  addLogContext({ playerId });
+
+  const claimCode = generateSecretToken();
+  const expiresAt = new Date(clock.now() + ACCOUNTS.CLAIM_CODE_TTL).toISOString();
+
+  const issued = await repository.setPlayerClaimCode(playerId, hashToken(claimCode), expiresAt);
+  if (!issued) {
+    if (!(await repository.getPlayerById(playerId))) {
+      throw new NotFoundError(ERROR_MESSAGES.PLAYER_NOT_FOUND, ERROR_CODES.PLAYER_NOT_FOUND);
+    }
+    throw new ConflictError(ERROR_MESSAGES.PLAYER_ALREADY_CLAIMED, ERROR_CODES.PLAYER_ALREADY_CLAIMED);
+  }
+
+  logger.info('Claim code issued', { expiresAt });
+
+  return { playerId, claimCode, expiresAt };
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
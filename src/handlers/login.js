@@ -0,0 +1,84 @@
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { isValidUUID } = require('../utils/validation');
+const { verifySecretToken, verifyPasswordWithLockout, buildLoginKey, loadSessionSecret, createSessionToken } = require('../utils/auth');
+const { withMiddleware, jsonBody } = require('../utils/middleware');
+const { logger, addLogContext } = require('../utils/logger');
+const { ValidationError, AuthenticationError } = require('../utils/errors');
+const { ERROR_MESSAGES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Find the player of a registered account and check the password.
+ * Unknown logins are checked against a dummy hash, so they take as long as wrong passwords.
+ * Wrong passwords count towards the player's lockout (see verifyPasswordWithLockout).
+ * @param {string} login - Email address or username
+ * @param {string} password - Plain-text password
+ * @param {Object} repository - Player and guess repository
+ * @returns {Promise<Object|null>} - Player or null if the login is unknown or the password is wrong
+ * @throws {TooManyRequestsError} - If password logins of the player are locked
+ */
+const authenticateWithPassword = async (login, password, repository) => {
+  const account = await repository.getAccountByLogin(buildLoginKey(login));
+  const player = account && await repository.getPlayerById(account.playerId);
+
+  return (await verifyPasswordWithLockout(player || null, password, repository)) ? player : null;
+};
+
+/**
+ * Lambda handler for logging a player in
+ * POST /api/auth/login
+ * Body: { "playerId": "uuid", "token": "string" } (secret token issued at player creation)
+ *   or: { "login": "email or username", "password": "string" } (registered accounts)
+ * Response: { "playerId": "uuid", "sessionToken": "string", "expiresAt": "timestamp" }
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player and guess repository (default: DynamoDB)
+ * @returns {Function} - Lambda handler
+ */
+const createHandler = ({ repository = getDefaultRepository() } = {}) => withMiddleware(
+  // The request body holds the secret token and is never logged
+  { name: 'Login', logBody: false },
+  jsonBody()
+)(async ({ body }) => {
+  let player;
+  if (body.login !== undefined || body.password !== undefined) {
+    if (typeof body.login !== 'string' || !body.login.trim() || typeof body.password !== 'string' || !body.password) {
+      throw new ValidationError('login and password are required');
+    }
+
+    // Unknown logins and wrong passwords get the same response
+    player = await authenticateWithPassword(body.login, body.password, repository);
+    if (!player) {
+      throw new AuthenticationError(ERROR_MESSAGES.INVALID_LOGIN);
+    }
+  } else {
+    if (!body.playerId || !body.token) {
+      throw new ValidationError('playerId and token, or login and password are required');
+    }
+
+    if (!isValidUUID(body.playerId)) {
+      throw new ValidationError('Invalid playerId format', ERROR_CODES.INVALID_PLAYER_ID);
+    }
+
+    // Unknown players and wrong tokens get the same response
+    player = await repository.getPlayerById(body.playerId);
+    if (!player || !verifySecretToken(body.token, player.tokenHash)) {
+      throw new AuthenticationError(ERROR_MESSAGES.INVALID_CREDENTIALS);
+    }
+  }
+
+  await loadSessionSecret();
+  const session = createSessionToken(player.playerId);
+
+  addLogContext({ playerId: player.playerId });
+  logger.info('Player logged in successfully');
+
+  // Return success response
+  return successResponse({
+    playerId: player.playerId,
+    sessionToken: session.sessionToken,
+    expiresAt: session.expiresAt
+  }, HTTP_STATUS.OK);
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
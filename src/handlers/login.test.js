@@ -0,0 +1,52 @@
+const login = require('./login');
+const { createInMemoryRepository } = require('../repositories');
+const clock = require('../utils/clock');
+const { hashPassword, buildLoginKey } = require('../utils/auth');
+const { ACCOUNTS, ERROR_CODES } = require('../config/constants');
+
+const PASSWORD = 'correct horse battery staple';
+
+const parse = (response) => ({ statusCode: response.statusCode, ...JSON.parse(response.body) });
+
+describe('login with a password', () => {
+  let repository;
+  let handler;
+
+  const logIn = async (password) => parse(await handler({ body: JSON.stringify({ login: 'alice', password }) }));
+
+  beforeEach(async () => {
+    repository = createInMemoryRepository({ players: [{ playerId: 'player-1', name: 'alice', score: 0 }] });
+    await repository.registerPlayerAccount('player-1', {
+      logins: [{ type: 'username', key: buildLoginKey('alice') }],
+      attributes: { passwordHash: await hashPassword(PASSWORD), registeredAt: new Date().toISOString() }
+    });
+    handler = login.createHandler({ repository });
+  });
+
+  afterEach(() => {
+    clock.useWallClock();
+  });
+
+  it('locks the account after repeated wrong passwords, even for the right password', async () => {
+    for (let attempt = 0; attempt < ACCOUNTS.MAX_FAILED_LOGINS; attempt++) {
+      expect((await logIn('wrong')).statusCode).toBe(401);
+    }
+
+    const locked = await logIn(PASSWORD);
+    expect(locked.statusCode).toBe(429);
+    expect(locked.error.code).toBe(ERROR_CODES.TOO_MANY_LOGIN_ATTEMPTS);
+
+    clock.advance(ACCOUNTS.LOGIN_LOCKOUT);
+    expect((await logIn(PASSWORD)).statusCode).toBe(200);
+  });
+
+  it('starts the count over after a successful login', async () => {
+    for (let attempt = 1; attempt < ACCOUNTS.MAX_FAILED_LOGINS; attempt++) {
+      await logIn('wrong');
+    }
+    expect((await logIn(PASSWORD)).statusCode).toBe(200);
+
+    expect((await logIn('wrong')).statusCode).toBe(401);
+    expect((await repository.getPlayerById('player-1')).failedLogins).toBe(1);
+  });
+});
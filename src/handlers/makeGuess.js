@@ -1,112 +1,152 @@
 const { v4: uuidv4 } = require('uuid');
-const { getPlayerById, createGuess, getActiveGuessForPlayer } = require('../utils/dynamodb');
-const { successResponse, errorResponse } = require('../utils/response');
-const { validateMakeGuessRequest } = require('../utils/validation');
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { validateMakeGuessRequest, validatePredictionAgainstPrice } = require('../utils/validation');
 const { scheduleGuessResolution } = require('../utils/eventbridge');
 const { getBitcoinPriceWithFallback } = require('../utils/bitcoin');
+const { calculateResolveAt } = require('../utils/resolution');
+const { getTimeframeConfig } = require('../utils/guess');
+const clock = require('../utils/clock');
+const { withMiddleware, jsonBody, validated, authorize } = require('../utils/middleware');
+const { logger, addLogContext } = require('../utils/logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const {
+  RESOLUTION_MODES,
+  RESOLUTION_CONFIG,
+  WAGER,
+  CURRENCIES,
+  GUESS_STATUS,
+  GUESS_TYPES,
+  RESPONSE_MESSAGES,
+  ERROR_MESSAGES,
+  ERROR_CODES,
+  HTTP_STATUS
+} = require('../config/constants');
 
 /**
  * Lambda handler for making a new guess
  * POST /api/guess
- * Body: { "userId": "uuid", "direction": "up" | "down" }
- * Response: { "message": "Guess recorded", "guessId": "uuid", "timestamp": number }
+ * Headers: Authorization: Bearer <sessionToken>
+ * Body: { "userId": "uuid", "asset": "BTC" | "ETH" | "SOL" (optional, default: BTC),
+ *         "currency": "USD" | "EUR" | "GBP" (optional, default: the player's currency),
+ *         "type": "direction" | "target" | "range" | "percent" (optional, default: direction),
+ *         "direction": "up" | "down" (direction), "condition": "above" | "below", "targetPrice": number (target),
+ *         "rangeLow": number, "rangeHigh": number (range), "predictedChangePercent": number (percent),
+ *         "timeframe": "1m" | "5m" | "15m" | "1h" (optional, default: 1m),
+ *         "stake": number (optional, wagers part of the score instead of the timeframe multiplier) }
+ * Response: { "message": "Guess recorded", "guessId": "uuid", "asset": "BTC", "currency": "USD", "type": "direction", "timestamp": number, "timeframe": "1m",
+ *             "scoreMultiplier": number, "stake": number | null, "resolveAt": "timestamp", "duration": number }
+ * duration is the time from timestamp to resolveAt in milliseconds; in batch mode resolveAt is rounded up to the
+ * next bucket boundary, so it can exceed the timeframe (a "1m" guess lasts between 1 and 2 minutes)
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player, guess and price tick repository (default: DynamoDB)
+ * @param {Object} dependencies.scheduler - Resolution scheduler backend (default: EventBridge Scheduler, or the local scheduler offline)
+ * @returns {Function} - Lambda handler
  */
-exports.handler = async (event) => {
-  console.log('Make Guess Event:', JSON.stringify(event, null, 2));
-
-  try {
-    // Parse request body
-    let body;
-    try {
-      body = JSON.parse(event.body || '{}');
-    } catch (parseError) {
-      console.error('Invalid JSON in request body:', parseError);
-      return errorResponse('Invalid JSON in request body', 400);
-    }
-
-    // Validate request
-    const validation = validateMakeGuessRequest(body);
-    if (!validation.isValid) {
-      return errorResponse(validation.error, 400, 'VALIDATION_ERROR');
-    }
-
-    const { userId, direction } = validation.validatedData;
-
-    // Check if player exists
-    const player = await getPlayerById(userId);
-    if (!player) {
-      return errorResponse('Player not found', 404, 'PLAYER_NOT_FOUND');
-    }
+const createHandler = ({ repository = getDefaultRepository(), scheduler } = {}) => withMiddleware(
+  { name: 'Make Guess' },
+  jsonBody(),
+  validated(({ body }) => validateMakeGuessRequest(body)),
+  // Only the player's own session may make guesses for them
+  authorize(({ data }) => data.userId, { repository })
+)(async ({ data }) => {
+  const { userId, asset, prediction, timeframe, stake } = data;
+
+  // Check if player exists (read consistently when a stake is reserved against the score)
+  const player = await repository.getPlayerById(userId, Boolean(stake));
+  if (!player) {
+    throw new NotFoundError(ERROR_MESSAGES.PLAYER_NOT_FOUND, ERROR_CODES.PLAYER_NOT_FOUND);
+  }
 
-    // Check if player already has an active guess
-    const activeGuess = await getActiveGuessForPlayer(userId);
-    if (activeGuess) {
-      return errorResponse(
-        'Player already has an active guess. Wait for it to resolve before making a new guess.',
-        409,
-        'ACTIVE_GUESS_EXISTS'
+  // A stake may only use score that is not reserved by another guess, up to WAGER.MAX_STAKE_PERCENT of it
+  if (stake) {
+    const availableScore = Math.max(0, (player.score || 0) - (player.reservedStake || 0));
+    const maxStake = Math.floor(availableScore * WAGER.MAX_STAKE_PERCENT / 100);
+    if (stake > maxStake) {
+      throw new ValidationError(
+        `Stake must not exceed ${maxStake} (${WAGER.MAX_STAKE_PERCENT}% of your available score of ${availableScore})`,
+        ERROR_CODES.INVALID_STAKE
       );
     }
+  }
+
+  // Check if player already has an active guess
+  const activeGuess = await repository.getActiveGuessForPlayer(userId);
+  if (activeGuess) {
+    throw new ConflictError(
+      'Player already has an active guess. Wait for it to resolve before making a new guess.',
+      ERROR_CODES.ACTIVE_GUESS_EXISTS
+    );
+  }
 
-    // Get current Bitcoin price from CoinGecko API
-    const currentPrice = await getBitcoinPriceWithFallback();
+  // The guess is priced and resolved in the requested currency, falling back to the player's preference
+  const currency = data.currency || player.currency || CURRENCIES.DEFAULT;
 
-    // Create guess object
-    const now = new Date();
-    const timestamp = now.getTime();
-    const guess = {
-      guessId: uuidv4(),
-      playerId: userId,
-      direction: direction,
-      currentPrice: currentPrice,
-      status: 'ACTIVE',
-      createdAt: now.toISOString(),
-      resolveAt: new Date(timestamp + 60 * 1000).toISOString() // 60 seconds from now
-    };
+  // Get the current price of the asset from the price oracle
+  // Throws PRICE_FETCH_ERROR (503) when no real price is available and mock prices are disabled
+  const { price: currentPrice, sources: priceSources } = await getBitcoinPriceWithFallback({ asset, currency, repository });
 
-    // Save guess to DynamoDB
-    const createdGuess = await createGuess(guess);
+  // Target and range predictions must not already be decided at the entry price
+  const predictionValidation = validatePredictionAgainstPrice(prediction, currentPrice);
+  if (!predictionValidation.isValid) {
+    throw new ValidationError(predictionValidation.error, predictionValidation.code);
+  }
 
-    // Schedule guess resolution via EventBridge
+  // Create guess object
+  const now = new Date(clock.now());
+  const timestamp = now.getTime();
+  const guess = {
+    guessId: uuidv4(),
+    playerId: userId,
+    asset: asset,
+    currency: currency,
+    ...prediction, // guessType and its fields, e.g. direction for up/down guesses
+    timeframe: timeframe,
+    scoreMultiplier: getTimeframeConfig(timeframe).MULTIPLIER, // Fixed at creation so catalogue changes never affect open guesses
+    ...(prediction.guessType === GUESS_TYPES.PERCENT_MOVE && { tolerancePercent: getTimeframeConfig(timeframe).PERCENT_TOLERANCE }),
+    currentPrice: currentPrice,
+    priceSources: priceSources,
+    status: GUESS_STATUS.ACTIVE,
+    createdAt: now.toISOString(),
+    resolveAt: calculateResolveAt(timestamp, timeframe), // timeframe from now (rounded up to the bucket in batch mode)
+    ...(stake && { stake })
+  };
+  addLogContext({ guessId: guess.guessId });
+
+  // Save guess to DynamoDB, reserving the stake on the player atomically
+  // (a stake reservation that raced with another score change is reported as STAKE_UNAVAILABLE)
+  const createdGuess = stake ? await repository.createStakedGuess(guess, player) : await repository.createGuess(guess);
+
+  // Schedule guess resolution via EventBridge (batch mode guesses are picked up by batchResolveGuesses);
+  // the schedule carries the correlation ID of this request on to resolveGuess
+  if (RESOLUTION_CONFIG.MODE === RESOLUTION_MODES.SCHEDULER) {
     try {
-      await scheduleGuessResolution(guess.guessId, userId, currentPrice);
-      console.log('Guess resolution scheduled successfully:', guess.guessId);
+      await scheduleGuessResolution(guess.guessId, userId, currentPrice, { resolveAt: guess.resolveAt, timeframe, scheduler });
+      logger.info('Guess resolution scheduled successfully');
     } catch (scheduleError) {
-      console.error('Failed to schedule guess resolution:', scheduleError);
-      // Note: We could implement a fallback mechanism here
-      // For now, we'll continue and log the error
-    }
-
-    console.log('Guess created successfully:', createdGuess.guessId);
-
-    // Return success response
-    return successResponse({
-      message: 'Guess recorded',
-      guessId: createdGuess.guessId,
-      timestamp: timestamp
-    }, 201);
-
-  } catch (error) {
-    console.error('Error making guess:', error);
-
-    // Handle DynamoDB conditional check failed (duplicate guessId - very unlikely with UUID)
-    if (error.code === 'ConditionalCheckFailedException') {
-      return errorResponse('Guess creation failed due to conflict', 409, 'CONFLICT_ERROR');
+      logger.error('Failed to schedule guess resolution', scheduleError);
+      // The guess stays ACTIVE and is resolved by the sweepOverdueGuesses function
+      // once its resolveAt is past by RESOLUTION_CONFIG.SWEEPER_GRACE_PERIOD
     }
-
-    // Handle other DynamoDB errors
-    if (error.code && error.code.startsWith('Dynamo')) {
-      return errorResponse('Database error occurred', 500, 'DATABASE_ERROR');
-    }
-
-    // Handle EventBridge errors
-    if (error.code && error.code.includes('Events')) {
-      console.error('EventBridge error, but guess was created:', error);
-      // Return success since the guess was created, even if scheduling failed
-      return errorResponse('Guess created but scheduling failed', 500, 'SCHEDULING_ERROR');
-    }
-
-    // Generic server error
-    return errorResponse('Internal server error', 500, 'INTERNAL_ERROR');
   }
-};
+
+  logger.info('Guess created successfully');
+
+  // Return success response
+  return successResponse({
+    message: RESPONSE_MESSAGES.GUESS_RECORDED,
+    guessId: createdGuess.guessId,
+    asset: createdGuess.asset,
+    currency: createdGuess.currency,
+    type: createdGuess.guessType,
+    timestamp: timestamp,
+    timeframe: createdGuess.timeframe,
+    scoreMultiplier: createdGuess.scoreMultiplier,
+    stake: createdGuess.stake || null,
+    resolveAt: createdGuess.resolveAt,
+    duration: new Date(createdGuess.resolveAt).getTime() - timestamp
+  }, HTTP_STATUS.CREATED);
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
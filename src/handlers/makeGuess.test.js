@@ -0,0 +1,173 @@
+const makeGuess = require('./makeGuess');
+const resolveGuess = require('./resolveGuess');
+const createPlayer = require('./createPlayer');
+const { createInMemoryRepository } = require('../repositories');
+const { usePriceSource } = require('../utils/bitcoin');
+const { loadSeries } = require('../utils/priceSources/replay');
+const clock = require('../utils/clock');
+const { GUESS_STATUS, GUESS_TIMEFRAMES, PRICE_SOURCES, ERROR_CODES } = require('../config/constants');
+
+const START = '2024-06-01T12:00:00.000Z';
+
+/**
+ * Scheduler backend that records schedules instead of creating them
+ * @returns {Object} - Scheduler with the created schedules in `schedules`
+ */
+const createRecordingScheduler = () => {
+  const schedules = new Map();
+  return {
+    name: 'recording',
+    schedules,
+    createSchedule: async (schedule) => {
+      schedules.set(schedule.name, schedule);
+      return {};
+    },
+    deleteSchedule: async (name) => schedules.delete(name),
+    listSchedules: async (namePrefix) => [...schedules.keys()].filter((name) => name.startsWith(namePrefix))
+  };
+};
+
+const parse = (response) => ({ statusCode: response.statusCode, ...JSON.parse(response.body) });
+const httpEvent = (sessionToken, body) => ({
+  headers: { Authorization: `Bearer ${sessionToken}` },
+  body: JSON.stringify(body)
+});
+
+describe('makeGuess → resolveGuess', () => {
+  let repository;
+  let scheduler;
+  let handlers;
+
+  const signUp = async (name) => {
+    const { data } = parse(await handlers.createPlayer({ body: JSON.stringify({ name }) }));
+    return data;
+  };
+
+  beforeAll(() => {
+    usePriceSource(PRICE_SOURCES.REPLAY);
+    loadSeries([
+      { timestamp: 0, price: 100 },
+      { timestamp: 60000, price: 101 },
+      { timestamp: 120000, price: 99 }
+    ], { start: START });
+  });
+
+  afterAll(() => {
+    usePriceSource(PRICE_SOURCES.ORACLE);
+  });
+
+  beforeEach(() => {
+    clock.setTime(START);
+    repository = createInMemoryRepository();
+    scheduler = createRecordingScheduler();
+    handlers = {
+      createPlayer: createPlayer.createHandler({ repository }),
+      makeGuess: makeGuess.createHandler({ repository, scheduler }),
+      resolveGuess: resolveGuess.createHandler({ repository, scheduler })
+    };
+  });
+
+  afterEach(() => {
+    clock.useWallClock();
+  });
+
+  it('records a guess at the current price and resolves it when its schedule runs', async () => {
+    const player = await signUp('alice');
+
+    const made = parse(await handlers.makeGuess(httpEvent(player.sessionToken, { userId: player.playerId, direction: 'up' })));
+    expect(made.statusCode).toBe(201);
+    expect(made.data).toMatchObject({ type: 'direction', timeframe: '1m', resolveAt: '2024-06-01T12:01:00.000Z', duration: 60000 });
+
+    const [schedule] = scheduler.schedules.values();
+    expect(schedule.runAt.toISOString()).toBe('2024-06-01T12:01:00.000Z');
+    expect(schedule.input).toMatchObject({ guessId: made.data.guessId, userId: player.playerId, currentPrice: 100 });
+
+    clock.advance(60000);
+    const resolved = parse(await handlers.resolveGuess(schedule.input));
+
+    expect(resolved.statusCode).toBe(200);
+    expect(resolved.data).toMatchObject({
+      result: 'win',
+      newScore: 1,
+      priceChange: { initial: 100, final: 101, direction: 'up' }
+    });
+    expect(repository.snapshot().guesses[0]).toMatchObject({ status: GUESS_STATUS.WON, resolvePrice: 101, priceSources: ['replay'] });
+  });
+
+  it('records the percent tolerance of the timeframe on percent-move guesses', async () => {
+    const player = await signUp('alice');
+
+    const made = parse(await handlers.makeGuess(httpEvent(player.sessionToken, {
+      userId: player.playerId, type: 'percent', predictedChangePercent: 0.5, timeframe: '15m'
+    })));
+
+    expect(made.statusCode).toBe(201);
+    expect(repository.snapshot().guesses[0].tolerancePercent).toBe(GUESS_TIMEFRAMES.CATALOGUE['15m'].PERCENT_TOLERANCE);
+  });
+
+  it('refuses to resolve a guess before its resolveAt', async () => {
+    const player = await signUp('alice');
+    const { data } = parse(await handlers.makeGuess(httpEvent(player.sessionToken, { userId: player.playerId, direction: 'up' })));
+
+    clock.advance(30000);
+    const early = parse(await handlers.resolveGuess(httpEvent(player.sessionToken, { guessId: data.guessId, userId: player.playerId })));
+
+    expect(early.statusCode).toBe(409);
+    expect(early.error.code).toBe(ERROR_CODES.GUESS_NOT_READY);
+  });
+
+  it('allows one active guess per player', async () => {
+    const player = await signUp('alice');
+    await handlers.makeGuess(httpEvent(player.sessionToken, { userId: player.playerId, direction: 'up' }));
+
+    const second = parse(await handlers.makeGuess(httpEvent(player.sessionToken, { userId: player.playerId, direction: 'down' })));
+
+    expect(second.statusCode).toBe(409);
+    expect(second.error.code).toBe(ERROR_CODES.ACTIVE_GUESS_EXISTS);
+  });
+
+  it('only lets players make and resolve their own guesses', async () => {
+    const alice = await signUp('alice');
+    const mallory = await signUp('mallory');
+
+    const forged = parse(await handlers.makeGuess(httpEvent(mallory.sessionToken, { userId: alice.playerId, direction: 'up' })));
+    expect(forged.statusCode).toBe(403);
+
+    const { data } = parse(await handlers.makeGuess(httpEvent(alice.sessionToken, { userId: alice.playerId, direction: 'up' })));
+    clock.advance(60000);
+    const stolen = parse(await handlers.resolveGuess(httpEvent(mallory.sessionToken, { guessId: data.guessId, userId: alice.playerId })));
+    expect(stolen.statusCode).toBe(403);
+  });
+
+  it('scores a guess exactly once and cleans up its schedule', async () => {
+    const player = await signUp('alice');
+    const { data } = parse(await handlers.makeGuess(httpEvent(player.sessionToken, { userId: player.playerId, direction: 'down', timeframe: '5m' })));
+
+    clock.advance(300000);
+    const request = httpEvent(player.sessionToken, { guessId: data.guessId, userId: player.playerId });
+    const first = parse(await handlers.resolveGuess(request));
+    const second = parse(await handlers.resolveGuess(request));
+
+    expect(first.data).toMatchObject({ result: 'win', newScore: 2 });
+    expect(second.data).toMatchObject({ result: 'win', alreadyResolved: true });
+    expect(scheduler.schedules.size).toBe(0);
+  });
+
+  it('reserves a stake while the guess is open and settles it on resolution', async () => {
+    const player = await signUp('alice');
+    const stored = repository.snapshot().players[0];
+    const seeded = createInMemoryRepository({ players: [{ ...stored, score: 10 }] });
+    const makeStaked = makeGuess.createHandler({ repository: seeded, scheduler });
+    const resolveStaked = resolveGuess.createHandler({ repository: seeded, scheduler });
+
+    const { data } = parse(await makeStaked(httpEvent(player.sessionToken, { userId: player.playerId, direction: 'up', timeframe: '5m', stake: 4 })));
+    expect((await seeded.getPlayerById(player.playerId)).reservedStake).toBe(4);
+
+    // The replayed price is 99 five minutes in, so the up guess loses its stake
+    clock.advance(300000);
+    const resolved = parse(await resolveStaked(httpEvent(player.sessionToken, { guessId: data.guessId, userId: player.playerId })));
+
+    expect(resolved.data).toMatchObject({ result: 'loss', newScore: 6 });
+    expect(await seeded.getPlayerById(player.playerId)).toMatchObject({ score: 6, reservedStake: 0 });
+  });
+});
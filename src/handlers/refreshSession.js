@@ -0,0 +1,36 @@
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { loadSessionSecret, createSessionToken } = require('../utils/auth');
+const { withMiddleware, authorize } = require('../utils/middleware');
+const { logger } = require('../utils/logger');
+const { HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Lambda handler for exchanging a valid session token for a new one with a fresh expiry
+ * POST /api/auth/refresh
+ * Headers: Authorization: Bearer <sessionToken>
+ * Response: { "playerId": "uuid", "sessionToken": "string", "expiresAt": "timestamp" }
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player and guess repository (default: DynamoDB)
+ * @returns {Function} - Lambda handler
+ */
+const createHandler = ({ repository = getDefaultRepository() } = {}) => withMiddleware(
+  { name: 'Refresh Session' },
+  // The current session must still be valid; sessions of deleted players and revoked sessions are not renewed
+  authorize(undefined, { repository })
+)(async ({ auth }) => {
+  await loadSessionSecret();
+  const session = createSessionToken(auth.playerId);
+
+  logger.info('Session refreshed successfully');
+
+  // Return success response
+  return successResponse({
+    playerId: auth.playerId,
+    sessionToken: session.sessionToken,
+    expiresAt: session.expiresAt
+  }, HTTP_STATUS.OK);
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,70 @@
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { validateAccountRegistration } = require('../utils/validation');
+const { hashPassword, buildLoginKey } = require('../utils/auth');
+const { withMiddleware, jsonBody, uuidParam, validated, authorize } = require('../utils/middleware');
+const { logger } = require('../utils/logger');
+const clock = require('../utils/clock');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+const { RESPONSE_MESSAGES, ERROR_MESSAGES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Lambda handler for upgrading an anonymous player to a registered account
+ * POST /api/player/{userId}/account
+ * Headers: Authorization: Bearer <sessionToken>
+ * Body: { "email": "string", "username": "string", "password": "string" } (email and/or username)
+ * Response: { "message": "Account registered", "playerId": "uuid", "email": "string", "username": "string", "registeredAt": "timestamp" }
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player and guess repository (default: DynamoDB)
+ * @returns {Function} - Lambda handler
+ */
+const createHandler = ({ repository = getDefaultRepository() } = {}) => withMiddleware(
+  // The request body holds the password and is never logged
+  { name: 'Register Account', logBody: false },
+  uuidParam('userId'),
+  // Only the player's own session may register their account
+  authorize(({ params }) => params.userId, { repository }),
+  jsonBody(),
+  validated(({ body }) => validateAccountRegistration(body))
+)(async ({ params: { userId }, data: { email, username, password } }) => {
+  // Check if player exists
+  const player = await repository.getPlayerById(userId);
+  if (!player) {
+    throw new NotFoundError(ERROR_MESSAGES.PLAYER_NOT_FOUND, ERROR_CODES.PLAYER_NOT_FOUND);
+  }
+
+  if (player.passwordHash) {
+    throw new ConflictError(ERROR_MESSAGES.ACCOUNT_ALREADY_REGISTERED, ERROR_CODES.ACCOUNT_ALREADY_REGISTERED);
+  }
+
+  const logins = [
+    ...(email ? [{ key: buildLoginKey(email), type: 'email' }] : []),
+    ...(username ? [{ key: buildLoginKey(username), type: 'username' }] : [])
+  ];
+
+  // A login claimed by another player, or a registration that raced with this one, is reported
+  // as EMAIL_TAKEN, USERNAME_TAKEN or ACCOUNT_ALREADY_REGISTERED
+  const account = await repository.registerPlayerAccount(userId, {
+    logins,
+    attributes: {
+      ...(email && { email }),
+      ...(username && { username }),
+      passwordHash: await hashPassword(password),
+      registeredAt: new Date(clock.now()).toISOString()
+    }
+  });
+
+  logger.info('Account registered successfully');
+
+  // Return success response
+  return successResponse({
+    message: RESPONSE_MESSAGES.ACCOUNT_REGISTERED,
+    playerId: userId,
+    email: account.email || null,
+    username: account.username || null,
+    registeredAt: account.registeredAt
+  }, HTTP_STATUS.CREATED);
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,61 @@
+const { getDefaultRepository } = require('../repositories');
+const { listGuessSchedules, getGuessIdFromScheduleName, deleteSchedule } = require('../utils/eventbridge');
+const { logger, withLogContext } = require('../utils/logger');
+const { GUESS_STATUS, SCHEDULER_CONFIG } = require('../config/constants');
+
+/**
+ * Lambda handler for reporting orphaned resolution schedules
+ * Triggered daily (or manually). Lists every resolve-guess-* schedule and reports those that no
+ * longer match an ACTIVE guess (guess missing or already resolved).
+ * Input (optional): { "deleteOrphans": true } to also delete the orphaned schedules
+ * Output: { "schedules": number, "orphaned": [{ "scheduleName", "guessId", "reason" }], "deleted": number }
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player and guess repository (default: DynamoDB)
+ * @param {Object} dependencies.scheduler - Resolution scheduler backend (default: EventBridge Scheduler, or the local scheduler offline)
+ * @returns {Function} - Lambda handler
+ */
+const createHandler = ({ repository = getDefaultRepository(), scheduler } = {}) => withLogContext('Report Orphaned Schedules', async (event) => {
+  const deleteOrphans = Boolean(event && event.deleteOrphans);
+  const scheduleNames = await listGuessSchedules(SCHEDULER_CONFIG.SCHEDULE_NAME_PREFIX, { scheduler });
+
+  const orphaned = [];
+  for (const scheduleName of scheduleNames) {
+    const guessId = getGuessIdFromScheduleName(scheduleName);
+    if (!guessId) {
+      continue;
+    }
+
+    const guess = await repository.getGuessById(guessId);
+    if (!guess) {
+      orphaned.push({ scheduleName, guessId, reason: 'GUESS_NOT_FOUND' });
+    } else if (guess.status !== GUESS_STATUS.ACTIVE) {
+      orphaned.push({ scheduleName, guessId, reason: `GUESS_${guess.status}` });
+    }
+  }
+
+  let deleted = 0;
+  if (deleteOrphans) {
+    for (const orphan of orphaned) {
+      try {
+        if (await deleteSchedule(orphan.scheduleName, { scheduler })) {
+          deleted += 1;
+        }
+      } catch (error) {
+        logger.error('Failed to delete orphaned schedule', { scheduleName: orphan.scheduleName, guessId: orphan.guessId, error });
+      }
+    }
+  }
+
+  const report = {
+    schedules: scheduleNames.length,
+    orphaned,
+    deleted
+  };
+
+  logger.info('Orphaned schedule report', report);
+
+  return report;
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -1,148 +1,155 @@
-const { getGuessById, updateGuessResolution, updatePlayerScore } = require('../utils/dynamodb');
-const { successResponse, errorResponse } = require('../utils/response');
-const { getBitcoinPriceWithFallback } = require('../utils/bitcoin');
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { resolveActiveGuess } = require('../utils/resolution');
+const { getGuessResult } = require('../utils/guess');
+const { withMiddleware, parseJsonBody, requireSession } = require('../utils/middleware');
+const { logger, addLogContext } = require('../utils/logger');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError, ServiceUnavailableError } = require('../utils/errors');
 const {
   EVENTBRIDGE_CONFIG,
-  GUESS_STATUS,
-  GUESS_DIRECTION,
-  SCORE_CHANGES,
+  RESOLUTION_OUTCOMES,
   RESPONSE_MESSAGES,
   ERROR_MESSAGES,
-  ERROR_CODES,
-  HTTP_STATUS
+  ERROR_CODES
 } = require('../config/constants');
 
+/**
+ * Build the response returned when a guess has already been resolved
+ * @param {Object} guess - Resolved guess
+ * @returns {Object} - Lambda HTTP response object
+ */
+const alreadyResolvedResponse = (guess) => {
+  logger.info('Guess already resolved', { status: guess.status });
+  return successResponse({
+    message: RESPONSE_MESSAGES.GUESS_ALREADY_RESOLVED,
+    result: getGuessResult(guess.status),
+    alreadyResolved: true
+  });
+};
+
 /**
  * Lambda handler for resolving a guess
  * Can be triggered by:
  * 1. EventBridge event (scheduled after 60 seconds)
- * 2. HTTP POST /api/resolve (for testing/manual resolution)
+ * 2. HTTP POST /api/resolve (for testing/manual resolution, requires Authorization: Bearer <sessionToken>)
  * 
- * Input: { "guessId": "uuid", "userId": "uuid" }
+ * Input: { "guessId": "uuid", "userId": "uuid" } (scheduled invocations also carry the correlationId of the guess request)
  * Output: { "message": "Guess resolved", "result": "win", "newScore": number }
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player, guess and price tick repository (default: DynamoDB)
+ * @param {Object} dependencies.scheduler - Resolution scheduler backend (default: EventBridge Scheduler, or the local scheduler offline)
+ * @returns {Function} - Lambda handler
  */
-exports.handler = async (event) => {
-  console.log('Resolve Guess Event:', JSON.stringify(event, null, 2));
-
-  try {
-    let guessId, userId;
-
-    // Handle different event sources
-    if (event.source === EVENTBRIDGE_CONFIG.SOURCE && event['detail-type'] === EVENTBRIDGE_CONFIG.DETAIL_TYPES.RESOLVE_GUESS) {
-      // EventBridge event
-      console.log('Processing EventBridge event');
-      guessId = event.detail.guessId;
-      userId = event.detail.userId;
-    } else if (event.guessId && event.userId && event.source === 'eventbridge-scheduler') {
-      // EventBridge Scheduler event (direct Lambda invocation)
-      console.log('Processing EventBridge Scheduler event');
-      guessId = event.guessId;
-      userId = event.userId;
-    } else if (event.body) {
-      // HTTP API event
-      console.log('Processing HTTP API event');
-      try {
-        const body = JSON.parse(event.body);
-        guessId = body.guessId;
-        userId = body.userId;
-      } catch (parseError) {
-        console.error('Invalid JSON in request body:', parseError);
-        return errorResponse(ERROR_MESSAGES.INVALID_JSON, HTTP_STATUS.BAD_REQUEST);
-      }
-    } else {
-      console.error('Invalid event format:', event);
-      return errorResponse(ERROR_MESSAGES.INVALID_EVENT, HTTP_STATUS.BAD_REQUEST, ERROR_CODES.INVALID_EVENT);
-    }
+const createHandler = ({ repository = getDefaultRepository(), scheduler } = {}) => withMiddleware(
+  { name: 'Resolve Guess' }
+)(async ({ event }) => {
+  let guessId, userId;
+  let attempt = 0;
+  let isScheduled = false;
+  let isHttp = false;
+
+  // Handle different event sources
+  if (event.source === EVENTBRIDGE_CONFIG.SOURCE && event['detail-type'] === EVENTBRIDGE_CONFIG.DETAIL_TYPES.RESOLVE_GUESS) {
+    // EventBridge event
+    logger.debug('Processing EventBridge event');
+    guessId = event.detail.guessId;
+    userId = event.detail.userId;
+    attempt = event.detail.attempt || 0;
+    isScheduled = true;
+  } else if (event.guessId && event.userId && event.source === 'eventbridge-scheduler') {
+    // EventBridge Scheduler event (direct Lambda invocation)
+    logger.debug('Processing EventBridge Scheduler event');
+    guessId = event.guessId;
+    userId = event.userId;
+    attempt = event.attempt || 0;
+    isScheduled = true;
+  } else if (event.body) {
+    // HTTP API event
+    logger.debug('Processing HTTP API event');
+    isHttp = true;
+    ({ guessId, userId } = parseJsonBody(event));
+  } else {
+    logger.warn('Invalid event format', { eventKeys: Object.keys(event) });
+    throw new ValidationError(ERROR_MESSAGES.INVALID_EVENT, ERROR_CODES.INVALID_EVENT);
+  }
 
-    // Validate required parameters
-    if (!guessId || !userId) {
-      return errorResponse(ERROR_MESSAGES.MISSING_PARAMETERS, HTTP_STATUS.BAD_REQUEST, ERROR_CODES.MISSING_PARAMETERS);
-    }
+  // Validate required parameters
+  if (!guessId || !userId) {
+    throw new ValidationError(ERROR_MESSAGES.MISSING_PARAMETERS, ERROR_CODES.MISSING_PARAMETERS);
+  }
 
-    console.log('Resolving guess:', { guessId, userId });
+  // HTTP callers may only resolve their own guesses; scheduled invocations are trusted
+  if (isHttp) {
+    await requireSession(event, userId, { repository });
+  }
 
-    // Get the guess from DynamoDB
-    const guess = await getGuessById(guessId);
-    if (!guess) {
-      return errorResponse(ERROR_MESSAGES.GUESS_NOT_FOUND, HTTP_STATUS.NOT_FOUND, ERROR_CODES.GUESS_NOT_FOUND);
-    }
+  addLogContext({ playerId: userId, guessId });
+  logger.info('Resolving guess', { attempt });
 
-    // Check if guess belongs to the specified user
-    if (guess.playerId !== userId) {
-      return errorResponse(ERROR_MESSAGES.UNAUTHORIZED, HTTP_STATUS.FORBIDDEN, ERROR_CODES.UNAUTHORIZED);
-    }
+  // Get the guess from DynamoDB
+  const guess = await repository.getGuessById(guessId);
+  if (!guess) {
+    throw new NotFoundError(ERROR_MESSAGES.GUESS_NOT_FOUND, ERROR_CODES.GUESS_NOT_FOUND);
+  }
 
-    // Check if guess is already resolved
-    if (guess.status !== GUESS_STATUS.ACTIVE) {
-      console.log('Guess already resolved:', guess.status);
+  // Check if guess belongs to the specified user
+  if (guess.playerId !== userId) {
+    throw new ForbiddenError();
+  }
+
+  // Resolve at the price as of resolveAt; scheduled invocations re-schedule themselves when no price is available
+  const resolution = await resolveActiveGuess(guess, {
+    attempt,
+    reschedule: isScheduled,
+    cleanupSchedules: !isScheduled, // The invoking schedule deletes itself after completion
+    repository,
+    scheduler
+  });
+
+  switch (resolution.outcome) {
+    case RESOLUTION_OUTCOMES.ALREADY_RESOLVED:
+      return alreadyResolvedResponse(resolution.guess);
+
+    case RESOLUTION_OUTCOMES.NOT_READY:
+      throw new ConflictError(ERROR_MESSAGES.GUESS_NOT_READY, ERROR_CODES.GUESS_NOT_READY);
+
+    case RESOLUTION_OUTCOMES.DEFERRED:
       return successResponse({
-        message: RESPONSE_MESSAGES.GUESS_ALREADY_RESOLVED,
-        result: guess.status === GUESS_STATUS.WON ? 'win' : 'loss',
-        alreadyResolved: true
+        message: RESPONSE_MESSAGES.GUESS_RESOLUTION_DEFERRED,
+        deferred: true,
+        attempt: resolution.attempt
       });
-    }
 
-    // Get current Bitcoin price
-    const currentPrice = await getBitcoinPriceWithFallback();
-    console.log('Price comparison:', {
-      initialPrice: guess.currentPrice,
-      currentPrice: currentPrice,
-      direction: guess.direction
-    });
-
-    // Determine if guess was correct
-    const priceWentUp = currentPrice > guess.currentPrice;
-    const guessWasCorrect = (guess.direction === GUESS_DIRECTION.UP && priceWentUp) ||
-                           (guess.direction === GUESS_DIRECTION.DOWN && !priceWentUp);
-
-    const result = guessWasCorrect ? 'win' : 'loss';
-    const status = guessWasCorrect ? GUESS_STATUS.WON : GUESS_STATUS.LOST;
-    const scoreChange = guessWasCorrect ? SCORE_CHANGES.WIN : SCORE_CHANGES.LOSS;
-
-    console.log('Guess resolution:', {
-      guessWasCorrect,
-      result,
-      scoreChange
-    });
-
-    // Update guess status and player score in parallel
-    const [updatedGuess, updatedPlayer] = await Promise.all([
-      updateGuessResolution(guessId, status, currentPrice),
-      updatePlayerScore(userId, scoreChange)
-    ]);
-
-    console.log('Guess resolved successfully:', {
-      guessId,
-      result,
-      newScore: updatedPlayer.score
-    });
-
-    // Return success response
-    return successResponse({
-      message: RESPONSE_MESSAGES.GUESS_RESOLVED,
-      result: result,
-      newScore: updatedPlayer.score,
-      priceChange: {
-        initial: guess.currentPrice,
-        final: currentPrice,
-        direction: priceWentUp ? 'up' : 'down'
-      }
-    });
-
-  } catch (error) {
-    console.error('Error resolving guess:', error);
-
-    // Handle DynamoDB errors
-    if (error.code && error.code.startsWith('Dynamo')) {
-      return errorResponse('Database error occurred', 500, 'DATABASE_ERROR');
-    }
+    case RESOLUTION_OUTCOMES.PRICE_UNAVAILABLE:
+      throw new ServiceUnavailableError(
+        isScheduled ? ERROR_MESSAGES.PRICE_FETCH_ERROR : RESPONSE_MESSAGES.GUESS_RESOLUTION_DEFERRED,
+        ERROR_CODES.PRICE_FETCH_ERROR
+      );
+
+    default:
+      break;
+  }
 
-    // Handle Bitcoin price fetch errors
-    if (error.message && error.message.includes('Bitcoin price')) {
-      return errorResponse('Failed to fetch Bitcoin price', 500, 'PRICE_FETCH_ERROR');
+  const { result, player, priceData, priceDirection } = resolution;
+
+  logger.info('Guess resolved successfully', {
+    result,
+    newScore: player.score
+  });
+
+  // Return success response
+  return successResponse({
+    message: RESPONSE_MESSAGES.GUESS_RESOLVED,
+    result: result,
+    newScore: player.score,
+    priceChange: {
+      initial: guess.currentPrice,
+      final: priceData.price,
+      finalPriceAt: new Date(priceData.timestamp).toISOString(),
+      direction: priceDirection
     }
+  });
+});
 
-    // Generic server error
-    return errorResponse('Internal server error', 500, 'INTERNAL_ERROR');
-  }
-};
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,71 @@
+const { getDefaultRepository } = require('../repositories');
+const { resolveActiveGuess, voidActiveGuess } = require('../utils/resolution');
+const clock = require('../utils/clock');
+const { logger, withLogContext } = require('../utils/logger');
+const { RESOLUTION_CONFIG, RESOLUTION_OUTCOMES } = require('../config/constants');
+
+/**
+ * Lambda handler for sweeping overdue guesses
+ * Triggered on a schedule. Finds ACTIVE guesses whose resolveAt is past by more than
+ * RESOLUTION_CONFIG.SWEEPER_GRACE_PERIOD (e.g. because scheduling failed or every deferred
+ * retry ran out) and resolves them through the same logic as resolveGuess. Guesses that still have
+ * no price RESOLUTION_CONFIG.VOID_AFTER past their resolveAt are voided, releasing their stake.
+ * Expired guesses (past VOID_AFTER) and guesses within the window are read separately, up to
+ * SWEEPER_BATCH_SIZE each, so unpriceable old guesses never hold up newer ones that can be priced.
+ * Output: { "found": number, "recovered": number, "alreadyResolved": number, "deferred": number, "voided": number, "failed": number }
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player, guess and price tick repository (default: DynamoDB)
+ * @param {Object} dependencies.scheduler - Resolution scheduler backend (default: EventBridge Scheduler, or the local scheduler offline)
+ * @returns {Function} - Lambda handler
+ */
+const createHandler = ({ repository = getDefaultRepository(), scheduler } = {}) => withLogContext('Sweep Overdue Guesses', async () => {
+  const resolveBefore = new Date(clock.now() - RESOLUTION_CONFIG.SWEEPER_GRACE_PERIOD).toISOString();
+  const voidBeforeMs = clock.now() - RESOLUTION_CONFIG.VOID_AFTER;
+  const voidBefore = new Date(voidBeforeMs).toISOString();
+
+  // Each run settles every expired guess it reads (resolved from a stored tick, or voided), and
+  // reads the guesses within the window on their own
+  const expiredGuesses = await repository.getOverdueActiveGuesses(new Date(voidBeforeMs - 1).toISOString(), RESOLUTION_CONFIG.SWEEPER_BATCH_SIZE);
+  const recentGuesses = await repository.getOverdueActiveGuesses(resolveBefore, RESOLUTION_CONFIG.SWEEPER_BATCH_SIZE, { resolveAfter: voidBefore });
+  const overdueGuesses = [...expiredGuesses, ...recentGuesses];
+
+  const report = {
+    found: overdueGuesses.length,
+    recovered: 0,
+    alreadyResolved: 0,
+    deferred: 0,
+    voided: 0,
+    failed: 0
+  };
+
+  // Resolve sequentially to keep price lookups and transactions within provider rate limits
+  for (const guess of overdueGuesses) {
+    try {
+      const resolution = await resolveActiveGuess(guess, { repository, scheduler });
+
+      if (resolution.outcome === RESOLUTION_OUTCOMES.RESOLVED) {
+        report.recovered += 1;
+        logger.info('Recovered overdue guess', { guessId: guess.guessId, resolveAt: guess.resolveAt, result: resolution.result });
+      } else if (resolution.outcome === RESOLUTION_OUTCOMES.ALREADY_RESOLVED) {
+        report.alreadyResolved += 1;
+      } else if (guess.resolveAt < voidBefore) {
+        // No price will become available any more; void the guess so its stake is released
+        const voided = await voidActiveGuess(guess, { repository, scheduler });
+        report[voided.outcome === RESOLUTION_OUTCOMES.VOIDED ? 'voided' : 'alreadyResolved'] += 1;
+      } else {
+        // No price available yet; the guess stays ACTIVE and is retried on the next run
+        report.deferred += 1;
+      }
+    } catch (error) {
+      report.failed += 1;
+      logger.error('Failed to resolve overdue guess', { playerId: guess.playerId, guessId: guess.guessId, error });
+    }
+  }
+
+  logger.info('Overdue guess sweep completed', report);
+
+  return report;
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
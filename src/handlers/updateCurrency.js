@@ -0,0 +1,51 @@
+const { getDefaultRepository } = require('../repositories');
+const { successResponse } = require('../utils/response');
+const { validateCurrency } = require('../utils/validation');
+const { withMiddleware, jsonBody, uuidParam, authorize } = require('../utils/middleware');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const { RESPONSE_MESSAGES, ERROR_MESSAGES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Lambda handler for changing a player's preferred quote currency
+ * POST /api/player/{userId}/currency
+ * Headers: Authorization: Bearer <sessionToken>
+ * Body: { "currency": "USD" | "EUR" | "GBP" }
+ * Response: { "message": "Currency updated", "currency": "EUR" }
+ * The currency is the default for the player's state and new guesses; open guesses keep their own currency.
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Player and guess repository (default: DynamoDB)
+ * @returns {Function} - Lambda handler
+ */
+const createHandler = ({ repository = getDefaultRepository() } = {}) => withMiddleware(
+  { name: 'Update Currency' },
+  uuidParam('userId'),
+  // Only the player's own session may change their currency
+  authorize(({ params }) => params.userId, { repository }),
+  jsonBody()
+)(async ({ params: { userId }, body }) => {
+  if (!body.currency) {
+    throw new ValidationError('currency is required');
+  }
+
+  const currencyValidation = validateCurrency(body.currency);
+  if (!currencyValidation.isValid) {
+    throw new ValidationError(currencyValidation.error);
+  }
+
+  const player = await repository.updatePlayerCurrency(userId, currencyValidation.normalizedCurrency);
+  if (!player) {
+    throw new NotFoundError(ERROR_MESSAGES.PLAYER_NOT_FOUND, ERROR_CODES.PLAYER_NOT_FOUND);
+  }
+
+  logger.info('Currency updated successfully', { currency: player.currency });
+
+  // Return success response
+  return successResponse({
+    message: RESPONSE_MESSAGES.CURRENCY_UPDATED,
+    currency: player.currency
+  }, HTTP_STATUS.OK);
+});
+
+exports.createHandler = createHandler;
+exports.handler = createHandler();
@@ -0,0 +1,42 @@
+const dynamodb = require('../utils/dynamodb');
+
+/**
+ * Create the DynamoDB repository, backed by the table operations in src/utils/dynamodb.js
+ * @returns {Object} - Repository (see src/repositories/index.js for the interface)
+ */
+const createDynamoDbRepository = () => ({
+  createPlayer: dynamodb.createPlayer,
+  registerPlayerAccount: dynamodb.registerPlayerAccount,
+  getAccountByLogin: dynamodb.getAccountByLogin,
+  updatePlayerPassword: dynamodb.updatePlayerPassword,
+  setPlayerClaimCode: dynamodb.setPlayerClaimCode,
+  claimPlayerToken: dynamodb.claimPlayerToken,
+  recordFailedLogin: dynamodb.recordFailedLogin,
+  clearFailedLogins: dynamodb.clearFailedLogins,
+  updatePlayerCurrency: dynamodb.updatePlayerCurrency,
+  getPlayerById: dynamodb.getPlayerById,
+  updatePlayerLastActive: dynamodb.updatePlayerLastActive,
+  createGuess: dynamodb.createGuess,
+  createStakedGuess: dynamodb.createStakedGuess,
+  getActiveGuessForPlayer: dynamodb.getActiveGuessForPlayer,
+  getGuessById: dynamodb.getGuessById,
+  getLatestGuessForPlayer: dynamodb.getLatestGuessForPlayer,
+  getGuessesForPlayer: dynamodb.getGuessesForPlayer,
+  getOverdueActiveGuesses: dynamodb.getOverdueActiveGuesses,
+  cancelGuess: dynamodb.cancelGuess,
+  voidGuess: dynamodb.voidGuess,
+  recordResolveAttempt: dynamodb.recordResolveAttempt,
+  resolveGuessWithScore: dynamodb.resolveGuessWithScore,
+  putPriceTick: dynamodb.putPriceTick,
+  getPriceTicks: dynamodb.getPriceTicks,
+  putScheduledJob: dynamodb.putScheduledJob,
+  getScheduledJobs: dynamodb.getScheduledJobs,
+  deleteScheduledJob: dynamodb.deleteScheduledJob,
+  getScoreHistogram: dynamodb.getScoreHistogram,
+  getLeaderboardPage: dynamodb.getLeaderboardPage,
+  getPlayerStatsPeriods: dynamodb.getPlayerStatsPeriods
+});
+
+module.exports = {
+  createDynamoDbRepository
+};
@@ -0,0 +1,545 @@
+const { planScoreUpdate } = require('../utils/scoreUpdate');
+const { sumScoreHistograms, mergeLeaderboardPages } = require('../utils/leaderboard');
+const clock = require('../utils/clock');
+const { GUESS_STATUS, GUESS_HISTORY, ERROR_CODES, ACCOUNTS } = require('../config/constants');
+
+/**
+ * In-memory repository with the same behaviour as the DynamoDB repository, for exercising
+ * handlers without DynamoDB. It reproduces the conditional writes (duplicate IDs, claimed
+ * logins, stake reservations, exactly-once resolution and cancellation), the sparse global
+ * secondary indexes with their sort order, Limit and LastEvaluatedKey semantics and the
+ * LeaderboardIndex projection, and the score floor at 0. Items are copied on the way in and
+ * out, as they would be by a round trip through DynamoDB.
+ */
+
+/**
+ * Copy an item so callers never share objects with the store
+ * @param {Object|undefined} item - Stored item
+ * @returns {Object|null} - Copy of the item or null if there is none
+ */
+const copy = (item) => (item ? structuredClone(item) : null);
+
+/**
+ * Create the error DynamoDB raises when a write condition fails
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code ConditionalCheckFailedException
+ */
+const conditionalCheckFailed = (message) => {
+  const error = new Error(message);
+  error.code = 'ConditionalCheckFailedException';
+  return error;
+};
+
+/**
+ * Compare two string attributes for a sort key order
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {number} - Negative, zero or positive
+ */
+const compareStrings = (a, b) => (a < b ? -1 : (a > b ? 1 : 0));
+
+/**
+ * Read one page of an index the way a DynamoDB Query does: items after the exclusive start key,
+ * at most `limit` items evaluated, the filter applied to evaluated items only, and a
+ * LastEvaluatedKey whenever the limit was reached (even if no items are left).
+ * @param {Array<Object>} items - Items of the queried partition and key range
+ * @param {Object} options - Query options
+ * @param {Function} options.compare - Index sort order, ties broken by the table key
+ * @param {Function} options.keyOf - Builds the LastEvaluatedKey of an item (index and table key)
+ * @param {number} options.limit - Maximum number of items to evaluate (optional)
+ * @param {Object} options.exclusiveStartKey - LastEvaluatedKey of the previous page (optional)
+ * @param {Function} options.filter - Filter applied after the limit (optional)
+ * @returns {Object} - { items, lastEvaluatedKey }
+ */
+const queryIndex = (items, { compare, keyOf, limit = null, exclusiveStartKey = null, filter = null }) => {
+  const sorted = [...items].sort(compare);
+  const remaining = exclusiveStartKey
+    ? sorted.filter((item) => compare(exclusiveStartKey, item) < 0)
+    : sorted;
+  const evaluated = limit ? remaining.slice(0, limit) : remaining;
+
+  return {
+    items: (filter ? evaluated.filter(filter) : evaluated).map(copy),
+    lastEvaluatedKey: limit && evaluated.length === limit ? keyOf(evaluated[evaluated.length - 1]) : null
+  };
+};
+
+// Index sort orders as queried by the DynamoDB repository
+const latestFirst = (a, b) => compareStrings(b.createdAt, a.createdAt) || compareStrings(b.guessId, a.guessId);
+const mostOverdueFirst = (a, b) => compareStrings(a.resolveAt, b.resolveAt) || compareStrings(a.guessId, b.guessId);
+const highestRankFirst = (a, b) => compareStrings(b.rankKey, a.rankKey) || compareStrings(b.playerId, a.playerId);
+
+// Attributes projected into the LeaderboardIndex (keys plus the INCLUDE list in serverless.yml)
+const LEADERBOARD_PROJECTION = ['playerId', 'leaderboard', 'rankKey', 'name', 'score', 'scoreReachedAt'];
+
+/**
+ * Create an in-memory repository
+ * @param {Object} seed - Initial items (optional)
+ * @param {Array<Object>} seed.players - Players; ranked players (with a rankKey) are counted in the score histogram
+ * @param {Array<Object>} seed.guesses - Guesses
+ * @returns {Object} - Repository (see src/repositories/index.js for the interface) plus snapshot()
+ */
+const createInMemoryRepository = ({ players: seedPlayers = [], guesses: seedGuesses = [] } = {}) => {
+  const players = new Map();
+  const guesses = new Map();
+  const accounts = new Map();
+  const histogram = new Map(); // "<partition>|<score>" -> histogram item
+  const playerStats = new Map(); // "<playerId>|<period>" -> period item
+  const priceTicks = new Map(); // symbol -> Map(timestamp -> tick)
+  const scheduledJobs = new Map(); // "<scheduleGroup>|<name>" -> local scheduler job
+
+  const addToHistogram = (partition, score, delta) => {
+    const key = `${partition}|${score}`;
+    const bucket = histogram.get(key) || { leaderboard: partition, score, playerCount: 0 };
+    histogram.set(key, { ...bucket, playerCount: bucket.playerCount + delta });
+  };
+
+  seedPlayers.forEach((player) => {
+    players.set(player.playerId, copy(player));
+    if (player.rankKey) {
+      addToHistogram(player.leaderboard, player.score, 1);
+    }
+  });
+  seedGuesses.forEach((guess) => guesses.set(guess.guessId, copy(guess)));
+
+  // Guesses in the PlayerTimeIndex of a player (the index is sparse on createdAt)
+  const getPlayerTimeItems = (playerId) => [...guesses.values()]
+    .filter((guess) => guess.playerId === playerId && guess.createdAt);
+
+  const createPlayer = async (player) => {
+    if (players.has(player.playerId)) {
+      throw conditionalCheckFailed(`Player ${player.playerId} already exists`);
+    }
+
+    players.set(player.playerId, copy(player));
+    addToHistogram(player.leaderboard, player.score, 1);
+    return player;
+  };
+
+  const registerPlayerAccount = async (playerId, { logins, attributes }) => {
+    const player = players.get(playerId);
+    const conflictCode = !player || player.passwordHash
+      ? ERROR_CODES.ACCOUNT_ALREADY_REGISTERED
+      : logins
+        .filter((login) => accounts.has(login.key))
+        .map((login) => (login.type === 'email' ? ERROR_CODES.EMAIL_TAKEN : ERROR_CODES.USERNAME_TAKEN))[0];
+
+    if (conflictCode) {
+      const conflict = new Error(`Account registration for player ${playerId} conflicted: ${conflictCode}`);
+      conflict.code = conflictCode;
+      throw conflict;
+    }
+
+    Object.assign(player, copy(attributes));
+    logins.forEach((login) => accounts.set(login.key, {
+      login: login.key,
+      playerId,
+      createdAt: attributes.registeredAt
+    }));
+    return attributes;
+  };
+
+  const getAccountByLogin = async (loginKey) => copy(accounts.get(loginKey));
+
+  const updatePlayerPassword = async (playerId, expectedHash, passwordHash) => {
+    const player = players.get(playerId);
+    if (!player || player.passwordHash !== expectedHash) {
+      return false;
+    }
+
+    player.passwordHash = passwordHash;
+    player.passwordChangedAt = new Date(clock.now()).toISOString();
+    return true;
+  };
+
+  const recordFailedLogin = async (playerId, lockedUntil) => {
+    const player = players.get(playerId);
+    if (!player) {
+      return { failedLogins: 0, lockedUntil: null };
+    }
+
+    const failedLogins = (player.failedLogins || 0) + 1;
+    if (failedLogins < ACCOUNTS.MAX_FAILED_LOGINS) {
+      player.failedLogins = failedLogins;
+      return { failedLogins, lockedUntil: null };
+    }
+
+    player.failedLogins = 0;
+    player.lockedUntil = lockedUntil;
+    return { failedLogins, lockedUntil };
+  };
+
+  const clearFailedLogins = async (playerId) => {
+    const player = players.get(playerId);
+    if (player) {
+      delete player.failedLogins;
+      delete player.lockedUntil;
+    }
+  };
+
+  const setPlayerClaimCode = async (playerId, claimCodeHash, expiresAt) => {
+    const player = players.get(playerId);
+    if (!player || player.tokenHash || player.passwordHash) {
+      return false;
+    }
+
+    player.claimCodeHash = claimCodeHash;
+    player.claimCodeExpiresAt = expiresAt;
+    return true;
+  };
+
+  const claimPlayerToken = async (playerId, tokenHash, claimCodeHash) => {
+    const player = players.get(playerId);
+    const timestamp = new Date(clock.now()).toISOString();
+    if (!player || player.tokenHash || player.passwordHash ||
+        player.claimCodeHash !== claimCodeHash || !(player.claimCodeExpiresAt > timestamp)) {
+      return false;
+    }
+
+    player.tokenHash = tokenHash;
+    player.tokenClaimedAt = timestamp;
+    delete player.claimCodeHash;
+    delete player.claimCodeExpiresAt;
+    return true;
+  };
+
+  const updatePlayerCurrency = async (playerId, currency) => {
+    const player = players.get(playerId);
+    if (!player) {
+      return null;
+    }
+
+    player.currency = currency;
+    return copy(player);
+  };
+
+  const getPlayerById = async (playerId) => copy(players.get(playerId));
+
+  const updatePlayerLastActive = async (playerId) => {
+    // An unconditional update creates the item if it does not exist
+    const player = players.get(playerId) || { playerId };
+    player.lastActive = new Date(clock.now()).toISOString();
+    players.set(playerId, player);
+    return copy(player);
+  };
+
+  const createGuess = async (guess) => {
+    if (guesses.has(guess.guessId)) {
+      throw conditionalCheckFailed('The conditional request failed');
+    }
+
+    guesses.set(guess.guessId, { ...copy(guess), activeResolveAt: guess.resolveAt });
+    return guess;
+  };
+
+  const createStakedGuess = async (guess, player) => {
+    if (guesses.has(guess.guessId)) {
+      throw conditionalCheckFailed(`Guess ${guess.guessId} already exists`);
+    }
+
+    const reservedStake = player.reservedStake || 0;
+    const stored = players.get(guess.playerId);
+    const reservationUnchanged = stored
+      && stored.score === player.score
+      && (stored.reservedStake === reservedStake || (reservedStake === 0 && stored.reservedStake === undefined));
+
+    if (!reservationUnchanged) {
+      const unavailable = new Error(`Stake of player ${guess.playerId} changed while reserving`);
+      unavailable.code = ERROR_CODES.STAKE_UNAVAILABLE;
+      throw unavailable;
+    }
+
+    guesses.set(guess.guessId, { ...copy(guess), activeResolveAt: guess.resolveAt });
+    stored.reservedStake = reservedStake + guess.stake;
+    return guess;
+  };
+
+  const getActiveGuessForPlayer = async (playerId) => {
+    // PlayerGuessesIndex (playerId, status) with Limit 1
+    const { items } = queryIndex(
+      [...guesses.values()].filter((guess) => guess.playerId === playerId && guess.status === GUESS_STATUS.ACTIVE),
+      { compare: (a, b) => compareStrings(a.guessId, b.guessId), keyOf: () => null, limit: 1 }
+    );
+    return items[0] || null;
+  };
+
+  const getGuessById = async (guessId) => copy(guesses.get(guessId));
+
+  const getLatestGuessForPlayer = async (playerId, maxResults = 1) => {
+    const { items } = queryIndex(getPlayerTimeItems(playerId), {
+      compare: latestFirst,
+      keyOf: () => null,
+      limit: maxResults
+    });
+    return items;
+  };
+
+  const getGuessesForPlayer = async (playerId, {
+    limit,
+    exclusiveStartKey = null,
+    status = null,
+    direction = null,
+    from = null,
+    to = null
+  }) => {
+    const inRange = getPlayerTimeItems(playerId)
+      .filter((guess) => (!from || guess.createdAt >= from) && (!to || guess.createdAt <= to));
+    const hasFilters = Boolean(status || direction);
+    const query = {
+      compare: latestFirst,
+      keyOf: (guess) => ({ guessId: guess.guessId, playerId: guess.playerId, createdAt: guess.createdAt }),
+      limit: hasFilters ? GUESS_HISTORY.QUERY_PAGE_SIZE : limit,
+      exclusiveStartKey,
+      filter: hasFilters
+        ? (guess) => (!status || guess.status === status) && (!direction || guess.direction === direction)
+        : null
+    };
+
+    const page = [];
+    let lastEvaluatedKey = null;
+    let queries = 0;
+
+    do {
+      const result = queryIndex(inRange, query);
+      queries++;
+      const needed = limit - page.length;
+
+      if (result.items.length > needed) {
+        page.push(...result.items.slice(0, needed));
+        lastEvaluatedKey = query.keyOf(page[page.length - 1]);
+        break;
+      }
+
+      page.push(...result.items);
+      lastEvaluatedKey = result.lastEvaluatedKey;
+      query.exclusiveStartKey = lastEvaluatedKey;
+    } while (lastEvaluatedKey && page.length < limit && queries < GUESS_HISTORY.MAX_QUERY_PAGES);
+
+    return { guesses: page, lastEvaluatedKey };
+  };
+
+  const getOverdueActiveGuesses = async (resolveBefore, maxResults, { resolveAfter = null, newestFirst = false } = {}) => {
+    // ActiveResolveAtIndex (status, activeResolveAt), sparse on activeResolveAt, which only ACTIVE guesses have
+    const { items } = queryIndex(
+      [...guesses.values()].filter((guess) => guess.status === GUESS_STATUS.ACTIVE && guess.activeResolveAt
+        && guess.activeResolveAt <= resolveBefore && (!resolveAfter || guess.activeResolveAt >= resolveAfter)),
+      { compare: newestFirst ? (a, b) => mostOverdueFirst(b, a) : mostOverdueFirst, keyOf: () => null, limit: maxResults }
+    );
+    return items;
+  };
+
+  const cancelGuess = async (guess, createdAfter) => {
+    const stored = guesses.get(guess.guessId);
+    if (!stored || stored.status !== GUESS_STATUS.ACTIVE || !(stored.createdAt >= createdAfter)) {
+      return null;
+    }
+
+    const cancelledAt = new Date(clock.now()).toISOString();
+    stored.status = GUESS_STATUS.CANCELLED;
+    stored.cancelledAt = cancelledAt;
+    delete stored.activeResolveAt;
+
+    if (!guess.stake) {
+      return copy(stored);
+    }
+
+    // ADD creates the player item and attribute if they do not exist
+    const player = players.get(guess.playerId) || { playerId: guess.playerId };
+    player.reservedStake = (player.reservedStake || 0) - guess.stake;
+    players.set(guess.playerId, player);
+
+    return { ...guess, status: GUESS_STATUS.CANCELLED, cancelledAt };
+  };
+
+  const voidGuess = async (guess) => {
+    const stored = guesses.get(guess.guessId);
+    if (!stored || stored.status !== GUESS_STATUS.ACTIVE) {
+      return null;
+    }
+
+    const voidedAt = new Date(clock.now()).toISOString();
+    stored.status = GUESS_STATUS.VOID;
+    stored.voidedAt = voidedAt;
+    delete stored.activeResolveAt;
+
+    if (!guess.stake) {
+      return copy(stored);
+    }
+
+    // ADD creates the player item and attribute if they do not exist
+    const player = players.get(guess.playerId) || { playerId: guess.playerId };
+    player.reservedStake = (player.reservedStake || 0) - guess.stake;
+    players.set(guess.playerId, player);
+
+    return { ...guess, status: GUESS_STATUS.VOID, voidedAt };
+  };
+
+  const recordResolveAttempt = async (guessId, attempt) => {
+    const stored = guesses.get(guessId);
+    if (!stored || stored.status !== GUESS_STATUS.ACTIVE) {
+      return false;
+    }
+
+    stored.resolveAttempt = attempt;
+    return true;
+  };
+
+  const resolveGuessWithScore = async (guess, status, priceData, scoreChange) => {
+    const player = players.get(guess.playerId);
+    if (!player) {
+      throw new Error(`Player ${guess.playerId} not found while resolving guess ${guess.guessId}`);
+    }
+
+    const stored = guesses.get(guess.guessId);
+    if (!stored || stored.status !== GUESS_STATUS.ACTIVE) {
+      const alreadyResolved = new Error(`Guess ${guess.guessId} was already resolved`);
+      alreadyResolved.code = ERROR_CODES.GUESS_ALREADY_RESOLVED;
+      throw alreadyResolved;
+    }
+
+    const now = new Date(clock.now()).toISOString();
+    const { newScore, leaderboardAttributes, histogramMoves, stats, statsPeriods, resolution } =
+      planScoreUpdate(guess, player, status, priceData, scoreChange, now);
+
+    Object.assign(stored, copy(resolution));
+    delete stored.activeResolveAt;
+    Object.assign(player, leaderboardAttributes, { score: newScore, lastActive: now, stats });
+    if (guess.stake) {
+      player.reservedStake = (player.reservedStake || 0) - guess.stake;
+    }
+
+    histogramMoves.forEach(({ partition, score, delta }) => addToHistogram(partition, score, delta));
+    statsPeriods.forEach((period) => {
+      const key = `${guess.playerId}|${period}`;
+      const item = playerStats.get(key) || { playerId: guess.playerId, period, totalGuesses: 0, wins: 0, losses: 0, pushes: 0 };
+      item.totalGuesses += 1;
+      item.wins += status === GUESS_STATUS.WON ? 1 : 0;
+      item.losses += status === GUESS_STATUS.LOST ? 1 : 0;
+      item.pushes += status === GUESS_STATUS.PUSH ? 1 : 0;
+      playerStats.set(key, item);
+    });
+
+    return {
+      guess: { ...guess, ...resolution },
+      player: copy(player)
+    };
+  };
+
+  const putPriceTick = async (tick) => {
+    const symbolTicks = priceTicks.get(tick.symbol) || new Map();
+    symbolTicks.set(tick.timestamp, copy(tick));
+    priceTicks.set(tick.symbol, symbolTicks);
+    return tick;
+  };
+
+  const getPriceTicks = async (symbol, from, to) => {
+    return [...(priceTicks.get(symbol) || new Map()).values()]
+      .filter((tick) => tick.timestamp >= from && tick.timestamp <= to)
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(copy);
+  };
+
+  const putScheduledJob = async (job) => {
+    scheduledJobs.set(`${job.scheduleGroup}|${job.name}`, copy(job));
+    return job;
+  };
+
+  const getScheduledJobs = async (scheduleGroup, namePrefix = '') => {
+    return [...scheduledJobs.values()]
+      .filter((job) => job.scheduleGroup === scheduleGroup && job.name.startsWith(namePrefix))
+      .sort((a, b) => compareStrings(a.name, b.name))
+      .map(copy);
+  };
+
+  const deleteScheduledJob = async (scheduleGroup, name) => {
+    const key = `${scheduleGroup}|${name}`;
+    const job = scheduledJobs.get(key);
+    scheduledJobs.delete(key);
+    return job || null;
+  };
+
+  const getScoreHistogram = async () => {
+    // Buckets emptied by ADD -1 keep their item with a playerCount of 0
+    return sumScoreHistograms([...histogram.values()]);
+  };
+
+  const getLeaderboardPage = async (limit, exclusiveStartKey = null) => {
+    const queryPartition = async (partition, partitionLimit, partitionStartKey) => {
+      const ranked = [...players.values()]
+        .filter((player) => player.leaderboard === partition && player.rankKey)
+        .map((player) => LEADERBOARD_PROJECTION
+          .filter((attribute) => player[attribute] !== undefined)
+          .reduce((item, attribute) => ({ ...item, [attribute]: player[attribute] }), {}));
+
+      const { items, lastEvaluatedKey } = queryIndex(ranked, {
+        compare: highestRankFirst,
+        keyOf: (player) => ({ playerId: player.playerId, leaderboard: player.leaderboard, rankKey: player.rankKey }),
+        limit: partitionLimit,
+        exclusiveStartKey: partitionStartKey
+      });
+      return { players: items, lastEvaluatedKey };
+    };
+
+    return mergeLeaderboardPages(limit, exclusiveStartKey, queryPartition);
+  };
+
+  const getPlayerStatsPeriods = async (playerId, prefix, maxResults) => {
+    return [...playerStats.values()]
+      .filter((item) => item.playerId === playerId && item.period.startsWith(prefix))
+      .sort((a, b) => compareStrings(b.period, a.period))
+      .slice(0, maxResults)
+      .map(copy);
+  };
+
+  /**
+   * Copy every stored item, for assertions in tests and scripts
+   * @returns {Object} - { players, guesses, accounts, leaderboard, playerStats, priceTicks, scheduledJobs }
+   */
+  const snapshot = () => ({
+    players: [...players.values()].map(copy),
+    guesses: [...guesses.values()].map(copy),
+    accounts: [...accounts.values()].map(copy),
+    leaderboard: [...histogram.values()].map(copy),
+    playerStats: [...playerStats.values()].map(copy),
+    priceTicks: [...priceTicks.values()].flatMap((symbolTicks) => [...symbolTicks.values()]).map(copy),
+    scheduledJobs: [...scheduledJobs.values()].map(copy)
+  });
+
+  return {
+    createPlayer,
+    registerPlayerAccount,
+    getAccountByLogin,
+    updatePlayerPassword,
+    setPlayerClaimCode,
+    claimPlayerToken,
+    recordFailedLogin,
+    clearFailedLogins,
+    updatePlayerCurrency,
+    getPlayerById,
+    updatePlayerLastActive,
+    createGuess,
+    createStakedGuess,
+    getActiveGuessForPlayer,
+    getGuessById,
+    getLatestGuessForPlayer,
+    getGuessesForPlayer,
+    getOverdueActiveGuesses,
+    cancelGuess,
+    voidGuess,
+    recordResolveAttempt,
+    resolveGuessWithScore,
+    putPriceTick,
+    getPriceTicks,
+    putScheduledJob,
+    getScheduledJobs,
+    deleteScheduledJob,
+    getScoreHistogram,
+    getLeaderboardPage,
+    getPlayerStatsPeriods,
+    snapshot
+  };
+};
+
+module.exports = {
+  createInMemoryRepository
+};
@@ -0,0 +1,269 @@
+const { createInMemoryRepository } = require('./inMemoryRepository');
+const { buildLeaderboardAttributes } = require('../utils/leaderboard');
+const { GUESS_STATUS, GUESS_HISTORY, ERROR_CODES, ACCOUNTS } = require('../config/constants');
+
+const player = (overrides = {}) => ({ playerId: 'player-1', name: 'alice', score: 10, ...overrides });
+const guess = (overrides = {}) => ({
+  guessId: 'guess-1',
+  playerId: 'player-1',
+  direction: 'up',
+  currentPrice: 100,
+  timeframe: '1m',
+  scoreMultiplier: 1,
+  status: GUESS_STATUS.ACTIVE,
+  createdAt: '2024-06-01T12:00:00.000Z',
+  resolveAt: '2024-06-01T12:01:00.000Z',
+  ...overrides
+});
+const priceData = { price: 101, sources: ['a', 'b'], timestamp: Date.parse('2024-06-01T12:01:00.000Z') };
+
+describe('createInMemoryRepository', () => {
+  describe('players and accounts', () => {
+    it('rejects a second player with the same ID', async () => {
+      const repository = createInMemoryRepository();
+      await repository.createPlayer(player());
+
+      await expect(repository.createPlayer(player())).rejects.toMatchObject({ code: 'ConditionalCheckFailedException' });
+    });
+
+    it('claims logins once', async () => {
+      const repository = createInMemoryRepository({ players: [player(), player({ playerId: 'player-2' })] });
+      const logins = [{ type: 'email', key: 'email#alice@example.com' }];
+      await repository.registerPlayerAccount('player-1', { logins, attributes: { passwordHash: 'hash', registeredAt: 'now' } });
+
+      await expect(repository.registerPlayerAccount('player-2', { logins, attributes: { passwordHash: 'hash', registeredAt: 'now' } }))
+        .rejects.toMatchObject({ code: ERROR_CODES.EMAIL_TAKEN });
+      await expect(repository.registerPlayerAccount('player-1', { logins: [], attributes: { passwordHash: 'other', registeredAt: 'now' } }))
+        .rejects.toMatchObject({ code: ERROR_CODES.ACCOUNT_ALREADY_REGISTERED });
+      expect(await repository.getAccountByLogin('email#alice@example.com')).toMatchObject({ playerId: 'player-1' });
+    });
+
+    it('changes a password only from the expected hash', async () => {
+      const repository = createInMemoryRepository({ players: [player({ passwordHash: 'old' })] });
+
+      expect(await repository.updatePlayerPassword('player-1', 'stale', 'new')).toBe(false);
+      expect(await repository.updatePlayerPassword('player-1', 'old', 'new')).toBe(true);
+      expect((await repository.getPlayerById('player-1')).passwordHash).toBe('new');
+    });
+
+    it('issues claim codes only to players without credentials', async () => {
+      const repository = createInMemoryRepository({ players: [
+        player(),
+        player({ playerId: 'player-2', tokenHash: 'issued' }),
+        player({ playerId: 'player-3', passwordHash: 'registered' })
+      ] });
+
+      expect(await repository.setPlayerClaimCode('player-1', 'code', '2999-01-01T00:00:00.000Z')).toBe(true);
+      expect(await repository.setPlayerClaimCode('player-2', 'code', '2999-01-01T00:00:00.000Z')).toBe(false);
+      expect(await repository.setPlayerClaimCode('player-3', 'code', '2999-01-01T00:00:00.000Z')).toBe(false);
+      expect(await repository.setPlayerClaimCode('unknown', 'code', '2999-01-01T00:00:00.000Z')).toBe(false);
+    });
+
+    it('issues a token once, for the unexpired claim code', async () => {
+      const repository = createInMemoryRepository({ players: [
+        player({ claimCodeHash: 'code', claimCodeExpiresAt: '2999-01-01T00:00:00.000Z' }),
+        player({ playerId: 'player-2', claimCodeHash: 'code', claimCodeExpiresAt: '2000-01-01T00:00:00.000Z' }),
+        player({ playerId: 'player-3' })
+      ] });
+
+      expect(await repository.claimPlayerToken('player-1', 'claimed', 'wrong')).toBe(false);
+      expect(await repository.claimPlayerToken('player-1', 'claimed', 'code')).toBe(true);
+      expect(await repository.claimPlayerToken('player-1', 'again', 'code')).toBe(false);
+      expect(await repository.claimPlayerToken('player-2', 'claimed', 'code')).toBe(false);
+      expect(await repository.claimPlayerToken('player-3', 'claimed', undefined)).toBe(false);
+      expect(await repository.claimPlayerToken('unknown', 'claimed', 'code')).toBe(false);
+
+      const claimed = await repository.getPlayerById('player-1');
+      expect(claimed.tokenHash).toBe('claimed');
+      expect(claimed).not.toHaveProperty('claimCodeHash');
+      expect(claimed).not.toHaveProperty('claimCodeExpiresAt');
+    });
+
+    it('locks password logins on the failed login that reaches the limit', async () => {
+      const repository = createInMemoryRepository({ players: [player()] });
+
+      for (let attempt = 1; attempt < ACCOUNTS.MAX_FAILED_LOGINS; attempt++) {
+        expect(await repository.recordFailedLogin('player-1', 'later')).toEqual({ failedLogins: attempt, lockedUntil: null });
+      }
+      expect(await repository.recordFailedLogin('player-1', 'later'))
+        .toEqual({ failedLogins: ACCOUNTS.MAX_FAILED_LOGINS, lockedUntil: 'later' });
+      expect(await repository.getPlayerById('player-1')).toMatchObject({ failedLogins: 0, lockedUntil: 'later' });
+
+      await repository.clearFailedLogins('player-1');
+      const cleared = await repository.getPlayerById('player-1');
+      expect(cleared.failedLogins).toBeUndefined();
+      expect(cleared.lockedUntil).toBeUndefined();
+    });
+
+    it('never shares stored objects with callers', async () => {
+      const repository = createInMemoryRepository({ players: [player()] });
+      const stored = await repository.getPlayerById('player-1');
+      stored.score = 1000;
+
+      expect((await repository.getPlayerById('player-1')).score).toBe(10);
+    });
+  });
+
+  describe('guesses', () => {
+    it('rejects a second guess with the same ID', async () => {
+      const repository = createInMemoryRepository({ players: [player()] });
+      await repository.createGuess(guess());
+
+      await expect(repository.createGuess(guess())).rejects.toMatchObject({ code: 'ConditionalCheckFailedException' });
+    });
+
+    it('reserves a stake only against the score read beforehand', async () => {
+      const repository = createInMemoryRepository({ players: [player()] });
+      const readPlayer = await repository.getPlayerById('player-1');
+      await repository.createStakedGuess(guess({ stake: 3 }), readPlayer);
+
+      expect((await repository.getPlayerById('player-1')).reservedStake).toBe(3);
+      await expect(repository.createStakedGuess(guess({ guessId: 'guess-2', stake: 2 }), readPlayer))
+        .rejects.toMatchObject({ code: ERROR_CODES.STAKE_UNAVAILABLE });
+    });
+
+    it('resolves a guess exactly once and releases its stake', async () => {
+      const repository = createInMemoryRepository({ players: [player({ reservedStake: 3 })], guesses: [guess({ stake: 3 })] });
+      const activeGuess = await repository.getGuessById('guess-1');
+
+      const { guess: resolved, player: updated } = await repository.resolveGuessWithScore(activeGuess, GUESS_STATUS.WON, priceData, 3);
+
+      expect(resolved).toMatchObject({ status: GUESS_STATUS.WON, resolvePrice: 101 });
+      expect(updated).toMatchObject({ score: 13, reservedStake: 0 });
+      await expect(repository.resolveGuessWithScore(activeGuess, GUESS_STATUS.LOST, priceData, -3))
+        .rejects.toMatchObject({ code: ERROR_CODES.GUESS_ALREADY_RESOLVED });
+      expect((await repository.getPlayerById('player-1')).score).toBe(13);
+    });
+
+    it('voids only ACTIVE guesses, releasing the stake and keeping the score', async () => {
+      const repository = createInMemoryRepository({ players: [player({ reservedStake: 2 })] });
+      await repository.createGuess(guess({ stake: 2 }));
+
+      expect(await repository.voidGuess(guess({ stake: 2 }))).toMatchObject({ status: GUESS_STATUS.VOID });
+      expect(await repository.getPlayerById('player-1')).toMatchObject({ score: 10, reservedStake: 0 });
+      expect(await repository.voidGuess(guess({ stake: 2 }))).toBeNull();
+      await expect(repository.resolveGuessWithScore(guess({ stake: 2 }), GUESS_STATUS.WON, priceData, 2))
+        .rejects.toMatchObject({ code: ERROR_CODES.GUESS_ALREADY_RESOLVED });
+    });
+
+    it('records resolve attempts only on ACTIVE guesses', async () => {
+      const repository = createInMemoryRepository({ players: [player()] });
+      await repository.createGuess(guess());
+
+      expect(await repository.recordResolveAttempt('guess-1', 1)).toBe(true);
+      expect((await repository.getGuessById('guess-1')).resolveAttempt).toBe(1);
+      await repository.resolveGuessWithScore(guess(), GUESS_STATUS.WON, priceData, 1);
+      expect(await repository.recordResolveAttempt('guess-1', 2)).toBe(false);
+    });
+
+    it('keeps the score histogram in step with resolutions', async () => {
+      const repository = createInMemoryRepository({ players: [], guesses: [guess()] });
+      const ranked = (playerId) => ({ playerId, score: 0, ...buildLeaderboardAttributes(playerId, 0, '2024-06-01T00:00:00.000Z') });
+      await repository.createPlayer(player(ranked('player-1')));
+      await repository.createPlayer(player(ranked('player-2')));
+
+      await repository.resolveGuessWithScore(guess(), GUESS_STATUS.WON, priceData, 1);
+
+      expect(await repository.getScoreHistogram()).toEqual([
+        { score: 0, playerCount: 1 },
+        { score: 1, playerCount: 1 }
+      ]);
+    });
+
+    it('cancels only ACTIVE guesses created within the window', async () => {
+      const repository = createInMemoryRepository({ players: [player({ reservedStake: 2 })], guesses: [guess({ stake: 2 })] });
+
+      expect(await repository.cancelGuess(guess(), '2024-06-01T12:00:01.000Z')).toBeNull();
+
+      const cancelled = await repository.cancelGuess(guess({ stake: 2 }), '2024-06-01T11:59:58.000Z');
+      expect(cancelled.status).toBe(GUESS_STATUS.CANCELLED);
+      expect((await repository.getPlayerById('player-1')).reservedStake).toBe(0);
+      expect(await repository.cancelGuess(guess({ stake: 2 }), '2024-06-01T11:59:58.000Z')).toBeNull();
+    });
+
+    it('finds the active guess and overdue guesses most overdue first', async () => {
+      const repository = createInMemoryRepository({
+        players: [player()],
+        guesses: [guess({ guessId: 'd', status: GUESS_STATUS.WON, resolveAt: '2024-06-01T12:00:00.000Z' })]
+      });
+      await repository.createGuess(guess({ guessId: 'b', resolveAt: '2024-06-01T12:02:00.000Z' }));
+      await repository.createGuess(guess({ guessId: 'a', resolveAt: '2024-06-01T12:01:00.000Z' }));
+      await repository.createGuess(guess({ guessId: 'c', resolveAt: '2024-06-01T12:09:00.000Z' }));
+
+      const overdue = await repository.getOverdueActiveGuesses('2024-06-01T12:05:00.000Z', 10);
+      expect(overdue.map(({ guessId }) => guessId)).toEqual(['a', 'b']);
+      const recent = await repository.getOverdueActiveGuesses('2024-06-01T12:05:00.000Z', 10, { resolveAfter: '2024-06-01T12:02:00.000Z' });
+      expect(recent.map(({ guessId }) => guessId)).toEqual(['b']);
+      const newest = await repository.getOverdueActiveGuesses('2024-06-01T12:05:00.000Z', 1, { newestFirst: true });
+      expect(newest.map(({ guessId }) => guessId)).toEqual(['b']);
+      expect((await repository.getActiveGuessForPlayer('player-1')).status).toBe(GUESS_STATUS.ACTIVE);
+      expect(await repository.getActiveGuessForPlayer('player-2')).toBeNull();
+    });
+
+    it('keeps guesses in the overdue index only while they are ACTIVE', async () => {
+      const repository = createInMemoryRepository({ players: [player()] });
+      const due = (guessId) => guess({ guessId, resolveAt: '2024-06-01T12:01:00.000Z' });
+      await Promise.all(['cancelled', 'voided', 'resolved', 'open'].map((guessId) => repository.createGuess(due(guessId))));
+
+      await repository.cancelGuess(due('cancelled'), '2024-06-01T00:00:00.000Z');
+      await repository.voidGuess(due('voided'));
+      await repository.resolveGuessWithScore(due('resolved'), GUESS_STATUS.WON, { price: 101, sources: ['test'], timestamp: 0 }, 1);
+
+      const overdue = await repository.getOverdueActiveGuesses('2024-06-01T12:05:00.000Z', 10);
+      expect(overdue.map(({ guessId }) => guessId)).toEqual(['open']);
+      expect(repository.snapshot().guesses.filter((stored) => stored.activeResolveAt).map(({ guessId }) => guessId)).toEqual(['open']);
+      expect(repository.snapshot().guesses.every((stored) => stored.resolveAt)).toBe(true);
+    });
+
+    it('pages a player\'s history latest first', async () => {
+      const guesses = [1, 2, 3, 4, 5].map((minute) => guess({
+        guessId: `guess-${minute}`,
+        status: minute % 2 ? GUESS_STATUS.WON : GUESS_STATUS.LOST,
+        createdAt: `2024-06-01T12:0${minute}:00.000Z`
+      }));
+      const repository = createInMemoryRepository({ players: [player()], guesses });
+
+      const first = await repository.getGuessesForPlayer('player-1', { limit: 2 });
+      expect(first.guesses.map(({ guessId }) => guessId)).toEqual(['guess-5', 'guess-4']);
+
+      const second = await repository.getGuessesForPlayer('player-1', { limit: 2, exclusiveStartKey: first.lastEvaluatedKey });
+      expect(second.guesses.map(({ guessId }) => guessId)).toEqual(['guess-3', 'guess-2']);
+
+      const won = await repository.getGuessesForPlayer('player-1', { limit: 10, status: GUESS_STATUS.WON });
+      expect(won.guesses.map(({ guessId }) => guessId)).toEqual(['guess-5', 'guess-3', 'guess-1']);
+      expect(won.lastEvaluatedKey).toBeNull();
+    });
+
+    it('stops reading a filtered history after MAX_QUERY_PAGES queries and continues from there', async () => {
+      const { QUERY_PAGE_SIZE, MAX_QUERY_PAGES } = GUESS_HISTORY;
+      const evaluatedPerRequest = QUERY_PAGE_SIZE * MAX_QUERY_PAGES;
+      // One WON guess, older than a full request's worth of LOST guesses
+      const guesses = Array.from({ length: evaluatedPerRequest + 1 }, (_, index) => guess({
+        guessId: `guess-${String(index).padStart(4, '0')}`,
+        status: index === 0 ? GUESS_STATUS.WON : GUESS_STATUS.LOST,
+        createdAt: new Date(Date.parse('2024-06-01T12:00:00.000Z') + index * 1000).toISOString()
+      }));
+      const repository = createInMemoryRepository({ players: [player()], guesses });
+
+      const first = await repository.getGuessesForPlayer('player-1', { limit: 10, status: GUESS_STATUS.WON });
+      expect(first.guesses).toEqual([]);
+      expect(first.lastEvaluatedKey).toMatchObject({ guessId: 'guess-0001' });
+
+      const second = await repository.getGuessesForPlayer('player-1', { limit: 10, status: GUESS_STATUS.WON, exclusiveStartKey: first.lastEvaluatedKey });
+      expect(second.guesses.map(({ guessId }) => guessId)).toEqual(['guess-0000']);
+      expect(second.lastEvaluatedKey).toBeNull();
+    });
+  });
+
+  describe('price ticks', () => {
+    it('returns the ticks of a symbol within a time range in order', async () => {
+      const repository = createInMemoryRepository();
+      await repository.putPriceTick({ symbol: 'BTC-USD', timestamp: 2000, price: 2 });
+      await repository.putPriceTick({ symbol: 'BTC-USD', timestamp: 1000, price: 1 });
+      await repository.putPriceTick({ symbol: 'ETH-USD', timestamp: 1500, price: 9 });
+
+      expect((await repository.getPriceTicks('BTC-USD', 0, 5000)).map(({ price }) => price)).toEqual([1, 2]);
+      expect(await repository.getPriceTicks('BTC-USD', 1500, 1800)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const { createDynamoDbRepository } = require('./dynamoDbRepository');
+const { createInMemoryRepository } = require('./inMemoryRepository');
+
+/**
+ * Player and guess repositories.
+ *
+ * Handlers, the resolution logic and the local scheduler read and write players, accounts,
+ * guesses, price ticks, leaderboard data and scheduled jobs through a repository object instead
+ * of calling DynamoDB directly, so a different implementation can be injected (see createHandler
+ * in each handler and createLocalScheduler). Every
+ * implementation provides these async methods with the semantics of src/utils/dynamodb.js:
+ *
+ * - createPlayer(player), registerPlayerAccount(playerId, { logins, attributes }), getAccountByLogin(loginKey)
+ * - updatePlayerPassword(playerId, expectedHash, passwordHash)
+ * - setPlayerClaimCode(playerId, claimCodeHash, expiresAt), claimPlayerToken(playerId, tokenHash, claimCodeHash)
+ * - recordFailedLogin(playerId, lockedUntil), clearFailedLogins(playerId)
+ * - updatePlayerCurrency(playerId, currency)
+ * - getPlayerById(playerId, consistentRead), updatePlayerLastActive(playerId)
+ * - createGuess(guess), createStakedGuess(guess, player), cancelGuess(guess, createdAfter), voidGuess(guess)
+ * - recordResolveAttempt(guessId, attempt)
+ * - getGuessById(guessId, consistentRead), getActiveGuessForPlayer(playerId)
+ * - getLatestGuessForPlayer(playerId, maxResults), getGuessesForPlayer(playerId, options)
+ * - getOverdueActiveGuesses(resolveBefore, maxResults, { resolveAfter, newestFirst }), resolveGuessWithScore(guess, status, priceData, scoreChange)
+ * - putPriceTick(tick), getPriceTicks(symbol, from, to)
+ * - putScheduledJob(job), getScheduledJobs(scheduleGroup, namePrefix), deleteScheduledJob(scheduleGroup, name) (local scheduler)
+ * - getScoreHistogram(), getLeaderboardPage(limit, exclusiveStartKey), getPlayerStatsPeriods(playerId, prefix, maxResults)
+ */
+
+let defaultRepository = null;
+
+/**
+ * Get the repository used when none is injected (DynamoDB, created on first use)
+ * @returns {Object} - DynamoDB repository
+ */
+const getDefaultRepository = () => {
+  if (!defaultRepository) {
+    defaultRepository = createDynamoDbRepository();
+  }
+  return defaultRepository;
+};
+
+module.exports = {
+  createDynamoDbRepository,
+  createInMemoryRepository,
+  getDefaultRepository
+};
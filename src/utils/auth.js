@@ -0,0 +1,327 @@
+/**
+ * Player authentication helpers.
+ * Players receive a random secret token at creation (only its SHA-256 hash is stored) and
+ * exchange it for short-lived session tokens signed with HMAC-SHA256 using the session secret.
+ * The session secret is read once per container from the SSM parameter SESSION_SECRET_PARAMETER
+ * (loadSessionSecret, awaited by requireSession and before sessions are issued), unless SESSION_SECRET is set for local runs and tests.
+ * Session tokens have the form "<base64url payload>.<base64url signature>".
+ * Registered accounts log in with a password, stored as a salted scrypt hash.
+ */
+const crypto = require('crypto');
+const { promisify } = require('util');
+const AWS = require('aws-sdk');
+const { logger } = require('./logger');
+const clock = require('./clock');
+const { TooManyRequestsError } = require('./errors');
+const { AUTH, ACCOUNTS, ERROR_MESSAGES, ERROR_CODES, HTTP_STATUS, ENV } = require('../config/constants');
+
+const scrypt = promisify(crypto.scrypt);
+
+let sessionSecret = ENV.SESSION_SECRET || null;
+let sessionSecretRequest = null;
+
+/**
+ * Load the session secret from SSM Parameter Store (once per container; failed loads are retried
+ * on the next call). Resolves immediately when SESSION_SECRET is set.
+ * @returns {Promise<string>} - Session secret
+ */
+const loadSessionSecret = async () => {
+  if (sessionSecret) {
+    return sessionSecret;
+  }
+
+  const parameterName = ENV.SESSION_SECRET_PARAMETER;
+  if (!parameterName) {
+    throw new Error('Session secret is not configured: set SESSION_SECRET_PARAMETER (or SESSION_SECRET for local runs)');
+  }
+
+  if (!sessionSecretRequest) {
+    const ssm = new AWS.SSM({ region: ENV.AWS_REGION });
+    sessionSecretRequest = ssm.getParameter({ Name: parameterName, WithDecryption: true }).promise()
+      .then((result) => {
+        if (!result.Parameter?.Value) {
+          throw new Error(`SSM parameter ${parameterName} is empty`);
+        }
+        sessionSecret = result.Parameter.Value;
+        return sessionSecret;
+      })
+      .catch((error) => {
+        sessionSecretRequest = null;
+        throw new Error(`Session secret could not be loaded from SSM parameter ${parameterName}`, { cause: error });
+      });
+  }
+
+  return sessionSecretRequest;
+};
+
+/**
+ * Generate a new secret player token
+ * @returns {string} - URL-safe random token
+ */
+const generateSecretToken = () => crypto.randomBytes(AUTH.SECRET_TOKEN_BYTES).toString('base64url');
+
+/**
+ * Hash a secret token for storage
+ * @param {string} token - Secret token
+ * @returns {string} - Hex-encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if both strings are equal
+ */
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Check a secret token against the stored hash
+ * @param {string} token - Secret token presented by the client
+ * @param {string} tokenHash - Hash stored on the player item
+ * @returns {boolean} - True if the token matches
+ */
+const verifySecretToken = (token, tokenHash) => {
+  if (typeof token !== 'string' || !token || !tokenHash) {
+    return false;
+  }
+
+  return safeEqual(hashToken(token), tokenHash);
+};
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - Encoded hash "scrypt$N$r$p$<base64 salt>$<base64 key>"
+ */
+const hashPassword = async (password) => {
+  const { ALGORITHM, COST, BLOCK_SIZE, PARALLELIZATION, KEY_LENGTH, SALT_BYTES } = ACCOUNTS.PASSWORD_HASH;
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLELIZATION });
+
+  return [ALGORITHM, COST, BLOCK_SIZE, PARALLELIZATION, salt.toString('base64'), key.toString('base64')].join('$');
+};
+
+/**
+ * Check a password against an encoded scrypt hash.
+ * The cost parameters are read from the hash, so hashes stay valid when the defaults change.
+ * @param {string} password - Plain-text password presented by the client
+ * @param {string} passwordHash - Encoded hash produced by hashPassword
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+const verifyPassword = async (password, passwordHash) => {
+  if (typeof password !== 'string' || typeof passwordHash !== 'string') {
+    return false;
+  }
+
+  const [algorithm, cost, blockSize, parallelization, salt, key] = passwordHash.split('$');
+  if (algorithm !== ACCOUNTS.PASSWORD_HASH.ALGORITHM || !salt || !key) {
+    return false;
+  }
+
+  const expectedKey = Buffer.from(key, 'base64');
+  const actualKey = await scrypt(password, Buffer.from(salt, 'base64'), expectedKey.length, {
+    N: Number(cost),
+    r: Number(blockSize),
+    p: Number(parallelization)
+  });
+
+  return crypto.timingSafeEqual(actualKey, expectedKey);
+};
+
+let dummyPasswordHash = null;
+
+/**
+ * Check a password against a player's hash, or against a dummy hash when there is none, so logins
+ * of unknown accounts take as long as wrong passwords and do not reveal which accounts exist
+ * @param {string} password - Plain-text password presented by the client
+ * @param {string} passwordHash - Encoded hash of the account, or null if the login is unknown
+ * @returns {Promise<boolean>} - True if the password matches (never for a missing hash)
+ */
+const verifyPasswordOrDummy = async (password, passwordHash) => {
+  if (passwordHash) {
+    return verifyPassword(password, passwordHash);
+  }
+
+  // Created once per container with the current cost parameters
+  dummyPasswordHash = dummyPasswordHash || hashPassword(generateSecretToken());
+  await verifyPassword(String(password), await dummyPasswordHash);
+  return false;
+};
+
+/**
+ * Check a player's password, counting wrong ones: after ACCOUNTS.MAX_FAILED_LOGINS in a row,
+ * password checks of the player are locked for ACCOUNTS.LOGIN_LOCKOUT, even with the right
+ * password. Used by password logins and password changes, which share the counter.
+ * @param {Object|null} player - Player, or null if the login is unknown (checked against the dummy hash)
+ * @param {string} password - Plain-text password presented by the client
+ * @param {Object} repository - Player and guess repository the failures are recorded in
+ * @returns {Promise<boolean>} - True if the password matches
+ * @throws {TooManyRequestsError} - If password checks of the player are locked
+ */
+const verifyPasswordWithLockout = async (player, password, repository) => {
+  const now = clock.now();
+  if (player?.lockedUntil && Date.parse(player.lockedUntil) > now) {
+    throw new TooManyRequestsError(ERROR_MESSAGES.TOO_MANY_LOGIN_ATTEMPTS, ERROR_CODES.TOO_MANY_LOGIN_ATTEMPTS);
+  }
+
+  const isValid = await verifyPasswordOrDummy(password, player?.passwordHash || null);
+  if (!player?.passwordHash) {
+    return false;
+  }
+
+  if (!isValid) {
+    const lockedUntil = new Date(now + ACCOUNTS.LOGIN_LOCKOUT).toISOString();
+    const failed = await repository.recordFailedLogin(player.playerId, lockedUntil);
+    if (failed.lockedUntil) {
+      logger.warn('Password checks locked after repeated failures', { playerId: player.playerId, lockedUntil });
+    }
+    return false;
+  }
+
+  if (player.failedLogins || player.lockedUntil) {
+    await repository.clearFailedLogins(player.playerId);
+  }
+  return true;
+};
+
+/**
+ * Build the accounts table lookup key for an email address or username.
+ * Logins containing "@" are treated as email addresses; both are matched case-insensitively.
+ * @param {string} login - Email address or username
+ * @returns {string} - Lookup key, e.g. "email#player@example.com" or "username#satoshi"
+ */
+const buildLoginKey = (login) => {
+  const normalized = String(login).trim().toLowerCase();
+  return normalized.includes('@')
+    ? `${ACCOUNTS.EMAIL_PREFIX}${normalized}`
+    : `${ACCOUNTS.USERNAME_PREFIX}${normalized}`;
+};
+
+/**
+ * Sign a session token payload
+ * @param {string} encodedPayload - base64url-encoded payload
+ * @returns {string} - base64url-encoded HMAC-SHA256 signature
+ */
+const sign = (encodedPayload) => {
+  if (!sessionSecret) {
+    throw new Error('Session secret is not loaded: await loadSessionSecret() first');
+  }
+
+  return crypto.createHmac('sha256', sessionSecret).update(encodedPayload).digest('base64url');
+};
+
+/**
+ * Create a signed session token for a player
+ * @param {string} playerId - The player ID
+ * @param {number} now - Issue time in milliseconds (default: the clock's current time)
+ * @returns {Object} - { sessionToken, expiresAt } with expiresAt as ISO timestamp
+ */
+const createSessionToken = (playerId, now = clock.now()) => {
+  const expiresAt = now + AUTH.SESSION_TTL;
+  const encodedPayload = Buffer.from(JSON.stringify({ sub: playerId, iat: now, exp: expiresAt })).toString('base64url');
+
+  return {
+    sessionToken: `${encodedPayload}.${sign(encodedPayload)}`,
+    expiresAt: new Date(expiresAt).toISOString()
+  };
+};
+
+/**
+ * Verify a session token's signature and expiry
+ * @param {string} sessionToken - Session token
+ * @returns {Object|null} - { playerId, issuedAt, expiresAt } or null if the token is invalid or expired
+ */
+const verifySessionToken = (sessionToken) => {
+  if (typeof sessionToken !== 'string') {
+    return null;
+  }
+
+  const [encodedPayload, signature, ...rest] = sessionToken.split('.');
+  if (!encodedPayload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  try {
+    if (!safeEqual(sign(encodedPayload), signature)) {
+      return null;
+    }
+
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    if (!payload.sub || typeof payload.exp !== 'number' || payload.exp <= clock.now()) {
+      return null;
+    }
+
+    return {
+      playerId: payload.sub,
+      issuedAt: new Date(payload.iat).toISOString(),
+      expiresAt: new Date(payload.exp).toISOString()
+    };
+  } catch (error) {
+    logger.error('Error verifying session token', error);
+    return null;
+  }
+};
+
+/**
+ * Extract the bearer token from the Authorization header of an HTTP event
+ * @param {Object} event - Lambda HTTP event
+ * @returns {string|null} - Token or null if the header is missing or uses another scheme
+ */
+const getBearerToken = (event) => {
+  const headers = event.headers || {};
+  const headerName = Object.keys(headers).find((name) => name.toLowerCase() === 'authorization');
+  const [scheme, token] = headerName ? String(headers[headerName]).trim().split(/\s+/) : [];
+
+  return scheme && token && scheme.toLowerCase() === AUTH.SCHEME.toLowerCase() ? token : null;
+};
+
+/**
+ * Authorize an HTTP request for a player
+ * @param {Object} event - Lambda HTTP event
+ * @param {string} playerId - Player the request acts on (optional; any valid session is accepted when omitted)
+ * @returns {Object} - { isAuthorized: true, playerId, issuedAt, expiresAt } or { isAuthorized: false, statusCode, error }
+ */
+const authorizeRequest = (event, playerId = null) => {
+  const session = verifySessionToken(getBearerToken(event));
+  if (!session) {
+    return {
+      isAuthorized: false,
+      statusCode: HTTP_STATUS.UNAUTHORIZED,
+      error: ERROR_MESSAGES.INVALID_SESSION
+    };
+  }
+
+  if (playerId && session.playerId !== playerId) {
+    return {
+      isAuthorized: false,
+      statusCode: HTTP_STATUS.FORBIDDEN,
+      error: ERROR_MESSAGES.UNAUTHORIZED
+    };
+  }
+
+  return {
+    isAuthorized: true,
+    ...session
+  };
+};
+
+module.exports = {
+  loadSessionSecret,
+  generateSecretToken,
+  hashToken,
+  verifySecretToken,
+  hashPassword,
+  verifyPassword,
+  verifyPasswordOrDummy,
+  verifyPasswordWithLockout,
+  buildLoginKey,
+  createSessionToken,
+  verifySessionToken,
+  getBearerToken,
+  authorizeRequest
+};
@@ -0,0 +1,16 @@
+const { hashPassword, verifyPassword, verifyPasswordOrDummy } = require('./auth');
+
+describe('password checks', () => {
+  it('verifies a password against its hash', async () => {
+    const passwordHash = await hashPassword('correct horse battery staple');
+
+    expect(await verifyPassword('correct horse battery staple', passwordHash)).toBe(true);
+    expect(await verifyPassword('wrong', passwordHash)).toBe(false);
+    expect(await verifyPasswordOrDummy('correct horse battery staple', passwordHash)).toBe(true);
+  });
+
+  it('rejects unknown logins after checking them against the dummy hash', async () => {
+    expect(await verifyPasswordOrDummy('correct horse battery staple', null)).toBe(false);
+    expect(await verifyPasswordOrDummy(undefined, null)).toBe(false);
+  });
+});
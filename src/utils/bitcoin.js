@@ -1,137 +1,262 @@
-const https = require('https');
-const { BITCOIN_API, APP_CONFIG } = require('../config/constants');
+const { getOraclePrice, getOraclePriceAt } = require('./priceOracle');
+const { getPriceSymbol, recordPriceTick, findPriceTickNear } = require('./priceHistory');
+const { SIMULATED_PRICE_SOURCES, getPriceSource } = require('./priceSources');
+const clock = require('./clock');
+const { logger } = require('./logger');
+const {
+  ASSETS,
+  CURRENCIES,
+  APP_CONFIG,
+  PRICE_POLICY,
+  PRICE_SOURCES,
+  PRICE_SIMULATION,
+  RESOLUTION_PRICE,
+  ERROR_CODES,
+  ENV
+} = require('../config/constants');
 
 /**
- * Fetch current Bitcoin price from CoinGecko API
- * @returns {Promise<number>} - Current Bitcoin price in USD
+ * Simulated price source in use (simulator or replay), or null for real oracle prices.
+ * Selected by PRICE_SIMULATION.SOURCE (PRICE_SOURCE env variable) and switchable with usePriceSource.
  */
-const getCurrentBitcoinPrice = async () => {
-  const url = BITCOIN_API.COINGECKO_URL;
-  
-  return new Promise((resolve, reject) => {
-    const request = https.get(url, (response) => {
-      let data = '';
-
-      // Collect data chunks
-      response.on('data', (chunk) => {
-        data += chunk;
-      });
-
-      // Handle response completion
-      response.on('end', () => {
-        try {
-          const parsedData = JSON.parse(data);
-          
-          if (parsedData.bitcoin && parsedData.bitcoin.usd) {
-            const price = parsedData.bitcoin.usd;
-            console.log('Bitcoin price fetched from CoinGecko:', price);
-            resolve(price);
-          } else {
-            console.error('Invalid response format from CoinGecko:', parsedData);
-            reject(new Error('Invalid response format from CoinGecko API'));
-          }
-        } catch (parseError) {
-          console.error('Error parsing CoinGecko response:', parseError);
-          reject(new Error('Failed to parse CoinGecko API response'));
-        }
-      });
-    });
+let simulatedSource = getPriceSource(PRICE_SIMULATION.SOURCE);
 
-    // Handle request errors
-    request.on('error', (error) => {
-      console.error('Error fetching Bitcoin price from CoinGecko:', error);
-      reject(new Error('Failed to fetch Bitcoin price from CoinGecko API'));
-    });
+/**
+ * Switch the price source, e.g. to script exact price moves in local games and tests
+ * @param {string} name - Price source name (one of PRICE_SOURCES)
+ */
+const usePriceSource = (name) => {
+  simulatedSource = getPriceSource(name);
+  priceCache.clear();
+  logger.info('Price source selected', { priceSource: name });
+};
 
-    // Set request timeout
-    request.setTimeout(APP_CONFIG.REQUEST_TIMEOUT, () => {
-      request.destroy();
-      reject(new Error('Request timeout while fetching Bitcoin price'));
-    });
-  });
+/**
+ * Get a price from the simulated price source in use
+ * @param {number} timestamp - Time to price in epoch milliseconds
+ * @param {string} asset - Asset to price
+ * @param {string} currency - Quote currency
+ * @returns {Object} - Object with price, sources [<source name>] and timestamp
+ */
+const getSimulatedPrice = (timestamp, asset, currency) => ({
+  price: simulatedSource.getPriceAt(timestamp, asset, currency),
+  sources: [simulatedSource.name],
+  timestamp
+});
+
+/**
+ * Create the error thrown when no real price is available and mock prices are disabled
+ * @param {string} reason - Underlying failure message
+ * @param {string} asset - Asset that could not be priced (default: ASSETS.DEFAULT)
+ * @returns {Error} - Error with code PRICE_FETCH_ERROR
+ */
+const createPriceUnavailableError = (reason, asset = ASSETS.DEFAULT) => {
+  const priceError = new Error(`${ASSETS.CATALOGUE[asset].NAME} price unavailable: ${reason}`);
+  priceError.code = ERROR_CODES.PRICE_FETCH_ERROR;
+  return priceError;
+};
+
+/**
+ * Get a mock price from the seeded price simulator (only used in stages flagged with ALLOW_MOCK_PRICE)
+ * @param {string} asset - Asset to price (default: ASSETS.DEFAULT)
+ * @param {string} currency - Quote currency (default: CURRENCIES.DEFAULT)
+ * @param {number} timestamp - Time to price in epoch milliseconds (default: now)
+ * @returns {Object} - Object with price, sources ['mock'] and timestamp
+ */
+const getMockBitcoinPrice = (asset = ASSETS.DEFAULT, currency = CURRENCIES.DEFAULT, timestamp = clock.now()) => {
+  const mockPrice = SIMULATED_PRICE_SOURCES[PRICE_SOURCES.SIMULATOR].getPriceAt(timestamp, asset, currency);
+
+  logger.info('Using mock price', { asset, currency, price: mockPrice });
+  return {
+    price: mockPrice,
+    sources: [PRICE_POLICY.MOCK_SOURCE],
+    timestamp
+  };
+};
+
+/**
+ * Fetch the current price of an asset from the multi-source price oracle and record it in the price history.
+ * When a simulated price source is in use the price comes from it as of the clock's time and is not recorded.
+ * @param {Object} options - Oracle options (e.g. { providers } to use stubbed providers)
+ * @param {string} options.asset - Asset to price (default: ASSETS.DEFAULT)
+ * @param {string} options.currency - Quote currency (default: CURRENCIES.DEFAULT)
+ * @param {Object} options.repository - Repository the price tick is recorded in (default: DynamoDB)
+ * @returns {Promise<Object>} - Object with price (in the quote currency), contributing sources and timestamp
+ */
+const getCurrentBitcoinPrice = async ({ asset = ASSETS.DEFAULT, currency = CURRENCIES.DEFAULT, repository, ...options } = {}) => {
+  if (simulatedSource) {
+    return getSimulatedPrice(clock.now(), asset, currency);
+  }
+
+  const priceData = await getOraclePrice({ asset, currency, ...options });
+  await recordPriceTick(priceData, getPriceSymbol(asset, currency), repository);
+  return priceData;
 };
 
 /**
- * Get current Bitcoin price with fallback to mock price
- * @returns {Promise<number>} - Current Bitcoin price in USD
+ * Get the current price of an asset with fallback to a mock price.
+ * The simulated mock price is only used when the stage is flagged with ALLOW_MOCK_PRICE;
+ * otherwise a PRICE_FETCH_ERROR is thrown so callers never score against an invented price.
+ * @param {Object} options - Oracle options passed to getCurrentBitcoinPrice
+ * @param {string} options.asset - Asset to price (default: ASSETS.DEFAULT)
+ * @param {string} options.currency - Quote currency (default: CURRENCIES.DEFAULT)
+ * @param {Object} options.repository - Repository the price tick is recorded in (default: DynamoDB)
+ * @returns {Promise<Object>} - Object with price (in the quote currency), contributing sources and timestamp
  */
-const getBitcoinPriceWithFallback = async () => {
+const getBitcoinPriceWithFallback = async (options = {}) => {
+  const asset = options.asset || ASSETS.DEFAULT;
+  const currency = options.currency || CURRENCIES.DEFAULT;
+
   try {
-    // Try to get real price from CoinGecko
-    const price = await getCurrentBitcoinPrice();
-    return price;
+    // Try to get real price from the price oracle
+    return await getCurrentBitcoinPrice(options);
   } catch (error) {
-    console.warn('Failed to fetch real Bitcoin price, using fallback:', error.message);
-    
+    if (!ENV.ALLOW_MOCK_PRICE) {
+      logger.error('Failed to fetch real price, mock prices are disabled for this stage', { asset, currency, error: error.message });
+      throw createPriceUnavailableError(error.message, asset);
+    }
+
+    logger.warn('Failed to fetch real price, using fallback', { asset, currency, error: error.message });
+
     // Fallback to mock price for development/testing
-    const mockPrice = BITCOIN_API.FALLBACK_PRICE_MIN +
-                     Math.random() * (BITCOIN_API.FALLBACK_PRICE_MAX - BITCOIN_API.FALLBACK_PRICE_MIN);
-    const roundedPrice = Math.round(mockPrice * 100) / 100; // Round to 2 decimal places
-    
-    console.log('Using mock Bitcoin price:', roundedPrice);
-    return roundedPrice;
+    return getMockBitcoinPrice(asset, currency);
   }
 };
 
 /**
- * Cache for Bitcoin price to avoid excessive API calls
+ * Get the price of an asset as of a point in time, used to resolve guesses at their resolveAt.
+ * Lookup order: stored price tick near the timestamp, live price if the timestamp is recent,
+ * then historical data from the price providers. A simulated price source is asked for the timestamp directly.
+ * @param {number} timestamp - Target timestamp in milliseconds
+ * @param {string} asset - Asset to price (default: ASSETS.DEFAULT)
+ * @param {string} currency - Quote currency (default: CURRENCIES.DEFAULT)
+ * @param {Object} options - Lookup options (optional)
+ * @param {Object} options.repository - Repository price ticks are read from and recorded in (default: DynamoDB)
+ * @returns {Promise<Object>} - Object with price (in the quote currency), contributing sources and the timestamp of the price used
  */
-let priceCache = {
-  price: null,
-  timestamp: null,
-  ttl: APP_CONFIG.CACHE_TTL
+const getBitcoinPriceAt = async (timestamp, asset = ASSETS.DEFAULT, currency = CURRENCIES.DEFAULT, { repository } = {}) => {
+  if (!simulatedSource) {
+    const tick = await findPriceTickNear(timestamp, RESOLUTION_PRICE.TICK_TOLERANCE, getPriceSymbol(asset, currency), repository);
+    if (tick) {
+      logger.info('Using stored price tick', { asset, currency, target: timestamp, tick: tick.timestamp, price: tick.price });
+      return {
+        price: tick.price,
+        sources: tick.sources || [],
+        timestamp: tick.timestamp
+      };
+    }
+
+    if (Math.abs(clock.now() - timestamp) <= RESOLUTION_PRICE.LIVE_TOLERANCE) {
+      return getBitcoinPriceWithFallback({ asset, currency, repository });
+    }
+  }
+
+  try {
+    return simulatedSource
+      ? getSimulatedPrice(timestamp, asset, currency)
+      : await getOraclePriceAt(timestamp, { asset, currency });
+  } catch (error) {
+    if (!ENV.ALLOW_MOCK_PRICE) {
+      logger.error('Failed to fetch historical price', { asset, currency, error: error.message });
+      throw createPriceUnavailableError(error.message, asset);
+    }
+
+    logger.warn('Failed to fetch historical price, using fallback', { asset, currency, error: error.message });
+    return getMockBitcoinPrice(asset, currency, timestamp);
+  }
 };
 
 /**
- * Get cached Bitcoin price or fetch new one if cache is expired
- * @returns {Promise<Object>} - Object with price and timestamp
+ * Cache of prices per asset and quote currency to avoid excessive API calls
+ * Entries are { price, sources, timestamp, ttl } keyed by price symbol, e.g. "ETH-EUR"
  */
-const getCachedBitcoinPrice = async () => {
+const priceCache = new Map();
+
+/**
+ * Get the cached price of an asset or fetch a new one if the cache is expired
+ * @param {string} asset - Asset to price (default: ASSETS.DEFAULT)
+ * @param {string} currency - Quote currency (default: CURRENCIES.DEFAULT)
+ * @param {Object} options - Lookup options (optional)
+ * @param {Object} options.repository - Repository fetched prices are recorded in (default: DynamoDB)
+ * @returns {Promise<Object>} - Object with price, sources and timestamp
+ */
+const getCachedBitcoinPrice = async (asset = ASSETS.DEFAULT, currency = CURRENCIES.DEFAULT, { repository } = {}) => {
+  // Simulated prices are cheap and follow the clock, so they are never cached
+  if (simulatedSource) {
+    return getBitcoinPriceWithFallback({ asset, currency, repository });
+  }
+
   const now = Date.now();
-  
+  const cacheKey = getPriceSymbol(asset, currency);
+  const cached = priceCache.get(cacheKey);
+
   // Check if cache is valid
-  if (priceCache.price && priceCache.timestamp && (now - priceCache.timestamp) < priceCache.ttl) {
-    console.log('Using cached Bitcoin price:', priceCache.price);
+  if (cached && (now - cached.timestamp) < cached.ttl) {
+    logger.info('Using cached price', { symbol: cacheKey, price: cached.price });
     return {
-      price: priceCache.price,
-      timestamp: priceCache.timestamp
+      price: cached.price,
+      sources: cached.sources,
+      timestamp: cached.timestamp
     };
   }
-  
+
   // Fetch new price
   try {
-    const price = await getBitcoinPriceWithFallback();
-    
+    const { price, sources } = await getBitcoinPriceWithFallback({ asset, currency, repository });
+
     // Update cache
-    priceCache = {
+    priceCache.set(cacheKey, {
       price: price,
+      sources: sources,
       timestamp: now,
       ttl: APP_CONFIG.CACHE_TTL
-    };
-    
+    });
+
     return {
       price: price,
+      sources: sources,
       timestamp: now
     };
   } catch (error) {
-    console.error('Failed to get Bitcoin price:', error);
-    
+    logger.error('Failed to get price', { symbol: cacheKey, error });
+
     // If we have stale cache, use it
-    if (priceCache.price) {
-      console.log('Using stale cached Bitcoin price:', priceCache.price);
+    if (cached) {
+      logger.info('Using stale cached price', { symbol: cacheKey, price: cached.price });
       return {
-        price: priceCache.price,
-        timestamp: priceCache.timestamp
+        price: cached.price,
+        sources: cached.sources,
+        timestamp: cached.timestamp
       };
     }
-    
+
     // Last resort: throw error
     throw error;
   }
 };
 
+/**
+ * Get the cached prices of every supported asset in a quote currency
+ * Assets whose price is unavailable are reported as null rather than failing the whole lookup.
+ * @param {string} currency - Quote currency (default: CURRENCIES.DEFAULT)
+ * @param {Object} options - Lookup options passed to getCachedBitcoinPrice (optional)
+ * @returns {Promise<Object>} - Prices keyed by asset, e.g. { BTC: 26950.23, ETH: 1650.1, SOL: null }
+ */
+const getCachedPrices = async (currency = CURRENCIES.DEFAULT, options = {}) => {
+  const assets = Object.keys(ASSETS.CATALOGUE);
+  const results = await Promise.allSettled(assets.map((asset) => getCachedBitcoinPrice(asset, currency, options)));
+
+  return assets.reduce((prices, asset, index) => ({
+    ...prices,
+    [asset]: results[index].status === 'fulfilled' ? results[index].value.price : null
+  }), {});
+};
+
 module.exports = {
   getCurrentBitcoinPrice,
   getBitcoinPriceWithFallback,
-  getCachedBitcoinPrice
+  getBitcoinPriceAt,
+  getCachedBitcoinPrice,
+  getCachedPrices,
+  usePriceSource
 };
@@ -0,0 +1,56 @@
+/**
+ * Controllable clock, the game's notion of "now".
+ * Guess creation and cancellation, resolution, the resolution schedulers, the simulated price
+ * sources, sessions, login lockouts and player timestamps all read the time from here. It reads the wall clock unless a script or test
+ * fixes the time with setTime, after which the time only moves through advance (or
+ * useWallClock switches back).
+ */
+
+let fixedTime = null;
+
+/**
+ * Get the current time
+ * @returns {number} - Epoch milliseconds
+ */
+const now = () => (fixedTime === null ? Date.now() : fixedTime);
+
+/**
+ * Fix the clock at a point in time
+ * @param {number|string|Date} timestamp - Epoch milliseconds, ISO timestamp or Date
+ * @returns {number} - The fixed time in epoch milliseconds
+ */
+const setTime = (timestamp) => {
+  fixedTime = new Date(timestamp).getTime();
+  return fixedTime;
+};
+
+/**
+ * Move the clock forward, fixing it first if it still reads the wall clock
+ * @param {number} ms - Milliseconds to advance
+ * @returns {number} - The new time in epoch milliseconds
+ */
+const advance = (ms) => {
+  fixedTime = now() + ms;
+  return fixedTime;
+};
+
+/**
+ * Go back to reading the wall clock
+ */
+const useWallClock = () => {
+  fixedTime = null;
+};
+
+/**
+ * Check whether the clock is fixed
+ * @returns {boolean} - True if the time was fixed with setTime or advance
+ */
+const isFixed = () => fixedTime !== null;
+
+module.exports = {
+  now,
+  setTime,
+  advance,
+  useWallClock,
+  isFixed
+};
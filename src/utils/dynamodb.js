@@ -1,5 +1,18 @@
 const AWS = require('aws-sdk');
-const { TABLE_NAMES, INDEX_NAMES, ENV } = require('../config/constants');
+const { planScoreUpdate } = require('./scoreUpdate');
+const { getLeaderboardPartitions, sumScoreHistograms, mergeLeaderboardPages } = require('./leaderboard');
+const clock = require('./clock');
+const { logger } = require('./logger');
+const {
+  TABLE_NAMES,
+  INDEX_NAMES,
+  GUESS_STATUS,
+  RESOLUTION_CONFIG,
+  GUESS_HISTORY,
+  ERROR_CODES,
+  ACCOUNTS,
+  ENV
+} = require('../config/constants');
 
 // Configure DynamoDB
 const dynamodb = new AWS.DynamoDB.DocumentClient({
@@ -10,22 +23,409 @@ const dynamodb = new AWS.DynamoDB.DocumentClient({
 });
 
 /**
- * Create a new player in DynamoDB
- * @param {Object} player - Player object with playerId, name, score, createdAt, lastActive
+ * Build a transaction item that moves players between score histogram buckets
+ * @param {string} partition - Leaderboard partition of the bucket
+ * @param {number} score - Histogram bucket score
+ * @param {number} delta - Player count change (+1 or -1)
+ * @returns {Object} - TransactWriteItems Update entry
+ */
+const buildHistogramUpdate = (partition, score, delta) => ({
+  Update: {
+    TableName: TABLE_NAMES.LEADERBOARD,
+    Key: { leaderboard: partition, score },
+    UpdateExpression: 'ADD playerCount :delta',
+    ExpressionAttributeValues: {
+      ':delta': delta
+    }
+  }
+});
+
+/**
+ * Build a transaction item that counts a resolved guess in a daily or weekly stats period
+ * @param {string} playerId - The player ID
+ * @param {string} period - Period sort key, e.g. "DAY#2024-01-01"
+ * @param {string} status - Resolution status (WON, LOST or PUSH)
+ * @returns {Object} - TransactWriteItems Update entry
+ */
+const buildPeriodStatsUpdate = (playerId, period, status) => ({
+  Update: {
+    TableName: TABLE_NAMES.PLAYER_STATS,
+    Key: { playerId, period },
+    UpdateExpression: 'ADD totalGuesses :one, wins :win, losses :loss, pushes :push',
+    ExpressionAttributeValues: {
+      ':one': 1,
+      ':win': status === GUESS_STATUS.WON ? 1 : 0,
+      ':loss': status === GUESS_STATUS.LOST ? 1 : 0,
+      ':push': status === GUESS_STATUS.PUSH ? 1 : 0
+    }
+  }
+});
+
+/**
+ * Extract per-item cancellation reasons from a TransactionCanceledException.
+ * The v2 SDK does not expose CancellationReasons on the error, so they are parsed from the message:
+ * "Transaction cancelled, please refer cancellation reasons for specific reasons [ConditionalCheckFailed, None]"
+ * @param {Error} error - DynamoDB error
+ * @returns {Array<string>} - Reason codes in transaction item order (empty if not a cancellation)
+ */
+const getCancellationReasons = (error) => {
+  if (error.code !== 'TransactionCanceledException') {
+    return [];
+  }
+
+  if (Array.isArray(error.CancellationReasons)) {
+    return error.CancellationReasons.map((reason) => reason.Code);
+  }
+
+  const match = /\[([^\]]*)\]/.exec(error.message || '');
+  return match ? match[1].split(',').map((reason) => reason.trim()) : [];
+};
+
+/**
+ * Create a new player in DynamoDB and count them in the score histogram
+ * @param {Object} player - Player object with playerId, name, score, createdAt, lastActive and leaderboard attributes
  * @returns {Promise<Object>} - Created player object
  */
 const createPlayer = async (player) => {
   const params = {
-    TableName: TABLE_NAMES.PLAYERS,
-    Item: player,
-    ConditionExpression: 'attribute_not_exists(playerId)' // Ensure no duplicate playerId
+    TransactItems: [
+      {
+        Put: {
+          TableName: TABLE_NAMES.PLAYERS,
+          Item: player,
+          ConditionExpression: 'attribute_not_exists(playerId)' // Ensure no duplicate playerId
+        }
+      },
+      buildHistogramUpdate(player.leaderboard, player.score, 1)
+    ]
   };
 
   try {
-    await dynamodb.put(params).promise();
+    await dynamodb.transactWrite(params).promise();
     return player;
   } catch (error) {
-    console.error('Error creating player:', error);
+    logger.error('Error creating player', error);
+
+    if (getCancellationReasons(error)[0] === 'ConditionalCheckFailed') {
+      const conflict = new Error(`Player ${player.playerId} already exists`);
+      conflict.code = 'ConditionalCheckFailedException';
+      throw conflict;
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Attach registered account credentials to an existing player.
+ * Each login (email, username) is claimed with its own lookup item in the accounts table, written
+ * in the same transaction as the player, so two players can never claim the same login.
+ * @param {string} playerId - The player ID
+ * @param {Object} account - Account details
+ * @param {Array<Object>} account.logins - Logins to claim as { key, type } (type: 'email' or 'username')
+ * @param {Object} account.attributes - Attributes set on the player (email, username, passwordHash, registeredAt)
+ * @returns {Promise<Object>} - Account attributes set on the player
+ * @throws {Error} - With code ACCOUNT_ALREADY_REGISTERED, EMAIL_TAKEN or USERNAME_TAKEN on conflicts
+ */
+const registerPlayerAccount = async (playerId, { logins, attributes }) => {
+  const names = {};
+  const values = {};
+  const assignments = Object.keys(attributes).map((attribute) => {
+    names[`#${attribute}`] = attribute;
+    values[`:${attribute}`] = attributes[attribute];
+    return `#${attribute} = :${attribute}`;
+  });
+
+  const params = {
+    TransactItems: [
+      {
+        Update: {
+          TableName: TABLE_NAMES.PLAYERS,
+          Key: { playerId },
+          UpdateExpression: `SET ${assignments.join(', ')}`,
+          ConditionExpression: 'attribute_exists(playerId) AND attribute_not_exists(passwordHash)',
+          ExpressionAttributeNames: names,
+          ExpressionAttributeValues: values
+        }
+      },
+      ...logins.map((login) => ({
+        Put: {
+          TableName: TABLE_NAMES.ACCOUNTS,
+          Item: {
+            login: login.key,
+            playerId,
+            createdAt: attributes.registeredAt
+          },
+          ConditionExpression: 'attribute_not_exists(login)' // Ensure the login is not claimed yet
+        }
+      }))
+    ]
+  };
+
+  try {
+    await dynamodb.transactWrite(params).promise();
+    return attributes;
+  } catch (error) {
+    const [playerReason, ...loginReasons] = getCancellationReasons(error);
+
+    const conflictCode = playerReason === 'ConditionalCheckFailed'
+      ? ERROR_CODES.ACCOUNT_ALREADY_REGISTERED
+      : logins
+        .filter((login, index) => loginReasons[index] === 'ConditionalCheckFailed')
+        .map((login) => (login.type === 'email' ? ERROR_CODES.EMAIL_TAKEN : ERROR_CODES.USERNAME_TAKEN))[0];
+
+    if (conflictCode) {
+      const conflict = new Error(`Account registration for player ${playerId} conflicted: ${conflictCode}`);
+      conflict.code = conflictCode;
+      throw conflict;
+    }
+
+    logger.error('Error registering player account', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the account lookup item of a login
+ * @param {string} loginKey - Lookup key built with buildLoginKey
+ * @returns {Promise<Object|null>} - { login, playerId, createdAt } or null if the login is not registered
+ */
+const getAccountByLogin = async (loginKey) => {
+  const params = {
+    TableName: TABLE_NAMES.ACCOUNTS,
+    Key: {
+      login: loginKey
+    }
+  };
+
+  try {
+    const result = await dynamodb.get(params).promise();
+    return result.Item || null;
+  } catch (error) {
+    logger.error('Error getting account by login', error);
+    throw error;
+  }
+};
+
+/**
+ * Replace a player's password hash if it still matches the hash the old password was checked against
+ * @param {string} playerId - The player ID
+ * @param {string} expectedHash - Current password hash
+ * @param {string} passwordHash - New password hash
+ * @returns {Promise<boolean>} - True if updated, false if the password was changed concurrently
+ */
+const updatePlayerPassword = async (playerId, expectedHash, passwordHash) => {
+  const params = {
+    TableName: TABLE_NAMES.PLAYERS,
+    Key: {
+      playerId: playerId
+    },
+    UpdateExpression: 'SET passwordHash = :passwordHash, passwordChangedAt = :timestamp',
+    ConditionExpression: 'passwordHash = :expectedHash',
+    ExpressionAttributeValues: {
+      ':passwordHash': passwordHash,
+      ':expectedHash': expectedHash,
+      ':timestamp': new Date(clock.now()).toISOString()
+    }
+  };
+
+  try {
+    await dynamodb.update(params).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+
+    logger.error('Error updating player password', error);
+    throw error;
+  }
+};
+
+/**
+ * Count a failed password login of a player. The count is incremented atomically, so concurrent
+ * attempts cannot undercount; the attempt that reaches ACCOUNTS.MAX_FAILED_LOGINS locks password
+ * logins until lockedUntil and starts the count over.
+ * @param {string} playerId - The player ID
+ * @param {string} lockedUntil - ISO timestamp the lock lasts until if this attempt triggers it
+ * @returns {Promise<Object>} - { failedLogins, lockedUntil } with lockedUntil null unless this attempt locked the player
+ */
+const recordFailedLogin = async (playerId, lockedUntil) => {
+  const params = {
+    TableName: TABLE_NAMES.PLAYERS,
+    Key: {
+      playerId: playerId
+    },
+    UpdateExpression: 'ADD failedLogins :one',
+    ConditionExpression: 'attribute_exists(playerId)',
+    ExpressionAttributeValues: {
+      ':one': 1
+    },
+    ReturnValues: 'UPDATED_NEW'
+  };
+
+  try {
+    const result = await dynamodb.update(params).promise();
+    const failedLogins = result.Attributes.failedLogins;
+    if (failedLogins < ACCOUNTS.MAX_FAILED_LOGINS) {
+      return { failedLogins, lockedUntil: null };
+    }
+
+    // Conditional on the count, so only one of several concurrent attempts sets the lock
+    await dynamodb.update({
+      TableName: TABLE_NAMES.PLAYERS,
+      Key: {
+        playerId: playerId
+      },
+      UpdateExpression: 'SET lockedUntil = :lockedUntil, failedLogins = :zero',
+      ConditionExpression: 'failedLogins >= :max',
+      ExpressionAttributeValues: {
+        ':lockedUntil': lockedUntil,
+        ':zero': 0,
+        ':max': ACCOUNTS.MAX_FAILED_LOGINS
+      }
+    }).promise();
+
+    return { failedLogins, lockedUntil };
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return { failedLogins: 0, lockedUntil: null };
+    }
+
+    logger.error('Error recording failed login', error);
+    throw error;
+  }
+};
+
+/**
+ * Clear the failed login count and lock of a player after a successful login
+ * @param {string} playerId - The player ID
+ * @returns {Promise<void>}
+ */
+const clearFailedLogins = async (playerId) => {
+  const params = {
+    TableName: TABLE_NAMES.PLAYERS,
+    Key: {
+      playerId: playerId
+    },
+    UpdateExpression: 'REMOVE failedLogins, lockedUntil',
+    ConditionExpression: 'attribute_exists(playerId)'
+  };
+
+  try {
+    await dynamodb.update(params).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return;
+    }
+
+    logger.error('Error clearing failed logins', error);
+    throw error;
+  }
+};
+
+/**
+ * Store the claim code of a player created before authentication existed, replacing any earlier one.
+ * Only players without a token and without a registered account get a claim code.
+ * @param {string} playerId - The player ID
+ * @param {string} claimCodeHash - Hash of the one-time claim code
+ * @param {string} expiresAt - ISO timestamp after which the code can no longer be used
+ * @returns {Promise<boolean>} - True if stored, false if the player does not exist or already has credentials
+ */
+const setPlayerClaimCode = async (playerId, claimCodeHash, expiresAt) => {
+  const params = {
+    TableName: TABLE_NAMES.PLAYERS,
+    Key: {
+      playerId: playerId
+    },
+    UpdateExpression: 'SET claimCodeHash = :claimCodeHash, claimCodeExpiresAt = :expiresAt',
+    ConditionExpression: 'attribute_exists(playerId) AND attribute_not_exists(tokenHash) AND attribute_not_exists(passwordHash)',
+    ExpressionAttributeValues: {
+      ':claimCodeHash': claimCodeHash,
+      ':expiresAt': expiresAt
+    }
+  };
+
+  try {
+    await dynamodb.update(params).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+
+    logger.error('Error setting player claim code', error);
+    throw error;
+  }
+};
+
+/**
+ * Issue a secret token to a player created before authentication existed.
+ * The player must still have the given, unexpired claim code, which is removed in the same write,
+ * and no token or registered account, so each player is claimed once.
+ * @param {string} playerId - The player ID
+ * @param {string} tokenHash - Hash of the new secret token
+ * @param {string} claimCodeHash - Hash of the claim code presented by the player
+ * @returns {Promise<boolean>} - True if claimed, false if the player does not exist, already has credentials or the code does not match
+ */
+const claimPlayerToken = async (playerId, tokenHash, claimCodeHash) => {
+  const params = {
+    TableName: TABLE_NAMES.PLAYERS,
+    Key: {
+      playerId: playerId
+    },
+    UpdateExpression: 'SET tokenHash = :tokenHash, tokenClaimedAt = :timestamp REMOVE claimCodeHash, claimCodeExpiresAt',
+    ConditionExpression: 'attribute_exists(playerId) AND attribute_not_exists(tokenHash) AND attribute_not_exists(passwordHash) ' +
+      'AND claimCodeHash = :claimCodeHash AND claimCodeExpiresAt > :timestamp',
+    ExpressionAttributeValues: {
+      ':tokenHash': tokenHash,
+      ':claimCodeHash': claimCodeHash,
+      ':timestamp': new Date(clock.now()).toISOString()
+    }
+  };
+
+  try {
+    await dynamodb.update(params).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+
+    logger.error('Error claiming player token', error);
+    throw error;
+  }
+};
+
+/**
+ * Update a player's preferred quote currency
+ * @param {string} playerId - The player's unique ID
+ * @param {string} currency - Supported quote currency, e.g. "EUR"
+ * @returns {Promise<Object|null>} - Updated player object or null if the player does not exist
+ */
+const updatePlayerCurrency = async (playerId, currency) => {
+  const params = {
+    TableName: TABLE_NAMES.PLAYERS,
+    Key: {
+      playerId: playerId
+    },
+    UpdateExpression: 'SET currency = :currency',
+    ConditionExpression: 'attribute_exists(playerId)',
+    ExpressionAttributeValues: {
+      ':currency': currency
+    },
+    ReturnValues: 'ALL_NEW'
+  };
+
+  try {
+    const result = await dynamodb.update(params).promise();
+    return result.Attributes;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return null;
+    }
+
+    logger.error('Error updating player currency', error);
     throw error;
   }
 };
@@ -33,21 +433,23 @@ const createPlayer = async (player) => {
 /**
  * Get a player by playerId
  * @param {string} playerId - The player's unique ID
+ * @param {boolean} consistentRead - Use a strongly consistent read (default: false)
  * @returns {Promise<Object|null>} - Player object or null if not found
  */
-const getPlayerById = async (playerId) => {
+const getPlayerById = async (playerId, consistentRead = false) => {
   const params = {
     TableName: TABLE_NAMES.PLAYERS,
     Key: {
       playerId: playerId
-    }
+    },
+    ConsistentRead: consistentRead
   };
 
   try {
     const result = await dynamodb.get(params).promise();
     return result.Item || null;
   } catch (error) {
-    console.error('Error getting player:', error);
+    logger.error('Error getting player', error);
     throw error;
   }
 };
@@ -65,7 +467,7 @@ const updatePlayerLastActive = async (playerId) => {
     },
     UpdateExpression: 'SET lastActive = :timestamp',
     ExpressionAttributeValues: {
-      ':timestamp': new Date().toISOString()
+      ':timestamp': new Date(clock.now()).toISOString()
     },
     ReturnValues: 'ALL_NEW'
   };
@@ -74,11 +476,19 @@ const updatePlayerLastActive = async (playerId) => {
     const result = await dynamodb.update(params).promise();
     return result.Attributes;
   } catch (error) {
-    console.error('Error updating player last active:', error);
+    logger.error('Error updating player last active', error);
     throw error;
   }
 };
 
+/**
+ * Build the stored item of a new guess. activeResolveAt copies resolveAt while the guess is ACTIVE
+ * and is removed when it leaves ACTIVE, so the sparse ActiveResolveAtIndex holds open guesses only.
+ * @param {Object} guess - New ACTIVE guess
+ * @returns {Object} - Guess item
+ */
+const buildGuessItem = (guess) => ({ ...guess, activeResolveAt: guess.resolveAt });
+
 /**
  * Create a new guess in DynamoDB
  * @param {Object} guess - Guess object with guessId, playerId, direction, etc.
@@ -87,7 +497,7 @@ const updatePlayerLastActive = async (playerId) => {
 const createGuess = async (guess) => {
   const params = {
     TableName: TABLE_NAMES.GUESSES,
-    Item: guess,
+    Item: buildGuessItem(guess),
     ConditionExpression: 'attribute_not_exists(guessId)' // Ensure no duplicate guessId
   };
 
@@ -95,11 +505,89 @@ const createGuess = async (guess) => {
     await dynamodb.put(params).promise();
     return guess;
   } catch (error) {
-    console.error('Error creating guess:', error);
+    logger.error('Error creating guess', error);
     throw error;
   }
 };
 
+/**
+ * Create a guess with a stake, reserving the stake on the player in the same transaction.
+ * The reservation is conditioned on the score and reserved stake read beforehand, so concurrent
+ * guesses cannot spend the same score twice.
+ * @param {Object} guess - Guess object with a positive stake
+ * @param {Object} player - Player as read before validating the stake
+ * @returns {Promise<Object>} - Created guess object
+ * @throws {Error} - With code STAKE_UNAVAILABLE if the score or reservations changed meanwhile
+ */
+const createStakedGuess = async (guess, player) => {
+  const reservedStake = player.reservedStake || 0;
+
+  const params = {
+    TransactItems: [
+      {
+        Put: {
+          TableName: TABLE_NAMES.GUESSES,
+          Item: buildGuessItem(guess),
+          ConditionExpression: 'attribute_not_exists(guessId)' // Ensure no duplicate guessId
+        }
+      },
+      {
+        Update: {
+          TableName: TABLE_NAMES.PLAYERS,
+          Key: { playerId: guess.playerId },
+          UpdateExpression: 'SET reservedStake = :newReservedStake',
+          ConditionExpression: reservedStake > 0
+            ? 'score = :expectedScore AND reservedStake = :expectedReservedStake'
+            : 'score = :expectedScore AND (attribute_not_exists(reservedStake) OR reservedStake = :expectedReservedStake)',
+          ExpressionAttributeValues: {
+            ':newReservedStake': reservedStake + guess.stake,
+            ':expectedScore': player.score,
+            ':expectedReservedStake': reservedStake
+          }
+        }
+      }
+    ]
+  };
+
+  try {
+    await dynamodb.transactWrite(params).promise();
+    return guess;
+  } catch (error) {
+    const [guessReason, playerReason] = getCancellationReasons(error);
+
+    if (guessReason === 'ConditionalCheckFailed') {
+      const conflict = new Error(`Guess ${guess.guessId} already exists`);
+      conflict.code = 'ConditionalCheckFailedException';
+      throw conflict;
+    }
+
+    if (playerReason === 'ConditionalCheckFailed') {
+      const unavailable = new Error(`Stake of player ${guess.playerId} changed while reserving`);
+      unavailable.code = ERROR_CODES.STAKE_UNAVAILABLE;
+      throw unavailable;
+    }
+
+    logger.error('Error creating staked guess', error);
+    throw error;
+  }
+};
+
+/**
+ * Build a transaction item that releases a guess stake reserved on the player
+ * @param {Object} guess - Guess with a positive stake
+ * @returns {Object} - TransactWriteItems Update entry
+ */
+const buildStakeReleaseUpdate = (guess) => ({
+  Update: {
+    TableName: TABLE_NAMES.PLAYERS,
+    Key: { playerId: guess.playerId },
+    UpdateExpression: 'ADD reservedStake :release',
+    ExpressionAttributeValues: {
+      ':release': -guess.stake
+    }
+  }
+});
+
 /**
  * Get active guess for a player
  * @param {string} playerId - The player's unique ID
@@ -124,7 +612,7 @@ const getActiveGuessForPlayer = async (playerId) => {
     const result = await dynamodb.query(params).promise();
     return result.Items && result.Items.length > 0 ? result.Items[0] : null;
   } catch (error) {
-    console.error('Error getting active guess for player:', error);
+    logger.error('Error getting active guess for player', error);
     throw error;
   }
 };
@@ -132,21 +620,23 @@ const getActiveGuessForPlayer = async (playerId) => {
 /**
  * Get a guess by guessId
  * @param {string} guessId - The guess's unique ID
+ * @param {boolean} consistentRead - Use a strongly consistent read (default: false)
  * @returns {Promise<Object|null>} - Guess object or null if not found
  */
-const getGuessById = async (guessId) => {
+const getGuessById = async (guessId, consistentRead = false) => {
   const params = {
     TableName: TABLE_NAMES.GUESSES,
     Key: {
       guessId: guessId
-    }
+    },
+    ConsistentRead: consistentRead
   };
 
   try {
     const result = await dynamodb.get(params).promise();
     return result.Item || null;
   } catch (error) {
-    console.error('Error getting guess:', error);
+    logger.error('Error getting guess', error);
     throw error;
   }
 };
@@ -173,128 +663,695 @@ const getLatestGuessForPlayer = async (playerId, maxResults = 1) => {
     const result = await dynamodb.query(params).promise();
     return result.Items || [];
   } catch (error) {
-    console.error('Error getting latest guess for player:', error);
+    logger.error('Error getting latest guess for player', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of a player's guesses, latest first, with optional filters.
+ * Filters are applied after the index read, so queries continue until the page is full, the
+ * history is exhausted or GUESS_HISTORY.MAX_QUERY_PAGES queries were made; in the last case the
+ * page may be short (even empty) and the last evaluated key continues the read on the next request.
+ * When a query returns more matches than needed, the page is cut at the last returned guess and its
+ * index key becomes the continuation key.
+ * @param {string} playerId - The player ID
+ * @param {Object} options - Page options
+ * @param {number} options.limit - Maximum number of guesses to return
+ * @param {Object} options.exclusiveStartKey - Continuation key of the previous page (optional)
+ * @param {string} options.status - Only guesses with this status (optional)
+ * @param {string} options.direction - Only guesses in this direction (optional)
+ * @param {string} options.from - Only guesses created at or after this ISO timestamp (optional)
+ * @param {string} options.to - Only guesses created at or before this ISO timestamp (optional)
+ * @returns {Promise<Object>} - { guesses, lastEvaluatedKey }
+ */
+const getGuessesForPlayer = async (playerId, {
+  limit,
+  exclusiveStartKey = null,
+  status = null,
+  direction = null,
+  from = null,
+  to = null
+}) => {
+  const keyConditions = ['playerId = :playerId'];
+  const filters = [];
+  const names = {};
+  const values = { ':playerId': playerId };
+
+  if (from && to) {
+    keyConditions.push('createdAt BETWEEN :from AND :to');
+  } else if (from) {
+    keyConditions.push('createdAt >= :from');
+  } else if (to) {
+    keyConditions.push('createdAt <= :to');
+  }
+  if (from) values[':from'] = from;
+  if (to) values[':to'] = to;
+
+  if (status) {
+    filters.push('#status = :status');
+    names['#status'] = 'status';
+    values[':status'] = status;
+  }
+  if (direction) {
+    filters.push('direction = :direction');
+    values[':direction'] = direction;
+  }
+
+  const params = {
+    TableName: TABLE_NAMES.GUESSES,
+    IndexName: INDEX_NAMES.PLAYER_TIME,
+    KeyConditionExpression: keyConditions.join(' AND '),
+    ExpressionAttributeValues: values,
+    ScanIndexForward: false, // Sort in descending order (latest first)
+    Limit: filters.length > 0 ? GUESS_HISTORY.QUERY_PAGE_SIZE : limit,
+    ...(filters.length > 0 && { FilterExpression: filters.join(' AND ') }),
+    ...(Object.keys(names).length > 0 && { ExpressionAttributeNames: names }),
+    ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey })
+  };
+
+  try {
+    const guesses = [];
+    let lastEvaluatedKey = null;
+    let queries = 0;
+
+    do {
+      const result = await dynamodb.query(params).promise();
+      queries++;
+      const items = result.Items || [];
+      const needed = limit - guesses.length;
+
+      if (items.length > needed) {
+        guesses.push(...items.slice(0, needed));
+        const lastGuess = guesses[guesses.length - 1];
+        lastEvaluatedKey = {
+          guessId: lastGuess.guessId,
+          playerId: lastGuess.playerId,
+          createdAt: lastGuess.createdAt
+        };
+        break;
+      }
+
+      guesses.push(...items);
+      lastEvaluatedKey = result.LastEvaluatedKey || null;
+      params.ExclusiveStartKey = lastEvaluatedKey;
+    } while (lastEvaluatedKey && guesses.length < limit && queries < GUESS_HISTORY.MAX_QUERY_PAGES);
+
+    return { guesses, lastEvaluatedKey };
+  } catch (error) {
+    logger.error('Error getting guesses for player', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel an ACTIVE guess created within the cancellation window, releasing its stake if it has one
+ * @param {Object} guess - The guess to cancel
+ * @param {string} createdAfter - ISO timestamp; guesses created before it can no longer be cancelled
+ * @returns {Promise<Object|null>} - Cancelled guess object, or null if the guess is no longer ACTIVE or the window expired
+ */
+const cancelGuess = async (guess, createdAfter) => {
+  const params = {
+    TableName: TABLE_NAMES.GUESSES,
+    Key: {
+      guessId: guess.guessId
+    },
+    UpdateExpression: 'SET #status = :cancelled, cancelledAt = :cancelledAt REMOVE activeResolveAt',
+    ConditionExpression: '#status = :active AND createdAt >= :createdAfter',
+    ExpressionAttributeNames: {
+      '#status': 'status'
+    },
+    ExpressionAttributeValues: {
+      ':cancelled': GUESS_STATUS.CANCELLED,
+      ':active': GUESS_STATUS.ACTIVE,
+      ':createdAfter': createdAfter,
+      ':cancelledAt': new Date(clock.now()).toISOString()
+    }
+  };
+
+  try {
+    if (!guess.stake) {
+      const result = await dynamodb.update({ ...params, ReturnValues: 'ALL_NEW' }).promise();
+      return result.Attributes;
+    }
+
+    await dynamodb.transactWrite({
+      TransactItems: [
+        { Update: params },
+        buildStakeReleaseUpdate(guess)
+      ]
+    }).promise();
+
+    return {
+      ...guess,
+      status: GUESS_STATUS.CANCELLED,
+      cancelledAt: params.ExpressionAttributeValues[':cancelledAt']
+    };
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException' || getCancellationReasons(error)[0] === 'ConditionalCheckFailed') {
+      return null;
+    }
+
+    logger.error('Error cancelling guess', error);
+    throw error;
+  }
+};
+
+/**
+ * Void an ACTIVE guess that can no longer be priced, releasing its stake if it has one.
+ * The score is unchanged.
+ * @param {Object} guess - The guess to void
+ * @returns {Promise<Object|null>} - Voided guess object, or null if the guess is no longer ACTIVE
+ */
+const voidGuess = async (guess) => {
+  const params = {
+    TableName: TABLE_NAMES.GUESSES,
+    Key: {
+      guessId: guess.guessId
+    },
+    UpdateExpression: 'SET #status = :void, voidedAt = :voidedAt REMOVE activeResolveAt',
+    ConditionExpression: '#status = :active',
+    ExpressionAttributeNames: {
+      '#status': 'status'
+    },
+    ExpressionAttributeValues: {
+      ':void': GUESS_STATUS.VOID,
+      ':active': GUESS_STATUS.ACTIVE,
+      ':voidedAt': new Date(clock.now()).toISOString()
+    }
+  };
+
+  try {
+    if (!guess.stake) {
+      const result = await dynamodb.update({ ...params, ReturnValues: 'ALL_NEW' }).promise();
+      return result.Attributes;
+    }
+
+    await dynamodb.transactWrite({
+      TransactItems: [
+        { Update: params },
+        buildStakeReleaseUpdate(guess)
+      ]
+    }).promise();
+
+    return {
+      ...guess,
+      status: GUESS_STATUS.VOID,
+      voidedAt: params.ExpressionAttributeValues[':voidedAt']
+    };
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException' || getCancellationReasons(error)[0] === 'ConditionalCheckFailed') {
+      return null;
+    }
+
+    logger.error('Error voiding guess', error);
     throw error;
   }
 };
 
 /**
- * Update a guess with resolution data
- * @param {string} guessId - The guess ID to update
- * @param {string} status - New status ('WON' or 'LOST')
- * @param {number} resolvePrice - Bitcoin price at resolution time
- * @returns {Promise<Object>} - Updated guess object
+ * Record the latest resolution attempt scheduled for an ACTIVE guess, so its pending schedule can
+ * be deleted by name once the guess is resolved elsewhere
+ * @param {string} guessId - The guess ID
+ * @param {number} attempt - Resolution attempt about to be scheduled
+ * @returns {Promise<boolean>} - True if recorded, false if the guess is no longer ACTIVE
  */
-const updateGuessResolution = async (guessId, status, resolvePrice) => {
+const recordResolveAttempt = async (guessId, attempt) => {
   const params = {
     TableName: TABLE_NAMES.GUESSES,
     Key: {
       guessId: guessId
     },
-    UpdateExpression: 'SET #status = :status, resolvePrice = :resolvePrice, resolvedAt = :resolvedAt',
+    UpdateExpression: 'SET resolveAttempt = :attempt',
+    ConditionExpression: '#status = :active',
     ExpressionAttributeNames: {
       '#status': 'status'
     },
     ExpressionAttributeValues: {
-      ':status': status,
-      ':resolvePrice': resolvePrice,
-      ':resolvedAt': new Date().toISOString()
+      ':attempt': attempt,
+      ':active': GUESS_STATUS.ACTIVE
+    }
+  };
+
+  try {
+    await dynamodb.update(params).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+
+    logger.error('Error recording resolve attempt', error);
+    throw error;
+  }
+};
+
+/**
+ * Get ACTIVE guesses whose resolveAt is at or before a cutoff, oldest first
+ * @param {string} resolveBefore - ISO timestamp cutoff (inclusive)
+ * @param {number} maxResults - Maximum number of guesses to return
+ * @param {Object} options - Query options (optional)
+ * @param {string} options.resolveAfter - Only guesses whose resolveAt is at or after this ISO timestamp (optional)
+ * @param {boolean} options.newestFirst - Return the most recently due guesses first (default: false)
+ * @returns {Promise<Array>} - Array of overdue guess objects
+ */
+const getOverdueActiveGuesses = async (resolveBefore, maxResults, { resolveAfter = null, newestFirst = false } = {}) => {
+  const params = {
+    TableName: TABLE_NAMES.GUESSES,
+    IndexName: INDEX_NAMES.ACTIVE_RESOLVE_AT,
+    KeyConditionExpression: resolveAfter
+      ? '#status = :status AND activeResolveAt BETWEEN :resolveAfter AND :resolveBefore'
+      : '#status = :status AND activeResolveAt <= :resolveBefore',
+    ExpressionAttributeNames: {
+      '#status': 'status'
     },
-    ReturnValues: 'ALL_NEW'
+    ExpressionAttributeValues: {
+      ':status': GUESS_STATUS.ACTIVE,
+      ':resolveBefore': resolveBefore,
+      ...(resolveAfter && { ':resolveAfter': resolveAfter })
+    },
+    ScanIndexForward: !newestFirst, // Ascending: most overdue first; descending: most recently due first
+    Limit: maxResults
   };
 
   try {
-    const result = await dynamodb.update(params).promise();
-    return result.Attributes;
+    const guesses = [];
+    let result;
+    do {
+      result = await dynamodb.query(params).promise();
+      guesses.push(...(result.Items || []));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+      params.Limit = maxResults - guesses.length;
+    } while (result.LastEvaluatedKey && guesses.length < maxResults);
+
+    return guesses;
   } catch (error) {
-    console.error('Error updating guess resolution:', error);
+    logger.error('Error getting overdue active guesses', error);
     throw error;
   }
 };
 
 /**
- * Update player score
- * @param {string} playerId - The player's unique ID
- * @param {number} scoreChange - Score change (+1 for win, -1 for loss)
- * @returns {Promise<Object>} - Updated player object
+ * Resolve a guess and apply the score change in a single transaction.
+ * The guess update is conditioned on the guess still being ACTIVE, so concurrent resolutions
+ * (scheduler retry + manual resolve) score a guess exactly once. The player update is conditioned
+ * on the score read beforehand, and the transaction is retried if the score changed meanwhile.
+ * Scores never drop below 0. The player's leaderboard rankKey, the score histogram, the
+ * player's lifetime and daily/weekly stats and the release of a reserved stake are written in the same transaction.
+ * @param {Object} guess - The ACTIVE guess being resolved
+ * @param {string} status - New status ('WON', 'LOST' or 'PUSH')
+ * @param {Object} priceData - Resolution price as { price, sources, timestamp } (timestamp in ms)
+ * @param {number} scoreChange - Score change (+1 for win, -1 for loss, 0 for push)
+ * @returns {Promise<Object>} - { guess, player } with the resolved guess and updated player
+ * @throws {Error} - Error with code GUESS_ALREADY_RESOLVED if another invocation resolved the guess first
  */
-const updatePlayerScore = async (playerId, scoreChange) => {
-  const now = new Date().toISOString();
+const resolveGuessWithScore = async (guess, status, priceData, scoreChange) => {
+  for (let attempt = 1; attempt <= RESOLUTION_CONFIG.TRANSACTION_ATTEMPTS; attempt++) {
+    const player = await getPlayerById(guess.playerId, true);
+    if (!player) {
+      throw new Error(`Player ${guess.playerId} not found while resolving guess ${guess.guessId}`);
+    }
+
+    const now = new Date(clock.now()).toISOString();
+    const {
+      hasScore,
+      currentScore,
+      newScore,
+      leaderboardAttributes,
+      histogramMoves,
+      hasStats,
+      stats,
+      statsPeriods,
+      resolution
+    } = planScoreUpdate(guess, player, status, priceData, scoreChange, now);
+
+    const histogramUpdates = histogramMoves.map(({ partition, score, delta }) => buildHistogramUpdate(partition, score, delta));
+    const periodStatsUpdates = statsPeriods.map((period) => buildPeriodStatsUpdate(guess.playerId, period, status));
 
-  // Increment path (never capped)
-  if (scoreChange >= 0) {
     const params = {
-      TableName: TABLE_NAMES.PLAYERS,
-      Key: { playerId },
-      UpdateExpression: 'SET score = if_not_exists(score, :zero) + :scoreChange, lastActive = :timestamp',
-      ExpressionAttributeValues: {
-        ':scoreChange': scoreChange,
-        ':zero': 0,
-        ':timestamp': now
-      },
-      ReturnValues: 'ALL_NEW'
+      TransactItems: [
+        {
+          Update: {
+            TableName: TABLE_NAMES.GUESSES,
+            Key: { guessId: guess.guessId },
+            UpdateExpression: 'SET #status = :status, resolvePrice = :resolvePrice, resolvePriceSources = :resolvePriceSources, resolvePriceAt = :resolvePriceAt, resolvedAt = :resolvedAt REMOVE activeResolveAt',
+            ConditionExpression: '#status = :active',
+            ExpressionAttributeNames: {
+              '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+              ':status': resolution.status,
+              ':resolvePrice': resolution.resolvePrice,
+              ':resolvePriceSources': resolution.resolvePriceSources,
+              ':resolvePriceAt': resolution.resolvePriceAt,
+              ':resolvedAt': resolution.resolvedAt,
+              ':active': GUESS_STATUS.ACTIVE
+            }
+          }
+        },
+        {
+          Update: {
+            TableName: TABLE_NAMES.PLAYERS,
+            Key: { playerId: guess.playerId },
+            UpdateExpression: 'SET score = :newScore, lastActive = :timestamp, leaderboard = :leaderboard, rankKey = :rankKey, scoreReachedAt = :scoreReachedAt, stats = :stats' +
+              (guess.stake ? ' ADD reservedStake :release' : ''),
+            // Lifetime stats are guarded like the score, so concurrent resolutions cannot lose an update
+            ConditionExpression: [
+              hasScore ? 'score = :expectedScore' : 'attribute_exists(playerId) AND attribute_not_exists(score)',
+              hasStats ? 'stats.totalGuesses = :expectedTotalGuesses' : 'attribute_not_exists(stats)'
+            ].join(' AND '),
+            ExpressionAttributeValues: {
+              ':newScore': newScore,
+              ':timestamp': now,
+              ':leaderboard': leaderboardAttributes.leaderboard,
+              ':rankKey': leaderboardAttributes.rankKey,
+              ':scoreReachedAt': leaderboardAttributes.scoreReachedAt,
+              ':stats': stats,
+              ...(guess.stake && { ':release': -guess.stake }),
+              ...(hasScore && { ':expectedScore': currentScore }),
+              ...(hasStats && { ':expectedTotalGuesses': player.stats.totalGuesses })
+            }
+          }
+        },
+        ...histogramUpdates,
+        ...periodStatsUpdates
+      ]
     };
 
     try {
-      const result = await dynamodb.update(params).promise();
-      return result.Attributes;
+      await dynamodb.transactWrite(params).promise();
+      return {
+        guess: { ...guess, ...resolution },
+        player: {
+          ...player,
+          ...leaderboardAttributes,
+          stats,
+          score: newScore,
+          lastActive: now,
+          ...(guess.stake && { reservedStake: (player.reservedStake || 0) - guess.stake })
+        }
+      };
     } catch (error) {
-      console.error('Error updating player score (increment):', error);
-      throw error;
+      const reasons = getCancellationReasons(error);
+      const [guessReason, playerReason] = reasons;
+
+      if (guessReason === 'ConditionalCheckFailed') {
+        const alreadyResolved = new Error(`Guess ${guess.guessId} was already resolved`);
+        alreadyResolved.code = ERROR_CODES.GUESS_ALREADY_RESOLVED;
+        throw alreadyResolved;
+      }
+
+      const isRetryable = playerReason === 'ConditionalCheckFailed' || reasons.includes('TransactionConflict');
+
+      if (!isRetryable || attempt === RESOLUTION_CONFIG.TRANSACTION_ATTEMPTS) {
+        logger.error('Error resolving guess transaction', error);
+        throw error;
+      }
+
+      logger.warn('Guess resolution transaction conflicted, retrying', { guessId: guess.guessId, attempt });
     }
   }
+};
+
+/**
+ * Record a fetched price tick in the price history table
+ * @param {Object} tick - Tick object with symbol, timestamp (ms), price and sources
+ * @returns {Promise<Object>} - Stored tick object
+ */
+const putPriceTick = async (tick) => {
+  const params = {
+    TableName: TABLE_NAMES.PRICE_HISTORY,
+    Item: tick
+  };
+
+  try {
+    await dynamodb.put(params).promise();
+    return tick;
+  } catch (error) {
+    logger.error('Error recording price tick', error);
+    throw error;
+  }
+};
 
-  // Decrement path (floor at 0)
+/**
+ * Get all price ticks for a symbol within a time range, oldest first
+ * @param {string} symbol - Price symbol (e.g. 'BTC-USD')
+ * @param {number} from - Range start timestamp in milliseconds (inclusive)
+ * @param {number} to - Range end timestamp in milliseconds (inclusive)
+ * @returns {Promise<Array>} - Array of tick objects
+ */
+const getPriceTicks = async (symbol, from, to) => {
   const params = {
-    TableName: TABLE_NAMES.PLAYERS,
-    Key: { playerId },
-    UpdateExpression: 'SET score = if_not_exists(score, :zero) - :one, lastActive = :timestamp',
-    ConditionExpression: 'attribute_exists(score) AND score >= :one',
+    TableName: TABLE_NAMES.PRICE_HISTORY,
+    KeyConditionExpression: '#symbol = :symbol AND #timestamp BETWEEN :from AND :to',
+    ExpressionAttributeNames: {
+      '#symbol': 'symbol',
+      '#timestamp': 'timestamp'
+    },
     ExpressionAttributeValues: {
-      ':one': 1,
-      ':zero': 0,
-      ':timestamp': now
+      ':symbol': symbol,
+      ':from': from,
+      ':to': to
     },
-    ReturnValues: 'ALL_NEW'
+    ScanIndexForward: true // Sort in ascending order (oldest first)
   };
 
   try {
-    const result = await dynamodb.update(params).promise();
+    const ticks = [];
+    let result;
+    do {
+      result = await dynamodb.query(params).promise();
+      ticks.push(...(result.Items || []));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (result.LastEvaluatedKey);
+
+    return ticks;
+  } catch (error) {
+    logger.error('Error getting price ticks', error);
+    throw error;
+  }
+};
+
+/**
+ * Store a local scheduler job, replacing any job with the same name
+ * @param {Object} job - Job object with scheduleGroup, name, runAt (ms) and input
+ * @returns {Promise<Object>} - Stored job object
+ */
+const putScheduledJob = async (job) => {
+  const params = {
+    TableName: TABLE_NAMES.SCHEDULED_JOBS,
+    Item: job
+  };
+
+  try {
+    await dynamodb.put(params).promise();
+    return job;
+  } catch (error) {
+    logger.error('Error storing scheduled job', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the local scheduler jobs of a schedule group whose name starts with a prefix
+ * @param {string} scheduleGroup - Schedule group name
+ * @param {string} namePrefix - Job name prefix (optional; all jobs of the group when omitted or empty)
+ * @returns {Promise<Array>} - Array of job objects ordered by name
+ */
+const getScheduledJobs = async (scheduleGroup, namePrefix = '') => {
+  // DynamoDB rejects empty strings in key conditions, so without a prefix only the partition key is queried
+  const params = namePrefix
+    ? {
+      TableName: TABLE_NAMES.SCHEDULED_JOBS,
+      KeyConditionExpression: 'scheduleGroup = :scheduleGroup AND begins_with(#name, :prefix)',
+      ExpressionAttributeNames: {
+        '#name': 'name'
+      },
+      ExpressionAttributeValues: {
+        ':scheduleGroup': scheduleGroup,
+        ':prefix': namePrefix
+      }
+    }
+    : {
+      TableName: TABLE_NAMES.SCHEDULED_JOBS,
+      KeyConditionExpression: 'scheduleGroup = :scheduleGroup',
+      ExpressionAttributeValues: {
+        ':scheduleGroup': scheduleGroup
+      }
+    };
+
+  try {
+    const jobs = [];
+    let result;
+    do {
+      result = await dynamodb.query(params).promise();
+      jobs.push(...(result.Items || []));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (result.LastEvaluatedKey);
+
+    return jobs;
+  } catch (error) {
+    logger.error('Error getting scheduled jobs', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a local scheduler job. Only one caller can delete a job, which is how it is claimed for a run.
+ * @param {string} scheduleGroup - Schedule group name
+ * @param {string} name - Job name
+ * @returns {Promise<Object|null>} - Deleted job object or null if the job did not exist
+ */
+const deleteScheduledJob = async (scheduleGroup, name) => {
+  const params = {
+    TableName: TABLE_NAMES.SCHEDULED_JOBS,
+    Key: { scheduleGroup, name },
+    ConditionExpression: 'attribute_exists(#name)',
+    ExpressionAttributeNames: {
+      '#name': 'name'
+    },
+    ReturnValues: 'ALL_OLD'
+  };
+
+  try {
+    const result = await dynamodb.delete(params).promise();
     return result.Attributes;
   } catch (error) {
     if (error.code === 'ConditionalCheckFailedException') {
-      // Score is 0 or missing -> keep at 0, but still update lastActive and ensure score is set to 0
-      try {
-        const fallback = await dynamodb.update({
-          TableName: TABLE_NAMES.PLAYERS,
-          Key: { playerId },
-          UpdateExpression: 'SET lastActive = :timestamp, score = if_not_exists(score, :zero)',
-          ExpressionAttributeValues: {
-            ':timestamp': now,
-            ':zero': 0
-          },
-          ReturnValues: 'ALL_NEW'
-        }).promise();
-        return fallback.Attributes;
-      } catch (fallbackErr) {
-        console.error('Fallback update (no decrement) failed:', fallbackErr);
-        throw fallbackErr;
-      }
+      return null;
     }
 
-    console.error('Error updating player score (decrement):', error);
+    logger.error('Error deleting scheduled job', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the score histogram (number of players per distinct score, summed over every leaderboard partition)
+ * @returns {Promise<Array>} - Histogram items as { score, playerCount }
+ */
+const getScoreHistogram = async () => {
+  const queryPartition = async (partition) => {
+    const params = {
+      TableName: TABLE_NAMES.LEADERBOARD,
+      KeyConditionExpression: 'leaderboard = :leaderboard',
+      ExpressionAttributeValues: {
+        ':leaderboard': partition
+      }
+    };
+
+    const items = [];
+    let result;
+    do {
+      result = await dynamodb.query(params).promise();
+      items.push(...(result.Items || []));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (result.LastEvaluatedKey);
+    return items;
+  };
+
+  try {
+    const partitions = await Promise.all(getLeaderboardPartitions().map(queryPartition));
+    return sumScoreHistograms(partitions.flat());
+  } catch (error) {
+    logger.error('Error getting score histogram', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of players ordered by score (ties broken by earliest time the score was reached),
+ * merged from every leaderboard partition
+ * @param {number} limit - Maximum number of players to return
+ * @param {Object} exclusiveStartKey - lastEvaluatedKey of the previous page (optional)
+ * @returns {Promise<Object>} - { players, lastEvaluatedKey }
+ */
+const getLeaderboardPage = async (limit, exclusiveStartKey = null) => {
+  const queryPartition = async (partition, partitionLimit, partitionStartKey) => {
+    const params = {
+      TableName: TABLE_NAMES.PLAYERS,
+      IndexName: INDEX_NAMES.LEADERBOARD,
+      KeyConditionExpression: 'leaderboard = :leaderboard',
+      ExpressionAttributeValues: {
+        ':leaderboard': partition
+      },
+      ScanIndexForward: false, // Sort in descending order (highest score first)
+      Limit: partitionLimit,
+      ...(partitionStartKey && { ExclusiveStartKey: partitionStartKey })
+    };
+
+    const result = await dynamodb.query(params).promise();
+    return {
+      players: result.Items || [],
+      lastEvaluatedKey: result.LastEvaluatedKey || null
+    };
+  };
+
+  try {
+    return await mergeLeaderboardPages(limit, exclusiveStartKey, queryPartition);
+  } catch (error) {
+    logger.error('Error getting leaderboard page', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a player's most recent stats periods of one granularity, latest first
+ * @param {string} playerId - The player ID
+ * @param {string} prefix - Period prefix (PLAYER_STATS.DAILY_PREFIX or PLAYER_STATS.WEEKLY_PREFIX)
+ * @param {number} maxResults - Maximum number of periods to return
+ * @returns {Promise<Array>} - Period items as { playerId, period, totalGuesses, wins, losses }
+ */
+const getPlayerStatsPeriods = async (playerId, prefix, maxResults) => {
+  const params = {
+    TableName: TABLE_NAMES.PLAYER_STATS,
+    KeyConditionExpression: 'playerId = :playerId AND begins_with(period, :prefix)',
+    ExpressionAttributeValues: {
+      ':playerId': playerId,
+      ':prefix': prefix
+    },
+    ScanIndexForward: false, // Sort in descending order (latest first)
+    Limit: maxResults
+  };
+
+  try {
+    const result = await dynamodb.query(params).promise();
+    return result.Items || [];
+  } catch (error) {
+    logger.error('Error getting player stats periods', error);
     throw error;
   }
 };
 
 module.exports = {
   createPlayer,
+  registerPlayerAccount,
+  getAccountByLogin,
+  updatePlayerPassword,
+  setPlayerClaimCode,
+  claimPlayerToken,
+  recordFailedLogin,
+  clearFailedLogins,
+  updatePlayerCurrency,
   getPlayerById,
   updatePlayerLastActive,
   createGuess,
+  createStakedGuess,
   getActiveGuessForPlayer,
   getGuessById,
   getLatestGuessForPlayer,
-  updateGuessResolution,
-  updatePlayerScore
+  getGuessesForPlayer,
+  getOverdueActiveGuesses,
+  cancelGuess,
+  voidGuess,
+  recordResolveAttempt,
+  resolveGuessWithScore,
+  putPriceTick,
+  getPriceTicks,
+  putScheduledJob,
+  getScheduledJobs,
+  deleteScheduledJob,
+  getScoreHistogram,
+  getLeaderboardPage,
+  getPlayerStatsPeriods
 };
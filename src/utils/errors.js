@@ -0,0 +1,166 @@
+const { ERROR_MESSAGES, ERROR_CODES, HTTP_STATUS } = require('../config/constants');
+
+/**
+ * Base class of errors with a known HTTP status and error code.
+ * Handlers throw these (or let them propagate) and the middleware in src/utils/middleware.js
+ * turns them into the standard error response.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Message returned to the client
+   * @param {string} code - Error code (one of ERROR_CODES)
+   * @param {number} statusCode - HTTP status code (one of HTTP_STATUS)
+   * @param {Error} cause - Underlying error (optional)
+   */
+  constructor(message, code = ERROR_CODES.INTERNAL_ERROR, statusCode = HTTP_STATUS.INTERNAL_SERVER_ERROR, cause = undefined) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Malformed request: invalid JSON, missing or invalid parameters (400)
+ */
+class ValidationError extends AppError {
+  constructor(message, code = ERROR_CODES.VALIDATION_ERROR, cause = undefined) {
+    super(message, code, HTTP_STATUS.BAD_REQUEST, cause);
+  }
+}
+
+/**
+ * Missing, invalid or expired credentials (401)
+ */
+class AuthenticationError extends AppError {
+  constructor(message = ERROR_MESSAGES.INVALID_SESSION, code = ERROR_CODES.UNAUTHORIZED, cause = undefined) {
+    super(message, code, HTTP_STATUS.UNAUTHORIZED, cause);
+  }
+}
+
+/**
+ * Valid credentials for another player (403)
+ */
+class ForbiddenError extends AppError {
+  constructor(message = ERROR_MESSAGES.UNAUTHORIZED, code = ERROR_CODES.UNAUTHORIZED, cause = undefined) {
+    super(message, code, HTTP_STATUS.FORBIDDEN, cause);
+  }
+}
+
+/**
+ * Player or guess does not exist (404)
+ */
+class NotFoundError extends AppError {
+  constructor(message, code, cause = undefined) {
+    super(message, code, HTTP_STATUS.NOT_FOUND, cause);
+  }
+}
+
+/**
+ * Request conflicts with the current state, e.g. a guess that is no longer ACTIVE (409)
+ */
+class ConflictError extends AppError {
+  constructor(message = ERROR_MESSAGES.CONFLICT_ERROR, code = ERROR_CODES.CONFLICT_ERROR, cause = undefined) {
+    super(message, code, HTTP_STATUS.CONFLICT, cause);
+  }
+}
+
+/**
+ * Too many attempts, e.g. a player's password logins are locked after failed logins (429)
+ */
+class TooManyRequestsError extends AppError {
+  constructor(message, code, cause = undefined) {
+    super(message, code, HTTP_STATUS.TOO_MANY_REQUESTS, cause);
+  }
+}
+
+/**
+ * A dependency is temporarily unavailable, e.g. no price or a throttled table (503)
+ */
+class ServiceUnavailableError extends AppError {
+  constructor(message, code, cause = undefined) {
+    super(message, code, HTTP_STATUS.SERVICE_UNAVAILABLE, cause);
+  }
+}
+
+/**
+ * Database failure that retrying will not fix (500)
+ */
+class DatabaseError extends AppError {
+  constructor(message = ERROR_MESSAGES.DATABASE_ERROR, code = ERROR_CODES.DATABASE_ERROR, cause = undefined) {
+    super(message, code, HTTP_STATUS.INTERNAL_SERVER_ERROR, cause);
+  }
+}
+
+/**
+ * Domain error codes raised as plain errors by the repositories and the price oracle
+ */
+const DOMAIN_ERROR_TYPES = {
+  [ERROR_CODES.STAKE_UNAVAILABLE]: ConflictError,
+  [ERROR_CODES.ACCOUNT_ALREADY_REGISTERED]: ConflictError,
+  [ERROR_CODES.EMAIL_TAKEN]: ConflictError,
+  [ERROR_CODES.USERNAME_TAKEN]: ConflictError,
+  [ERROR_CODES.GUESS_ALREADY_RESOLVED]: ConflictError,
+  [ERROR_CODES.PRICE_FETCH_ERROR]: ServiceUnavailableError
+};
+
+/**
+ * AWS SDK error codes and the errors they are reported as
+ */
+const AWS_ERRORS = {
+  // A conditional write lost a race with another request
+  ConditionalCheckFailedException: { type: ConflictError, message: ERROR_MESSAGES.CONFLICT_ERROR, code: ERROR_CODES.CONFLICT_ERROR },
+  TransactionCanceledException: { type: ConflictError, message: ERROR_MESSAGES.CONFLICT_ERROR, code: ERROR_CODES.CONFLICT_ERROR },
+  TransactionConflictException: { type: ConflictError, message: ERROR_MESSAGES.CONFLICT_ERROR, code: ERROR_CODES.CONFLICT_ERROR },
+  // Throttled requests the client may retry
+  ProvisionedThroughputExceededException: { type: ServiceUnavailableError, message: ERROR_MESSAGES.DATABASE_BUSY, code: ERROR_CODES.DATABASE_ERROR },
+  RequestLimitExceeded: { type: ServiceUnavailableError, message: ERROR_MESSAGES.DATABASE_BUSY, code: ERROR_CODES.DATABASE_ERROR },
+  ThrottlingException: { type: ServiceUnavailableError, message: ERROR_MESSAGES.DATABASE_BUSY, code: ERROR_CODES.DATABASE_ERROR },
+  // Missing table, rejected request or a failure inside DynamoDB
+  ResourceNotFoundException: { type: DatabaseError, message: ERROR_MESSAGES.DATABASE_ERROR, code: ERROR_CODES.DATABASE_ERROR },
+  ValidationException: { type: DatabaseError, message: ERROR_MESSAGES.DATABASE_ERROR, code: ERROR_CODES.DATABASE_ERROR },
+  ItemCollectionSizeLimitExceededException: { type: DatabaseError, message: ERROR_MESSAGES.DATABASE_ERROR, code: ERROR_CODES.DATABASE_ERROR },
+  InternalServerError: { type: DatabaseError, message: ERROR_MESSAGES.DATABASE_ERROR, code: ERROR_CODES.DATABASE_ERROR }
+};
+
+/**
+ * Convert any error to an AppError
+ * @param {Error} error - Error thrown while handling a request
+ * @param {Object} overrides - Error factories by error code that take precedence over the defaults (optional)
+ * @returns {AppError} - The error itself if it is an AppError, otherwise the mapped error (INTERNAL_ERROR if unknown)
+ */
+const toAppError = (error, overrides = {}) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  const code = error && error.code;
+  if (overrides[code]) {
+    return overrides[code](error);
+  }
+
+  const DomainErrorType = DOMAIN_ERROR_TYPES[code];
+  if (DomainErrorType) {
+    return new DomainErrorType(ERROR_MESSAGES[code], code, error);
+  }
+
+  const awsError = AWS_ERRORS[code];
+  if (awsError) {
+    return new awsError.type(awsError.message, awsError.code, error);
+  }
+
+  return new AppError(ERROR_MESSAGES.INTERNAL_ERROR, ERROR_CODES.INTERNAL_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR, error);
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  ServiceUnavailableError,
+  DatabaseError,
+  toAppError
+};
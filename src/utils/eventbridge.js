@@ -1,10 +1,9 @@
 const AWS = require('aws-sdk');
-const { APP_CONFIG, ENV } = require('../config/constants');
-
-// Configure EventBridge Scheduler for scheduled events (AWS SDK v2 service is named 'Scheduler')
-const scheduler = new AWS.Scheduler({
-  region: ENV.AWS_REGION
-});
+const { getTimeframeConfig } = require('./guess');
+const { getScheduler } = require('./schedulers');
+const clock = require('./clock');
+const { logger, getLogContext } = require('./logger');
+const { SCHEDULER_CONFIG, GUESS_TIMEFRAMES, ENV } = require('../config/constants');
 
 // Configure EventBridge (for immediate events)
 const eventbridge = new AWS.EventBridge({
@@ -12,66 +11,137 @@ const eventbridge = new AWS.EventBridge({
 });
 
 /**
- * Schedule a guess resolution event to be triggered after 60 seconds
+ * Build the schedule name for a guess resolution attempt
+ * @param {string} guessId - The guess ID
+ * @param {number} attempt - Resolution attempt number, > 0 for deferred retries (default: 0)
+ * @returns {string} - Schedule name, e.g. resolve-guess-<guessId> or resolve-guess-<guessId>-retry-2
+ */
+const getGuessScheduleName = (guessId, attempt = 0) => {
+  const baseName = `${SCHEDULER_CONFIG.SCHEDULE_NAME_PREFIX}${guessId}`;
+  return attempt > 0 ? `${baseName}-retry-${attempt}` : baseName;
+};
+
+/**
+ * Extract the guess ID from a resolution schedule name
+ * @param {string} scheduleName - Schedule name created by scheduleGuessResolution
+ * @returns {string|null} - Guess ID or null if the name does not match the naming convention
+ */
+const getGuessIdFromScheduleName = (scheduleName) => {
+  const match = /^resolve-guess-([0-9a-f-]{36})(?:-retry-\d+)?$/i.exec(scheduleName);
+  return match ? match[1] : null;
+};
+
+/**
+ * Schedule a guess resolution event to be triggered after a delay (the guess timeframe by default).
+ * Uses EventBridge Scheduler, or the local scheduler in offline mode (see src/utils/schedulers).
  * @param {string} guessId - The guess ID to resolve
  * @param {string} userId - The user ID who made the guess
  * @param {number} currentPrice - The Bitcoin price when the guess was made
- * @returns {Promise<Object>} - EventBridge response
+ * @param {Object} options - Optional scheduling overrides
+ * @param {string} options.resolveAt - ISO timestamp to run at, takes precedence over delay
+ * @param {string} options.timeframe - Guess timeframe (default: GUESS_TIMEFRAMES.DEFAULT)
+ * @param {number} options.delay - Delay in milliseconds (default: the duration of the timeframe)
+ * @param {number} options.attempt - Resolution attempt number, > 0 for deferred retries (default: 0)
+ * @param {string} options.correlationId - Correlation ID passed on to resolveGuess (default: the one of the current log context)
+ * @param {Object} options.scheduler - Scheduler backend (default: the one of the environment, see getScheduler)
+ * @returns {Promise<Object>} - Scheduler response
  */
-const scheduleGuessResolution = async (guessId, userId, currentPrice) => {
-  // Schedule name must be unique - use guessId
-  const scheduleName = `resolve-guess-${guessId}`;
+const scheduleGuessResolution = async (guessId, userId, currentPrice, {
+  resolveAt = null,
+  timeframe = GUESS_TIMEFRAMES.DEFAULT,
+  delay = getTimeframeConfig(timeframe).DURATION,
+  attempt = 0,
+  correlationId = getLogContext().correlationId,
+  scheduler = getScheduler()
+} = {}) => {
 
-  // Time 60 seconds from now in seconds precision, no timezone suffix (Scheduler expects no 'Z')
-  const runAt = new Date(Date.now() + APP_CONFIG.GUESS_RESOLUTION_DELAY)
-    .toISOString()
-    .slice(0, 19); // e.g., 2025-09-22T12:44:43
+  // Schedule name must be unique - use guessId, suffixed with the attempt for deferred retries
+  const scheduleName = getGuessScheduleName(guessId, attempt);
 
-  const accountId = await getAccountId();
-  const functionName = `${APP_CONFIG.SERVICE_NAME}-${ENV.STAGE}-resolveGuess`;
-  const lambdaArn = `arn:aws:lambda:${ENV.AWS_REGION}:${accountId}:function:${functionName}`;
-  const roleName = `${APP_CONFIG.SERVICE_NAME}-${ENV.STAGE}-scheduler-role`;
-  const roleArn = `arn:aws:iam::${accountId}:role/${roleName}`;
+  // Time of the run in seconds precision.
+  // Rounded up to the next full second so the schedule never fires before resolveAt.
+  const runAtMs = resolveAt ? new Date(resolveAt).getTime() : clock.now() + delay;
+  const runAt = new Date(Math.ceil(runAtMs / 1000) * 1000);
 
-  const params = {
-    Name: scheduleName,
-    GroupName: 'default',
-    FlexibleTimeWindow: { Mode: 'OFF' }, // Run exactly once
-    ScheduleExpression: `at(${runAt})`,
-    ScheduleExpressionTimezone: 'UTC',
-    Target: {
-      Arn: lambdaArn,
-      RoleArn: roleArn,
-      Input: JSON.stringify({
+  try {
+    const result = await scheduler.createSchedule({
+      name: scheduleName,
+      runAt,
+      input: {
         guessId,
         userId: userId,
         currentPrice,
-        scheduledAt: new Date().toISOString(),
-        source: 'eventbridge-scheduler'
-      })
-    }
-  };
-
-  try {
-    const result = await scheduler.createSchedule(params).promise();
-    console.log('Guess resolution scheduled via EventBridge Scheduler:', {
+        attempt,
+        scheduledAt: new Date(clock.now()).toISOString(),
+        source: 'eventbridge-scheduler',
+        ...(correlationId && { correlationId })
+      }
+    });
+    logger.info('Guess resolution scheduled', {
+      scheduler: scheduler.name,
       guessId,
       scheduleName,
-      runAt,
+      runAt: runAt.toISOString(),
+      attempt,
       result
     });
     return result;
   } catch (error) {
-    console.error('Error scheduling guess resolution via EventBridge Scheduler:', error);
+    logger.error('Error scheduling guess resolution', { scheduler: scheduler.name, guessId, scheduleName, error });
+    throw error;
+  }
+};
+
+/**
+ * Delete a schedule by name. Missing schedules (already completed and auto-deleted) are ignored.
+ * @param {string} scheduleName - Schedule name
+ * @param {Object} options - Optional overrides
+ * @param {Object} options.scheduler - Scheduler backend (default: the one of the environment, see getScheduler)
+ * @returns {Promise<boolean>} - True if a schedule was deleted, false if it did not exist
+ */
+const deleteSchedule = async (scheduleName, { scheduler = getScheduler() } = {}) => {
+  try {
+    const deleted = await scheduler.deleteSchedule(scheduleName);
+    if (deleted) {
+      logger.info('Schedule deleted', { scheduleName });
+    }
+    return deleted;
+  } catch (error) {
+    logger.error('Error deleting schedule', { scheduleName, error });
     throw error;
   }
 };
 
-// Helper function to get AWS account ID
-const getAccountId = async () => {
-  const sts = new AWS.STS({ region: ENV.AWS_REGION });
-  const identity = await sts.getCallerIdentity().promise();
-  return identity.Account;
+/**
+ * List resolution schedule names, optionally restricted to a name prefix
+ * @param {string} namePrefix - Schedule name prefix (default: every guess resolution schedule)
+ * @param {Object} options - Optional overrides
+ * @param {Object} options.scheduler - Scheduler backend (default: the one of the environment, see getScheduler)
+ * @returns {Promise<Array<string>>} - Schedule names
+ */
+const listGuessSchedules = async (namePrefix = SCHEDULER_CONFIG.SCHEDULE_NAME_PREFIX, { scheduler = getScheduler() } = {}) => {
+  try {
+    return await scheduler.listSchedules(namePrefix);
+  } catch (error) {
+    logger.error('Error listing schedules', { namePrefix, error });
+    throw error;
+  }
+};
+
+/**
+ * Cancel every pending resolution schedule of a guess (the initial one and any deferred retries).
+ * The schedule names are derived from the attempts, so no slow, rate-limited ListSchedules call is
+ * needed: a guess that was never deferred costs a single delete.
+ * @param {string} guessId - The guess ID
+ * @param {Object} options - Optional overrides
+ * @param {number} options.attempt - Latest resolution attempt scheduled for the guess (guess.resolveAttempt, default: 0)
+ * @param {Object} options.scheduler - Scheduler backend (default: the one of the environment, see getScheduler)
+ * @returns {Promise<number>} - Number of schedules deleted
+ */
+const cancelGuessResolution = async (guessId, { attempt = 0, scheduler = getScheduler() } = {}) => {
+  const scheduleNames = Array.from({ length: attempt + 1 }, (_, index) => getGuessScheduleName(guessId, index));
+  const deleted = await Promise.all(scheduleNames.map((scheduleName) => deleteSchedule(scheduleName, { scheduler })));
+  return deleted.filter(Boolean).length;
 };
 
 /**
@@ -96,19 +166,24 @@ const sendEvent = async (source, detailType, detail, time = null) => {
 
   try {
     const result = await eventbridge.putEvents(params).promise();
-    console.log('Event sent to EventBridge:', {
+    logger.info('Event sent to EventBridge', {
       source,
       detailType,
       result
     });
     return result;
   } catch (error) {
-    console.error('Error sending event to EventBridge:', error);
+    logger.error('Error sending event to EventBridge', { source, detailType, error });
     throw error;
   }
 };
 
 module.exports = {
+  getGuessScheduleName,
+  getGuessIdFromScheduleName,
   scheduleGuessResolution,
+  deleteSchedule,
+  listGuessSchedules,
+  cancelGuessResolution,
   sendEvent
 };
@@ -0,0 +1,42 @@
+const { cancelGuessResolution, getGuessScheduleName } = require('./eventbridge');
+
+const GUESS_ID = '3f0c6a52-8d4e-4b8a-9a57-2f4f6d1f8c11';
+
+/**
+ * Scheduler backend holding the given schedule names; listing them is not expected
+ * @param {Array<string>} names - Existing schedule names
+ * @returns {Object} - Scheduler with the remaining schedule names in `names`
+ */
+const createScheduler = (names) => {
+  const scheduler = {
+    name: 'test',
+    names: new Set(names),
+    deleteSchedule: jest.fn(async (name) => scheduler.names.delete(name)),
+    listSchedules: jest.fn(async () => {
+      throw new Error('listSchedules should not be called');
+    })
+  };
+  return scheduler;
+};
+
+describe('cancelGuessResolution', () => {
+  it('deletes the schedule of a guess that was never deferred with a single call', async () => {
+    const scheduler = createScheduler([getGuessScheduleName(GUESS_ID)]);
+
+    expect(await cancelGuessResolution(GUESS_ID, { scheduler })).toBe(1);
+    expect(scheduler.deleteSchedule).toHaveBeenCalledTimes(1);
+    expect(scheduler.listSchedules).not.toHaveBeenCalled();
+  });
+
+  it('deletes deferred retries up to the recorded attempt by name', async () => {
+    const scheduler = createScheduler([getGuessScheduleName(GUESS_ID, 2), getGuessScheduleName('other-guess')]);
+
+    expect(await cancelGuessResolution(GUESS_ID, { attempt: 2, scheduler })).toBe(1);
+    expect(scheduler.deleteSchedule.mock.calls.map(([name]) => name)).toEqual([
+      `resolve-guess-${GUESS_ID}`,
+      `resolve-guess-${GUESS_ID}-retry-1`,
+      `resolve-guess-${GUESS_ID}-retry-2`
+    ]);
+    expect([...scheduler.names]).toEqual([getGuessScheduleName('other-guess')]);
+  });
+});
@@ -3,6 +3,76 @@
  * Centralized to avoid duplication across handlers.
  */
 
+const { GUESS_STATUS, GUESS_TIMEFRAMES, GUESS_TYPES, ASSETS, CURRENCIES } = require('../config/constants');
+
+/**
+ * Get the configuration of a guess timeframe
+ * @param {string} timeframe - Timeframe key, e.g. '5m' (guesses without one use the default timeframe)
+ * @returns {Object} - { DURATION, MULTIPLIER } from GUESS_TIMEFRAMES.CATALOGUE
+ */
+function getTimeframeConfig(timeframe) {
+  return GUESS_TIMEFRAMES.CATALOGUE[timeframe] || GUESS_TIMEFRAMES.CATALOGUE[GUESS_TIMEFRAMES.DEFAULT];
+}
+
+/**
+ * Get the type of a guess
+ * @param {Object} guess - Guess object (guesses created before guess types existed have no guessType)
+ * @returns {string} - One of GUESS_TYPES
+ */
+function getGuessType(guess) {
+  return guess.guessType || GUESS_TYPES.DIRECTION;
+}
+
+/**
+ * Get the prediction fields of a guess for API responses
+ * @param {Object} guess - Raw guess object from DynamoDB
+ * @returns {Object} - Type-specific fields, e.g. { condition, targetPrice } for target guesses
+ */
+function formatPrediction(guess) {
+  switch (getGuessType(guess)) {
+    case GUESS_TYPES.TARGET:
+      return { condition: guess.targetCondition, targetPrice: guess.targetPrice };
+    case GUESS_TYPES.RANGE:
+      return { rangeLow: guess.rangeLow, rangeHigh: guess.rangeHigh };
+    case GUESS_TYPES.PERCENT_MOVE:
+      return { predictedChangePercent: guess.predictedChangePercent };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Map a guess status to the result reported in API responses
+ * @param {string} status - Guess status
+ * @returns {string|null} - 'win', 'loss', 'push', 'cancelled', 'void' or null for active guesses
+ */
+function getGuessResult(status) {
+  switch (status) {
+    case GUESS_STATUS.WON:
+      return 'win';
+    case GUESS_STATUS.LOST:
+      return 'loss';
+    case GUESS_STATUS.PUSH:
+      return 'push';
+    case GUESS_STATUS.CANCELLED:
+      return 'cancelled';
+    case GUESS_STATUS.VOID:
+      return 'void';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Calculate the percentage change between two prices, rounded to 4 decimals
+ * @param {number} fromPrice - Entry price
+ * @param {number} toPrice - Resolution price
+ * @returns {number} - Change in percent, negative for a price drop
+ */
+function calculateChangePercent(fromPrice, toPrice) {
+  return Math.round(((toPrice - fromPrice) / fromPrice) * 1000000) / 10000;
+}
+
 /**
  * Format guess object for API response
  * @param {Object} guess - Raw guess object from DynamoDB
@@ -11,8 +81,8 @@
 function formatGuessForResponse(guess) {
   if (!guess) return null;
 
-  const status = typeof guess.status === 'string' ? guess.status : 'ACTIVE';
-  const isResolved = status !== 'ACTIVE';
+  const status = typeof guess.status === 'string' ? guess.status : GUESS_STATUS.ACTIVE;
+  const isResolved = status !== GUESS_STATUS.ACTIVE;
 
   // Prefer common timestamp fields, fall back to current time
   const createdAt = guess.createdAt || guess.timestamp;
@@ -20,19 +90,36 @@ function formatGuessForResponse(guess) {
 
   const formatted = {
     guessId: guess.guessId || null,
+    asset: guess.asset || ASSETS.DEFAULT,
+    currency: guess.currency || CURRENCIES.DEFAULT,
+    type: getGuessType(guess),
     direction: guess.direction || null,
+    ...formatPrediction(guess),
+    timeframe: guess.timeframe || GUESS_TIMEFRAMES.DEFAULT,
     timestamp,
+    entryPrice: guess.currentPrice ?? null,
+    stake: guess.stake || null,
     resolved: isResolved
   };
 
   if (isResolved) {
-    formatted.result = status === 'WON' ? 'win' : 'loss';
+    formatted.result = getGuessResult(status);
+    formatted.resolvePrice = guess.resolvePrice ?? null;
+    formatted.resolvedAt = guess.resolvedAt || null;
+
+    if (formatted.type === GUESS_TYPES.PERCENT_MOVE && guess.resolvePrice !== undefined && guess.currentPrice) {
+      formatted.actualChangePercent = calculateChangePercent(guess.currentPrice, guess.resolvePrice);
+    }
   }
 
   return formatted;
 }
 
 module.exports = {
+  getTimeframeConfig,
+  getGuessType,
+  calculateChangePercent,
+  getGuessResult,
   formatGuessForResponse
 };
 
@@ -0,0 +1,58 @@
+const https = require('https');
+const { APP_CONFIG } = require('../config/constants');
+
+/**
+ * Perform an HTTPS GET request and parse the JSON response body
+ * @param {string} url - URL to fetch
+ * @param {number} timeout - Request timeout in milliseconds (default: APP_CONFIG.REQUEST_TIMEOUT)
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+const fetchJson = async (url, timeout = APP_CONFIG.REQUEST_TIMEOUT) => {
+  return new Promise((resolve, reject) => {
+    const options = {
+      headers: {
+        // Some exchange APIs (e.g. Coinbase Exchange) reject requests without a User-Agent
+        'User-Agent': APP_CONFIG.SERVICE_NAME,
+        Accept: 'application/json'
+      }
+    };
+
+    const request = https.get(url, options, (response) => {
+      let data = '';
+
+      // Collect data chunks
+      response.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      // Handle response completion
+      response.on('end', () => {
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          reject(new Error(`Request to ${url} failed with status ${response.statusCode}`));
+          return;
+        }
+
+        try {
+          resolve(JSON.parse(data));
+        } catch (parseError) {
+          reject(new Error(`Failed to parse response from ${url}`));
+        }
+      });
+    });
+
+    // Handle request errors
+    request.on('error', (error) => {
+      reject(new Error(`Request to ${url} failed: ${error.message}`));
+    });
+
+    // Set request timeout
+    request.setTimeout(timeout, () => {
+      request.destroy();
+      reject(new Error(`Request timeout while fetching ${url}`));
+    });
+  });
+};
+
+module.exports = {
+  fetchJson
+};
@@ -0,0 +1,224 @@
+/**
+ * Leaderboard helpers.
+ * Players are ordered in LeaderboardIndex by a sortable rankKey (score, then earliest time the
+ * score was reached). Ranks and percentiles are computed from the score histogram in the
+ * leaderboard table, which holds one item per distinct score and partition, so the cost grows
+ * with the number of distinct scores rather than the number of players.
+ * Players and their histogram counts are spread over LEADERBOARD.SHARDS partitions picked by
+ * player ID, so no single partition takes every write. Reads sum the histogram of every partition
+ * (cached per container for LEADERBOARD.HISTOGRAM_CACHE_TTL) and merge the leaderboard pages of
+ * every partition.
+ */
+const crypto = require('crypto');
+const { LEADERBOARD } = require('../config/constants');
+
+const MAX_TIMESTAMP = 9999999999999; // Largest 13-digit epoch milliseconds value
+
+/**
+ * Cache of score histograms per repository
+ * Entries are { promise, timestamp }, so calls made while the histogram is being read share the read
+ */
+const histogramCache = new WeakMap();
+
+/**
+ * Build the LeaderboardIndex sort key for a player.
+ * Sorting descending yields the highest score first and, within a score, the player who reached it earliest.
+ * @param {number} score - Player score
+ * @param {string} scoreReachedAt - ISO timestamp when the player reached the score
+ * @returns {string} - Sort key, e.g. "000000000005#8307932799999"
+ */
+const buildRankKey = (score, scoreReachedAt) => {
+  const invertedTime = MAX_TIMESTAMP - new Date(scoreReachedAt).getTime();
+  return `${String(score).padStart(LEADERBOARD.SCORE_DIGITS, '0')}#${String(invertedTime).padStart(13, '0')}`;
+};
+
+/**
+ * Get the leaderboard partition of a player, e.g. "GLOBAL#7"
+ * @param {string} playerId - The player ID
+ * @returns {string} - Partition key for the player item and the player's histogram count
+ */
+const getLeaderboardShard = (playerId) => {
+  const shard = crypto.createHash('sha256').update(String(playerId)).digest().readUInt32BE(0) % LEADERBOARD.SHARDS;
+  return `${LEADERBOARD.PARTITION}#${shard}`;
+};
+
+/**
+ * Get every leaderboard partition reads have to cover: the shards, and the unsharded partition
+ * that players ranked before sharding stay in until their next resolution moves them to their shard
+ * @returns {Array<string>} - Partition keys
+ */
+const getLeaderboardPartitions = () => [
+  LEADERBOARD.PARTITION,
+  ...Array.from({ length: LEADERBOARD.SHARDS }, (_, shard) => `${LEADERBOARD.PARTITION}#${shard}`)
+];
+
+/**
+ * Build the leaderboard attributes stored on a player item
+ * @param {string} playerId - The player ID
+ * @param {number} score - Player score
+ * @param {string} scoreReachedAt - ISO timestamp when the player reached the score
+ * @returns {Object} - { leaderboard, rankKey, scoreReachedAt }
+ */
+const buildLeaderboardAttributes = (playerId, score, scoreReachedAt) => ({
+  leaderboard: getLeaderboardShard(playerId),
+  rankKey: buildRankKey(score, scoreReachedAt),
+  scoreReachedAt
+});
+
+/**
+ * Sum the score histograms of several partitions
+ * @param {Array<Object>} items - Histogram items of every partition as { score, playerCount }
+ * @returns {Array<Object>} - One { score, playerCount } per distinct score, lowest score first
+ */
+const sumScoreHistograms = (items) => {
+  const counts = new Map();
+  items.forEach(({ score, playerCount }) => counts.set(score, (counts.get(score) || 0) + (playerCount || 0)));
+
+  return [...counts.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([score, playerCount]) => ({ score, playerCount }));
+};
+
+/**
+ * Order leaderboard index items highest rank first, ties broken by player ID as in the index
+ * @param {Object} a - Leaderboard index item
+ * @param {Object} b - Leaderboard index item
+ * @returns {number} - Sort order
+ */
+const highestRankFirst = (a, b) => (a.rankKey < b.rankKey ? 1 : (a.rankKey > b.rankKey ? -1 : 0))
+  || (a.playerId < b.playerId ? 1 : (a.playerId > b.playerId ? -1 : 0));
+
+/**
+ * Check a decoded leaderboard cursor: the last evaluated key per partition still to read, null
+ * for a partition not read yet
+ * @param {Object} cursor - Decoded cursor
+ * @returns {boolean} - True if every entry names a leaderboard partition and holds null or a key of it
+ */
+const isValidLeaderboardCursor = (cursor) => {
+  const partitions = getLeaderboardPartitions();
+  return Object.entries(cursor).every(([partition, key]) => partitions.includes(partition) && (key === null || (
+    typeof key === 'object' && key.leaderboard === partition && typeof key.rankKey === 'string' && typeof key.playerId === 'string'
+  )));
+};
+
+/**
+ * Read one page of the leaderboard from every partition and merge them, highest rank first.
+ * The page's lastEvaluatedKey holds, per partition that still has players, the key of the last
+ * player taken from it (null if none was taken yet); partitions missing from it are exhausted.
+ * @param {number} limit - Maximum number of players to return
+ * @param {Object|null} exclusiveStartKey - lastEvaluatedKey of the previous page (optional)
+ * @param {Function} queryPartition - (partition, limit, exclusiveStartKey) => Promise<{ players, lastEvaluatedKey }>
+ *                                    reading one partition of LeaderboardIndex highest rank first
+ * @returns {Promise<Object>} - { players, lastEvaluatedKey }
+ */
+const mergeLeaderboardPages = async (limit, exclusiveStartKey, queryPartition) => {
+  const startKeys = exclusiveStartKey
+    || Object.fromEntries(getLeaderboardPartitions().map((partition) => [partition, null]));
+
+  const pages = await Promise.all(Object.entries(startKeys).map(async ([partition, startKey]) => ({
+    partition,
+    startKey,
+    ...(await queryPartition(partition, limit, startKey))
+  })));
+
+  const players = pages
+    .flatMap((page) => page.players.map((player) => ({ ...player, leaderboard: page.partition })))
+    .sort(highestRankFirst)
+    .slice(0, limit);
+
+  const nextKeys = {};
+  pages.forEach(({ partition, startKey, players: read, lastEvaluatedKey }) => {
+    const taken = players.filter((player) => player.leaderboard === partition);
+    if (taken.length < read.length || lastEvaluatedKey) {
+      const last = taken[taken.length - 1];
+      nextKeys[partition] = last ? { playerId: last.playerId, leaderboard: partition, rankKey: last.rankKey } : startKey;
+    }
+  });
+
+  return {
+    players,
+    lastEvaluatedKey: Object.keys(nextKeys).length > 0 ? nextKeys : null
+  };
+};
+
+/**
+ * Compute a score's rank and percentile from the score histogram.
+ * Players with the same score share a rank; the leaderboard lists them earliest-first.
+ * @param {Array<Object>} histogram - Histogram items as { score, playerCount }
+ * @param {number} score - Score to rank
+ * @returns {Object} - { rank, percentile, totalPlayers } where percentile is the share of players with a lower score
+ */
+const computeRank = (histogram, score) => {
+  let totalPlayers = 0;
+  let higher = 0;
+  let lower = 0;
+
+  histogram.forEach((bucket) => {
+    const count = Math.max(0, bucket.playerCount || 0);
+    totalPlayers += count;
+
+    if (bucket.score > score) {
+      higher += count;
+    } else if (bucket.score < score) {
+      lower += count;
+    }
+  });
+
+  return {
+    rank: higher + 1,
+    percentile: totalPlayers > 0 ? Math.round((lower / totalPlayers) * 10000) / 100 : 0,
+    totalPlayers
+  };
+};
+
+/**
+ * Get the score histogram of a repository, reusing one read within LEADERBOARD.HISTOGRAM_CACHE_TTL.
+ * Concurrent calls share the pending read; failed reads are not cached.
+ * @param {Object} repository - Player and guess repository
+ * @returns {Promise<Array<Object>>} - Histogram items as { score, playerCount }
+ */
+const getCachedScoreHistogram = async (repository) => {
+  const now = Date.now();
+  const cached = histogramCache.get(repository);
+  if (cached && (now - cached.timestamp) < LEADERBOARD.HISTOGRAM_CACHE_TTL) {
+    return cached.promise;
+  }
+
+  const promise = repository.getScoreHistogram();
+  histogramCache.set(repository, { promise, timestamp: now });
+
+  try {
+    return await promise;
+  } catch (error) {
+    if (histogramCache.get(repository)?.promise === promise) {
+      histogramCache.delete(repository);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Format a leaderboard index item for API responses
+ * @param {Object} player - Player item projected into LeaderboardIndex
+ * @param {Array<Object>} histogram - Histogram items as { score, playerCount }
+ * @returns {Object} - { rank, name, score, scoreReachedAt }
+ */
+const formatLeaderboardEntry = (player, histogram) => ({
+  rank: computeRank(histogram, player.score).rank,
+  name: player.name,
+  score: player.score,
+  scoreReachedAt: player.scoreReachedAt
+});
+
+module.exports = {
+  buildRankKey,
+  getLeaderboardShard,
+  getLeaderboardPartitions,
+  buildLeaderboardAttributes,
+  sumScoreHistograms,
+  isValidLeaderboardCursor,
+  mergeLeaderboardPages,
+  computeRank,
+  getCachedScoreHistogram,
+  formatLeaderboardEntry
+};
@@ -0,0 +1,166 @@
+const {
+  buildRankKey,
+  getLeaderboardShard,
+  getLeaderboardPartitions,
+  buildLeaderboardAttributes,
+  sumScoreHistograms,
+  isValidLeaderboardCursor,
+  mergeLeaderboardPages,
+  computeRank,
+  getCachedScoreHistogram,
+  formatLeaderboardEntry
+} = require('./leaderboard');
+const { LEADERBOARD } = require('../config/constants');
+
+describe('buildRankKey', () => {
+  it('pads the score and inverts the time the score was reached', () => {
+    expect(buildRankKey(5, '2024-01-01T00:00:00.000Z')).toBe('000000000005#8295932799999');
+  });
+
+  it('sorts higher scores first when sorted descending', () => {
+    const keys = [buildRankKey(9, '2024-01-01T00:00:00Z'), buildRankKey(10, '2024-01-02T00:00:00Z'), buildRankKey(100, '2024-01-03T00:00:00Z')];
+
+    expect([...keys].sort().reverse()).toEqual([keys[2], keys[1], keys[0]]);
+  });
+
+  it('sorts the player who reached a score earliest first within the score', () => {
+    const earlier = buildRankKey(7, '2024-01-01T00:00:00Z');
+    const later = buildRankKey(7, '2024-01-01T00:00:01Z');
+
+    expect(earlier > later).toBe(true);
+  });
+});
+
+describe('leaderboard partitions', () => {
+  it('spreads players over the shards', () => {
+    const shards = new Set(Array.from({ length: 200 }, (_, i) => getLeaderboardShard(`player-${i}`)));
+
+    expect(getLeaderboardShard('player-1')).toBe(getLeaderboardShard('player-1'));
+    expect(shards.size).toBe(LEADERBOARD.SHARDS);
+    expect(getLeaderboardPartitions()).toEqual([LEADERBOARD.PARTITION, ...shards].sort());
+  });
+});
+
+describe('buildLeaderboardAttributes', () => {
+  it('places the player in their leaderboard shard', () => {
+    expect(buildLeaderboardAttributes('player-1', 3, '2024-01-01T00:00:00.000Z')).toEqual({
+      leaderboard: getLeaderboardShard('player-1'),
+      rankKey: buildRankKey(3, '2024-01-01T00:00:00.000Z'),
+      scoreReachedAt: '2024-01-01T00:00:00.000Z'
+    });
+  });
+});
+
+describe('sumScoreHistograms', () => {
+  it('adds up the buckets of every partition', () => {
+    expect(sumScoreHistograms([
+      { leaderboard: 'GLOBAL#1', score: 5, playerCount: 2 },
+      { leaderboard: 'GLOBAL#0', score: 0, playerCount: 1 },
+      { leaderboard: 'GLOBAL', score: 5, playerCount: 1 }
+    ])).toEqual([{ score: 0, playerCount: 1 }, { score: 5, playerCount: 3 }]);
+  });
+});
+
+describe('mergeLeaderboardPages', () => {
+  // Two partitions of players, highest rank first within each, as LeaderboardIndex returns them
+  const partitions = {
+    'GLOBAL#0': [{ playerId: 'a', rankKey: '9' }, { playerId: 'c', rankKey: '5' }, { playerId: 'e', rankKey: '1' }],
+    'GLOBAL#1': [{ playerId: 'b', rankKey: '7' }, { playerId: 'd', rankKey: '3' }]
+  };
+  const queryPartition = jest.fn(async (partition, limit, startKey) => {
+    const items = partitions[partition] || [];
+    const start = startKey ? items.findIndex((item) => item.playerId === startKey.playerId) + 1 : 0;
+    const players = items.slice(start, start + limit);
+    const last = players[players.length - 1];
+    return {
+      players,
+      lastEvaluatedKey: players.length === limit ? { playerId: last.playerId, leaderboard: partition, rankKey: last.rankKey } : null
+    };
+  });
+
+  it('pages through every partition in rank order', async () => {
+    const first = await mergeLeaderboardPages(2, null, queryPartition);
+    expect(first.players.map((player) => player.playerId)).toEqual(['a', 'b']);
+    expect(queryPartition).toHaveBeenCalledTimes(getLeaderboardPartitions().length);
+    expect(first.lastEvaluatedKey).toEqual({
+      'GLOBAL#0': { playerId: 'a', leaderboard: 'GLOBAL#0', rankKey: '9' },
+      'GLOBAL#1': { playerId: 'b', leaderboard: 'GLOBAL#1', rankKey: '7' }
+    });
+    expect(isValidLeaderboardCursor(first.lastEvaluatedKey)).toBe(true);
+
+    const second = await mergeLeaderboardPages(2, first.lastEvaluatedKey, queryPartition);
+    expect(second.players.map((player) => player.playerId)).toEqual(['c', 'd']);
+
+    const third = await mergeLeaderboardPages(2, second.lastEvaluatedKey, queryPartition);
+    expect(third.players.map((player) => player.playerId)).toEqual(['e']);
+    expect(third.lastEvaluatedKey).toBeNull();
+  });
+
+  it('rejects cursors for unknown partitions or with keys of another partition', () => {
+    expect(isValidLeaderboardCursor({ [LEADERBOARD.PARTITION]: null })).toBe(true);
+    expect(isValidLeaderboardCursor({ OTHER: null })).toBe(false);
+    expect(isValidLeaderboardCursor({ 'GLOBAL#0': { playerId: 'a', leaderboard: 'GLOBAL#1', rankKey: '9' } })).toBe(false);
+    expect(isValidLeaderboardCursor({ 'GLOBAL#0': 'a' })).toBe(false);
+  });
+});
+
+describe('computeRank', () => {
+  const histogram = [
+    { score: 0, playerCount: 3 },
+    { score: 5, playerCount: 2 },
+    { score: 10, playerCount: 1 }
+  ];
+
+  it('ranks a score after every higher score and reports the share of lower scores', () => {
+    expect(computeRank(histogram, 5)).toEqual({ rank: 2, percentile: 50, totalPlayers: 6 });
+    expect(computeRank(histogram, 10)).toEqual({ rank: 1, percentile: 83.33, totalPlayers: 6 });
+    expect(computeRank(histogram, 0)).toEqual({ rank: 4, percentile: 0, totalPlayers: 6 });
+  });
+
+  it('ignores emptied and negative buckets', () => {
+    expect(computeRank([...histogram, { score: 20, playerCount: 0 }, { score: 30, playerCount: -1 }], 10))
+      .toEqual({ rank: 1, percentile: 83.33, totalPlayers: 6 });
+  });
+
+  it('ranks first with a percentile of 0 when there are no players', () => {
+    expect(computeRank([], 0)).toEqual({ rank: 1, percentile: 0, totalPlayers: 0 });
+  });
+});
+
+describe('formatLeaderboardEntry', () => {
+  it('formats a leaderboard item with its rank', () => {
+    const player = { playerId: 'p', name: 'alice', score: 5, scoreReachedAt: '2024-01-01T00:00:00.000Z' };
+
+    expect(formatLeaderboardEntry(player, [{ score: 5, playerCount: 1 }, { score: 8, playerCount: 2 }]))
+      .toEqual({ rank: 3, name: 'alice', score: 5, scoreReachedAt: '2024-01-01T00:00:00.000Z' });
+  });
+});
+
+describe('getCachedScoreHistogram', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reads the histogram once per repository within the cache TTL', async () => {
+    const histogram = [{ score: 5, playerCount: 1 }];
+    const repository = { getScoreHistogram: jest.fn(async () => histogram) };
+    const other = { getScoreHistogram: jest.fn(async () => []) };
+
+    const [first, second] = await Promise.all([getCachedScoreHistogram(repository), getCachedScoreHistogram(repository)]);
+    expect(first).toBe(histogram);
+    expect(second).toBe(histogram);
+    expect(await getCachedScoreHistogram(other)).toEqual([]);
+    expect(repository.getScoreHistogram).toHaveBeenCalledTimes(1);
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + LEADERBOARD.HISTOGRAM_CACHE_TTL);
+    await getCachedScoreHistogram(repository);
+    expect(repository.getScoreHistogram).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not cache a failed read', async () => {
+    const repository = { getScoreHistogram: jest.fn().mockRejectedValueOnce(new Error('throttled')).mockResolvedValue([]) };
+
+    await expect(getCachedScoreHistogram(repository)).rejects.toThrow('throttled');
+    expect(await getCachedScoreHistogram(repository)).toEqual([]);
+  });
+});
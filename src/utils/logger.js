@@ -0,0 +1,176 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+const { LOGGING } = require('../config/constants');
+
+/**
+ * Structured logger.
+ *
+ * Every log line is a single JSON object:
+ * { timestamp, level, message, handler, requestId, correlationId, playerId, guessId, ...fields }
+ * The context fields (handler, requestId, correlationId, playerId, guessId) come from the log
+ * context of the current invocation: handlers start one with runWithLogContext and add the
+ * player and guess they act on with addLogContext, so every line logged while handling the
+ * request - including lines from utilities - carries them. HTTP handlers get their context
+ * from withMiddleware (src/utils/middleware.js), scheduled handlers from withLogContext.
+ * Credentials and player identity (LOGGING.REDACTED_KEYS) are replaced with LOGGING.REDACTED,
+ * and lines below LOGGING.LEVEL are dropped.
+ */
+
+const contextStorage = new AsyncLocalStorage();
+
+const REDACTED_KEYS = new Set(LOGGING.REDACTED_KEYS);
+
+/**
+ * Run a function with a log context (nested calls inherit and extend the outer context)
+ * @param {Object} context - Context fields, e.g. { handler, requestId, correlationId }
+ * @param {Function} fn - Function to run
+ * @returns {*} - Return value of fn
+ */
+const runWithLogContext = (context, fn) => {
+  return contextStorage.run({ ...getLogContext(), ...context }, fn);
+};
+
+/**
+ * Add fields to the log context of the current invocation (ignored outside of a log context)
+ * @param {Object} fields - Context fields, e.g. { playerId, guessId }; undefined values are ignored
+ */
+const addLogContext = (fields) => {
+  const context = contextStorage.getStore();
+  if (!context) {
+    return;
+  }
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      context[key] = value;
+    }
+  });
+};
+
+/**
+ * Get the log context of the current invocation
+ * @returns {Object} - Context fields ({} outside of a log context)
+ */
+const getLogContext = () => {
+  return contextStorage.getStore() || {};
+};
+
+/**
+ * Replace credentials and player identity in a value with LOGGING.REDACTED
+ * @param {*} value - Value to log; objects, arrays and JSON strings are redacted recursively
+ * @returns {*} - Redacted copy of the value
+ */
+const redact = (value) => {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+
+  if (typeof value === 'string') {
+    // Request bodies and scheduler payloads arrive as JSON strings
+    const trimmed = value.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        return redact(JSON.parse(trimmed));
+      } catch (parseError) {
+        return value;
+      }
+    }
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [
+      key,
+      REDACTED_KEYS.has(key.toLowerCase()) ? LOGGING.REDACTED : redact(fieldValue)
+    ]));
+  }
+
+  return value;
+};
+
+/**
+ * Convert an error to a loggable object
+ * @param {Error} error - Error to log
+ * @returns {Object} - { name, message, code, statusCode, stack, cause }
+ */
+const serializeError = (error) => {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.statusCode && { statusCode: error.statusCode }),
+    stack: error.stack,
+    ...(error.cause && { cause: error.cause instanceof Error ? serializeError(error.cause) : redact(error.cause) })
+  };
+};
+
+/**
+ * Check whether a level is written with the configured LOGGING.LEVEL
+ * @param {string} level - Log level (debug, info, warn or error)
+ * @returns {boolean} - True if the level is at or above the configured level
+ */
+const isLevelEnabled = (level) => {
+  const threshold = LOGGING.LEVELS[LOGGING.LEVEL] || LOGGING.LEVELS.info;
+  return LOGGING.LEVELS[level] >= threshold;
+};
+
+/**
+ * Write a log line
+ * @param {string} level - Log level (debug, info, warn or error)
+ * @param {string} message - Log message
+ * @param {Object|Error} fields - Additional fields, or an error logged as { error } (optional)
+ */
+const log = (level, message, fields = {}) => {
+  if (!isLevelEnabled(level)) {
+    return;
+  }
+
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...redact(getLogContext()),
+    ...redact(fields instanceof Error ? { error: fields } : fields)
+  };
+
+  const line = JSON.stringify(entry);
+  if (level === 'error' || level === 'warn') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+};
+
+const logger = {
+  debug: (message, fields) => log('debug', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields)
+};
+
+/**
+ * Wrap a scheduled (non-HTTP) Lambda handler in a log context of its own
+ * @param {string} name - Handler name in log lines, e.g. 'Sweep Overdue Guesses'
+ * @param {Function} handler - Lambda handler (event, context) => result
+ * @returns {Function} - Lambda handler
+ */
+const withLogContext = (name, handler) => async (event, context) => {
+  const requestId = context?.awsRequestId || event?.id || uuidv4();
+
+  return runWithLogContext({ handler: name, requestId, correlationId: requestId }, async () => {
+    logger.info('Invocation received', { source: event?.source, time: event?.time });
+    return handler(event, context);
+  });
+};
+
+module.exports = {
+  logger,
+  runWithLogContext,
+  withLogContext,
+  addLogContext,
+  getLogContext,
+  redact
+};
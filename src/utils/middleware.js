@@ -0,0 +1,212 @@
+const { v4: uuidv4 } = require('uuid');
+const { errorResponse } = require('./response');
+const { isValidUUID } = require('./validation');
+const { authorizeRequest, loadSessionSecret } = require('./auth');
+const { getDefaultRepository } = require('../repositories');
+const { ValidationError, AuthenticationError, ForbiddenError, toAppError } = require('./errors');
+const { logger, runWithLogContext, addLogContext } = require('./logger');
+const { ERROR_MESSAGES, ERROR_CODES, HTTP_STATUS, LOGGING } = require('../config/constants');
+
+/**
+ * HTTP handler middleware.
+ *
+ * A middleware is a function (next) => async (request) => response. The request starts as
+ * { event, params: {} } and each middleware adds what it parsed or checked before calling
+ * next: jsonBody() sets request.body, uuidParam() sets request.params[name], validated() sets
+ * request.data and authorize() sets request.auth. Middlewares and handlers report failures
+ * by throwing (see src/utils/errors.js); withMiddleware turns every error into the standard
+ * error response { success: false, error: { message, code } }.
+ *
+ * withMiddleware also starts the log context of the request (see src/utils/logger.js) and the
+ * middlewares add the player and guess they checked to it.
+ */
+
+/**
+ * UUID parameters with the messages and error codes reported when they are missing or malformed
+ */
+const UUID_PARAMS = {
+  userId: { label: 'User ID', missingCode: ERROR_CODES.MISSING_USER_ID, invalidCode: ERROR_CODES.INVALID_USER_ID },
+  guessId: { label: 'Guess ID', missingCode: ERROR_CODES.MISSING_GUESS_ID, invalidCode: ERROR_CODES.INVALID_GUESS_ID },
+  playerId: { label: 'Player ID', missingCode: ERROR_CODES.MISSING_PLAYER_ID, invalidCode: ERROR_CODES.INVALID_PLAYER_ID }
+};
+
+/**
+ * Parse the JSON body of an HTTP event
+ * @param {Object} event - Lambda HTTP event
+ * @returns {Object} - Parsed body ({} when there is none)
+ * @throws {ValidationError} - If the body is not valid JSON
+ */
+const parseJsonBody = (event) => {
+  try {
+    return JSON.parse(event.body || '{}');
+  } catch (parseError) {
+    throw new ValidationError(ERROR_MESSAGES.INVALID_JSON, ERROR_CODES.VALIDATION_ERROR, parseError);
+  }
+};
+
+/**
+ * Middleware parsing the JSON request body into request.body
+ * @returns {Function} - Middleware
+ */
+const jsonBody = () => (next) => async (request) => {
+  return next({ ...request, body: parseJsonBody(request.event) });
+};
+
+/**
+ * Middleware checking a required UUID parameter and storing it in request.params
+ * @param {string} name - Parameter name (userId, guessId or playerId)
+ * @param {string} source - Where the parameter is read from: 'path', 'query' or 'body' (after jsonBody)
+ * @returns {Function} - Middleware
+ */
+const uuidParam = (name, source = 'path') => (next) => async (request) => {
+  const sources = {
+    path: request.event.pathParameters,
+    query: request.event.queryStringParameters,
+    body: request.body
+  };
+  const value = sources[source]?.[name];
+  const { label, missingCode, invalidCode } = UUID_PARAMS[name];
+
+  if (!value) {
+    throw new ValidationError(`${label} is required`, missingCode);
+  }
+
+  if (!isValidUUID(value)) {
+    throw new ValidationError(`Invalid ${label.charAt(0).toLowerCase()}${label.slice(1)} format`, invalidCode);
+  }
+
+  addLogContext({ [name === 'userId' ? 'playerId' : name]: value });
+
+  return next({ ...request, params: { ...request.params, [name]: value } });
+};
+
+/**
+ * Middleware running a validator from src/utils/validation.js and storing its validatedData in request.data
+ * @param {Function} validate - Called with the request; returns { isValid, error, code, validatedData }
+ * @returns {Function} - Middleware
+ */
+const validated = (validate) => (next) => async (request) => {
+  const validation = validate(request);
+  if (!validation.isValid) {
+    throw new ValidationError(validation.error, validation.code || ERROR_CODES.VALIDATION_ERROR);
+  }
+
+  addLogContext({ playerId: validation.validatedData?.userId });
+
+  return next({ ...request, data: validation.validatedData });
+};
+
+/**
+ * Require a valid session, optionally for a specific player.
+ * Sessions of deleted players and sessions issued before the player's last password change are
+ * revoked, so changing the password logs out every other device.
+ * @param {Object} event - Lambda HTTP event
+ * @param {string} playerId - Player the request acts on (optional; any valid session is accepted when omitted)
+ * @param {Object} options - Options (optional)
+ * @param {Object} options.repository - Player and guess repository the player is read from (default: DynamoDB)
+ * @returns {Promise<Object>} - Session as { isAuthorized: true, playerId, issuedAt, expiresAt }
+ * @throws {AuthenticationError|ForbiddenError} - If the session is missing, invalid or revoked, or belongs to another player
+ */
+const requireSession = async (event, playerId = null, { repository = getDefaultRepository() } = {}) => {
+  // Loaded here rather than per request so public and scheduled handlers never wait for SSM
+  await loadSessionSecret();
+
+  const auth = authorizeRequest(event, playerId);
+  if (!auth.isAuthorized) {
+    throw auth.statusCode === HTTP_STATUS.FORBIDDEN
+      ? new ForbiddenError(auth.error)
+      : new AuthenticationError(auth.error);
+  }
+
+  const player = await repository.getPlayerById(auth.playerId);
+  if (!player || (player.passwordChangedAt && Date.parse(auth.issuedAt) < Date.parse(player.passwordChangedAt))) {
+    throw new AuthenticationError(ERROR_MESSAGES.INVALID_SESSION);
+  }
+  return auth;
+};
+
+/**
+ * Middleware requiring a valid session, optionally for a specific player, and storing it in request.auth
+ * @param {Function} getPlayerId - Called with the request; returns the player the request acts on
+ *                                 (optional; any valid session is accepted when omitted)
+ * @param {Object} options - Options (optional)
+ * @param {Object} options.repository - Player and guess repository the player is read from (default: DynamoDB)
+ * @returns {Function} - Middleware
+ */
+const authorize = (getPlayerId = () => null, { repository = getDefaultRepository() } = {}) => (next) => async (request) => {
+  const auth = await requireSession(request.event, getPlayerId(request), { repository });
+  addLogContext({ playerId: auth.playerId });
+
+  return next({ ...request, auth });
+};
+
+/**
+ * Build the log context of an HTTP request
+ * @param {string} name - Handler name
+ * @param {Object} event - Lambda event (HTTP, or a scheduled resolveGuess invocation)
+ * @param {Object} context - Lambda context (optional)
+ * @returns {Object} - { handler, requestId, correlationId }
+ */
+const buildRequestLogContext = (name, event, context) => {
+  const requestId = context?.awsRequestId || event.requestContext?.requestId || uuidv4();
+  const header = Object.entries(event.headers || {})
+    .find(([key]) => key.toLowerCase() === LOGGING.CORRELATION_HEADER);
+
+  return {
+    handler: name,
+    requestId,
+    // Scheduled invocations carry the correlation ID of the request that scheduled them in their
+    // payload and HTTP callers may pass their own, otherwise the request starts a new correlation
+    correlationId: event.correlationId || event.detail?.correlationId || header?.[1] || requestId
+  };
+};
+
+/**
+ * Wrap an HTTP handler in middlewares and the standard error handling
+ * @param {Object} options - Handler options
+ * @param {string} options.name - Handler name in log lines, e.g. 'Make Guess'
+ * @param {boolean} options.logBody - Log the (redacted) request body (default: true; disable for credentials)
+ * @param {Object} options.errors - Error factories by error code overriding the defaults of toAppError (optional)
+ * @param {...Function} middlewares - Middlewares, run in order before the handler
+ * @returns {Function} - Function taking the handler (request) => response and returning the Lambda handler
+ */
+const withMiddleware = ({ name, logBody = true, errors = {} }, ...middlewares) => (handler) => {
+  const pipeline = middlewares.reduceRight((next, middleware) => middleware(next), handler);
+
+  return async (event, context) => runWithLogContext(buildRequestLogContext(name, event, context), async () => {
+    // Headers and the caller's IP are not logged; the body is redacted by the logger
+    logger.info('Request received', {
+      source: event.source,
+      method: event.httpMethod,
+      path: event.path,
+      pathParameters: event.pathParameters,
+      queryStringParameters: event.queryStringParameters,
+      ...(logBody && { body: event.body })
+    });
+
+    try {
+      return await pipeline({ event, params: {} });
+    } catch (error) {
+      const appError = toAppError(error, errors);
+
+      // Client errors are expected; anything else is logged with the original error
+      if (appError.statusCode >= HTTP_STATUS.INTERNAL_SERVER_ERROR) {
+        logger.error('Request failed', error);
+      } else {
+        logger.info('Request rejected', { statusCode: appError.statusCode, code: appError.code });
+      }
+
+      return errorResponse(appError.message, appError.statusCode, appError.code);
+    }
+  });
+};
+
+module.exports = {
+  parseJsonBody,
+  jsonBody,
+  uuidParam,
+  validated,
+  requireSession,
+  authorize,
+  withMiddleware
+};
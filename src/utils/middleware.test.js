@@ -0,0 +1,34 @@
+const PLAYER_ID = '3f0c6a52-8d4e-4b8a-9a57-2f4f6d1f8c11';
+
+const parse = (response) => ({ statusCode: response.statusCode, ...JSON.parse(response.body) });
+
+describe('withMiddleware without a session secret', () => {
+  let handlers;
+
+  beforeAll(() => {
+    const secret = process.env.SESSION_SECRET;
+    delete process.env.SESSION_SECRET;
+    jest.isolateModules(() => {
+      const { createInMemoryRepository } = require('../repositories');
+      const repository = createInMemoryRepository({ players: [{ playerId: PLAYER_ID, name: 'alice', score: 0 }] });
+      handlers = {
+        getPriceHistory: require('../handlers/getPriceHistory').createHandler({ repository }),
+        refreshSession: require('../handlers/refreshSession').createHandler({ repository })
+      };
+    });
+    process.env.SESSION_SECRET = secret;
+  });
+
+  it('serves public handlers', async () => {
+    const response = parse(await handlers.getPriceHistory({ queryStringParameters: { from: '0', to: '1000' } }));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.data.ticks).toEqual([]);
+  });
+
+  it('fails handlers that need a session', async () => {
+    const response = await handlers.refreshSession({ headers: { Authorization: 'Bearer token' } });
+
+    expect(response.statusCode).toBe(500);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Opaque cursor helpers for paginated endpoints.
+ * Cursors wrap a DynamoDB LastEvaluatedKey so clients never depend on key structure.
+ */
+
+/**
+ * Encode a DynamoDB LastEvaluatedKey as an opaque cursor
+ * @param {Object|undefined} lastEvaluatedKey - Key returned by a query
+ * @returns {string|null} - URL-safe cursor or null when there are no more results
+ */
+const encodeCursor = (lastEvaluatedKey) => {
+  if (!lastEvaluatedKey) {
+    return null;
+  }
+
+  return Buffer.from(JSON.stringify(lastEvaluatedKey)).toString('base64url');
+};
+
+/**
+ * Decode an opaque cursor back into a DynamoDB ExclusiveStartKey
+ * @param {string} cursor - Cursor returned by a previous page
+ * @returns {Object|null} - ExclusiveStartKey or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return key && typeof key === 'object' && !Array.isArray(key) ? key : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,104 @@
+const { getDefaultRepository } = require('../repositories');
+const { findNearestPoint } = require('./priceOracle');
+const { logger } = require('./logger');
+const { PRICE_HISTORY, ASSETS, CURRENCIES } = require('../config/constants');
+
+/**
+ * Get the price history symbol of an asset in a quote currency, the partition key of its ticks
+ * @param {string} asset - Asset key (default: ASSETS.DEFAULT)
+ * @param {string} currency - Quote currency (default: CURRENCIES.DEFAULT)
+ * @returns {string} - Symbol, e.g. "BTC-USD"
+ */
+const getPriceSymbol = (asset = ASSETS.DEFAULT, currency = CURRENCIES.DEFAULT) => `${asset}-${currency}`;
+
+/**
+ * Persist a fetched price as a tick in the price history table.
+ * Failures are logged and swallowed so price history never blocks gameplay.
+ * @param {Object} priceData - Object with price, sources and timestamp (ms)
+ * @param {string} symbol - Price symbol (default: the default asset's symbol)
+ * @param {Object} repository - Repository the tick is stored in (default: DynamoDB)
+ * @returns {Promise<Object|null>} - Stored tick or null if recording failed
+ */
+const recordPriceTick = async (priceData, symbol = getPriceSymbol(), repository = getDefaultRepository()) => {
+  const tick = {
+    symbol,
+    timestamp: priceData.timestamp,
+    price: priceData.price,
+    sources: priceData.sources,
+    expiresAt: Math.floor(priceData.timestamp / 1000) + PRICE_HISTORY.RETENTION_DAYS * 86400 // TTL in epoch seconds
+  };
+
+  try {
+    return await repository.putPriceTick(tick);
+  } catch (error) {
+    logger.warn('Failed to record price tick', error);
+    return null;
+  }
+};
+
+/**
+ * Find the stored tick closest in time to a timestamp
+ * @param {number} timestamp - Target timestamp in milliseconds
+ * @param {number} tolerance - Maximum distance between the tick and the timestamp in milliseconds
+ * @param {string} symbol - Price symbol (default: the default asset's symbol)
+ * @param {Object} repository - Repository the ticks are read from (default: DynamoDB)
+ * @returns {Promise<Object|null>} - Closest tick within tolerance or null
+ */
+const findPriceTickNear = async (timestamp, tolerance, symbol = getPriceSymbol(), repository = getDefaultRepository()) => {
+  const ticks = await repository.getPriceTicks(symbol, timestamp - tolerance, timestamp + tolerance);
+  return findNearestPoint(ticks, timestamp, tolerance);
+};
+
+/**
+ * Format a stored tick for API responses
+ * @param {Object} tick - Stored tick
+ * @returns {Object} - Formatted tick with timestamp, price and sources
+ */
+const formatTickForResponse = (tick) => ({
+  timestamp: tick.timestamp,
+  price: tick.price,
+  sources: tick.sources || []
+});
+
+/**
+ * Aggregate ticks into OHLC candles
+ * @param {Array<Object>} ticks - Ticks sorted by timestamp ascending
+ * @param {number} intervalMs - Candle width in milliseconds
+ * @returns {Array<Object>} - Candles as { openTime, closeTime, open, high, low, close, ticks }
+ */
+const aggregateCandles = (ticks, intervalMs) => {
+  const candles = [];
+  let current = null;
+
+  ticks.forEach((tick) => {
+    const openTime = Math.floor(tick.timestamp / intervalMs) * intervalMs;
+
+    if (!current || current.openTime !== openTime) {
+      current = {
+        openTime,
+        closeTime: openTime + intervalMs - 1,
+        open: tick.price,
+        high: tick.price,
+        low: tick.price,
+        close: tick.price,
+        ticks: 0
+      };
+      candles.push(current);
+    }
+
+    current.high = Math.max(current.high, tick.price);
+    current.low = Math.min(current.low, tick.price);
+    current.close = tick.price;
+    current.ticks += 1;
+  });
+
+  return candles;
+};
+
+module.exports = {
+  getPriceSymbol,
+  recordPriceTick,
+  findPriceTickNear,
+  formatTickForResponse,
+  aggregateCandles
+};
@@ -0,0 +1,182 @@
+const { getConfiguredProviders } = require('./priceProviders');
+const { logger } = require('./logger');
+const { PRICE_ORACLE, ASSETS, CURRENCIES } = require('../config/constants');
+
+/**
+ * Calculate the median of a list of numbers
+ * @param {Array<number>} values - Values to aggregate (must not be empty)
+ * @returns {number} - Median value
+ */
+const calculateMedian = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+};
+
+/**
+ * Aggregate provider quotes into a single price.
+ * Quotes deviating from the median by more than maxDeviationPercent are dropped
+ * as outliers, and the median of the remaining quotes is returned.
+ * @param {Array<Object>} quotes - Quotes as { source, price }
+ * @param {Object} options - Aggregation options
+ * @param {number} options.maxDeviationPercent - Maximum allowed deviation from the median
+ * @param {number} options.minSources - Minimum number of agreeing quotes required
+ * @returns {Object} - { price, sources, outliers }
+ */
+const aggregatePrices = (quotes, {
+  maxDeviationPercent = PRICE_ORACLE.MAX_DEVIATION_PERCENT,
+  minSources = PRICE_ORACLE.MIN_SOURCES
+} = {}) => {
+  if (quotes.length < minSources) {
+    throw new Error(`Price unavailable: ${quotes.length} of ${minSources} required price sources responded`);
+  }
+
+  const median = calculateMedian(quotes.map((quote) => quote.price));
+  const isOutlier = (quote) => (Math.abs(quote.price - median) / median) * 100 > maxDeviationPercent;
+
+  const accepted = quotes.filter((quote) => !isOutlier(quote));
+  const outliers = quotes.filter(isOutlier);
+
+  if (accepted.length < minSources) {
+    throw new Error(`Price unavailable: price sources disagree (${accepted.length} of ${minSources} required sources within ${maxDeviationPercent}%)`);
+  }
+
+  const price = Math.round(calculateMedian(accepted.map((quote) => quote.price)) * 100) / 100;
+
+  return {
+    price,
+    sources: accepted.map((quote) => quote.source),
+    outliers: outliers.map((quote) => quote.source)
+  };
+};
+
+/**
+ * Find the point closest in time to a target timestamp
+ * @param {Array<Object>} points - Points as { timestamp, price }
+ * @param {number} timestamp - Target timestamp in milliseconds
+ * @param {number} tolerance - Maximum allowed distance in milliseconds
+ * @returns {Object|null} - Closest point within tolerance or null
+ */
+const findNearestPoint = (points, timestamp, tolerance) => {
+  let nearest = null;
+
+  points.forEach((point) => {
+    const distance = Math.abs(point.timestamp - timestamp);
+    if (distance <= tolerance && (!nearest || distance < Math.abs(nearest.timestamp - timestamp))) {
+      nearest = point;
+    }
+  });
+
+  return nearest;
+};
+
+/**
+ * Run a fetch against every provider concurrently and collect the successful quotes
+ * @param {Array<Object>} providers - Providers to query
+ * @param {Function} fetchQuote - Maps a provider to a promise of { price, timestamp } or null
+ * @returns {Promise<Array<Object>>} - Quotes as { source, price, timestamp }
+ */
+const collectQuotes = async (providers, fetchQuote) => {
+  const results = await Promise.allSettled(providers.map(fetchQuote));
+
+  const quotes = [];
+  results.forEach((result, index) => {
+    const source = providers[index].name;
+
+    if (result.status === 'fulfilled' && result.value) {
+      quotes.push({ source, ...result.value });
+    } else if (result.status === 'rejected') {
+      logger.warn('Price provider failed', { source, error: result.reason && result.reason.message });
+    }
+  });
+
+  return quotes;
+};
+
+/**
+ * Query all providers concurrently and return the aggregated median price
+ * @param {Object} options - Oracle options
+ * @param {string} options.asset - Asset to price (default: ASSETS.DEFAULT)
+ * @param {string} options.currency - Quote currency (default: CURRENCIES.DEFAULT)
+ * @param {Array<Object>} options.providers - Providers as { name, fetchPrice(asset, currency) } (default: configured providers)
+ * @returns {Promise<Object>} - { price, sources, timestamp }
+ */
+const getOraclePrice = async ({
+  asset = ASSETS.DEFAULT,
+  currency = CURRENCIES.DEFAULT,
+  providers = getConfiguredProviders(),
+  ...aggregationOptions
+} = {}) => {
+  const quotes = await collectQuotes(providers, async (provider) => ({
+    price: await provider.fetchPrice(asset, currency)
+  }));
+
+  const { price, sources, outliers } = aggregatePrices(quotes, aggregationOptions);
+
+  if (outliers.length > 0) {
+    logger.warn('Dropped outlier price sources', { outliers });
+  }
+
+  logger.info('Price resolved by oracle', { asset, currency, price, sources });
+
+  return {
+    price,
+    sources,
+    timestamp: Date.now()
+  };
+};
+
+/**
+ * Query providers with historical data for the price as of a past timestamp.
+ * Each provider contributes the point closest to the timestamp (within tolerance),
+ * and the points are aggregated with the same median/outlier rules as live prices.
+ * @param {number} timestamp - Target timestamp in milliseconds
+ * @param {Object} options - Oracle options
+ * @param {string} options.asset - Asset to price (default: ASSETS.DEFAULT)
+ * @param {string} options.currency - Quote currency (default: CURRENCIES.DEFAULT)
+ * @param {Array<Object>} options.providers - Providers, only those with fetchPriceRange() are used
+ * @param {number} options.tolerance - Maximum distance between a point and the timestamp in milliseconds
+ * @returns {Promise<Object>} - { price, sources, timestamp } where timestamp is the closest contributing point
+ */
+const getOraclePriceAt = async (timestamp, {
+  asset = ASSETS.DEFAULT,
+  currency = CURRENCIES.DEFAULT,
+  providers = getConfiguredProviders(),
+  tolerance = PRICE_ORACLE.HISTORICAL_TOLERANCE,
+  ...aggregationOptions
+} = {}) => {
+  const rangeProviders = providers.filter((provider) => typeof provider.fetchPriceRange === 'function');
+
+  const quotes = await collectQuotes(rangeProviders, async (provider) => {
+    const points = await provider.fetchPriceRange(timestamp - tolerance, timestamp + tolerance, asset, currency);
+    return findNearestPoint(points, timestamp, tolerance);
+  });
+
+  const { price, sources, outliers } = aggregatePrices(quotes, aggregationOptions);
+
+  if (outliers.length > 0) {
+    logger.warn('Dropped outlier historical price sources', { outliers });
+  }
+
+  const contributing = quotes.filter((quote) => sources.includes(quote.source));
+  const nearest = findNearestPoint(contributing, timestamp, tolerance);
+
+  logger.info('Historical price resolved by oracle', { asset, currency, timestamp, price, sources });
+
+  return {
+    price,
+    sources,
+    timestamp: nearest.timestamp
+  };
+};
+
+module.exports = {
+  calculateMedian,
+  aggregatePrices,
+  findNearestPoint,
+  getOraclePrice,
+  getOraclePriceAt
+};
@@ -0,0 +1,84 @@
+const { calculateMedian, aggregatePrices, findNearestPoint, getOraclePrice } = require('./priceOracle');
+
+const stub = (name, price) => ({ name, fetchPrice: async () => price });
+const failing = (name) => ({ name, fetchPrice: async () => { throw new Error(`${name} is down`); } });
+
+describe('calculateMedian', () => {
+  it('returns the middle value of an odd number of values', () => {
+    expect(calculateMedian([3, 1, 2])).toBe(2);
+  });
+
+  it('returns the mean of the two middle values of an even number of values', () => {
+    expect(calculateMedian([4, 1, 3, 2])).toBe(2.5);
+  });
+});
+
+describe('aggregatePrices', () => {
+  it('drops quotes deviating from the median and returns the median of the rest', () => {
+    const result = aggregatePrices([
+      { source: 'a', price: 100 },
+      { source: 'b', price: 101 },
+      { source: 'c', price: 150 }
+    ], { maxDeviationPercent: 1, minSources: 2 });
+
+    expect(result).toEqual({ price: 100.5, sources: ['a', 'b'], outliers: ['c'] });
+  });
+
+  it('keeps every quote within the allowed deviation', () => {
+    const result = aggregatePrices([
+      { source: 'a', price: 100 },
+      { source: 'b', price: 100.5 },
+      { source: 'c', price: 100.9 }
+    ], { maxDeviationPercent: 1, minSources: 2 });
+
+    expect(result).toEqual({ price: 100.5, sources: ['a', 'b', 'c'], outliers: [] });
+  });
+
+  it('rounds the price to 2 decimal places', () => {
+    const { price } = aggregatePrices([
+      { source: 'a', price: 100.004 },
+      { source: 'b', price: 100.006 },
+      { source: 'c', price: 100.009 }
+    ], { maxDeviationPercent: 1, minSources: 2 });
+
+    expect(price).toBe(100.01);
+  });
+
+  it('throws when fewer quotes than required responded', () => {
+    expect(() => aggregatePrices([{ source: 'a', price: 100 }], { minSources: 2 }))
+      .toThrow('1 of 2 required price sources responded');
+  });
+
+  it('throws when too few quotes agree', () => {
+    expect(() => aggregatePrices([
+      { source: 'a', price: 100 },
+      { source: 'b', price: 110 }
+    ], { maxDeviationPercent: 1, minSources: 2 })).toThrow('price sources disagree');
+  });
+});
+
+describe('findNearestPoint', () => {
+  const points = [{ timestamp: 1000, price: 1 }, { timestamp: 2000, price: 2 }, { timestamp: 3500, price: 3 }];
+
+  it('returns the point closest to the timestamp', () => {
+    expect(findNearestPoint(points, 2400, 1000)).toEqual({ timestamp: 2000, price: 2 });
+  });
+
+  it('returns null when no point is within tolerance', () => {
+    expect(findNearestPoint(points, 2800, 500)).toBeNull();
+  });
+});
+
+describe('getOraclePrice', () => {
+  it('aggregates the quotes of the providers that responded', async () => {
+    const result = await getOraclePrice({ providers: [stub('a', 100), stub('b', 101), failing('c'), stub('d', 150)] });
+
+    expect(result.price).toBe(100.5);
+    expect(result.sources).toEqual(['a', 'b']);
+    expect(typeof result.timestamp).toBe('number');
+  });
+
+  it('rejects when too few providers responded', async () => {
+    await expect(getOraclePrice({ providers: [stub('a', 100), failing('b')] })).rejects.toThrow('Price unavailable');
+  });
+});
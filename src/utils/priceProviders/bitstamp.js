@@ -0,0 +1,30 @@
+const { createHttpProvider } = require('./httpProvider');
+const { BITCOIN_API } = require('../../config/constants');
+
+const CANDLE_WIDTH = 60000; // step=60 in the OHLC URL
+
+/**
+ * Build the Bitstamp pair of a market, e.g. "btceur"
+ * @param {Object} market - Market with asset and currency
+ * @returns {string} - Pair name
+ */
+const getPair = ({ asset, currency }) => `${asset}${currency}`.toLowerCase();
+
+/**
+ * Bitstamp ticker endpoint
+ * Response: { "last": "26950", "bid": "...", "ask": "...", ... }
+ *
+ * Historical: 1-minute OHLC with start/end in seconds
+ * Response: { "data": { "pair": "BTC/USD", "ohlc": [{ "timestamp": "1690000000", "close": "26950", ... }] } }
+ */
+module.exports = createHttpProvider({
+  name: 'bitstamp',
+  buildUrl: (market) => `${BITCOIN_API.BITSTAMP_URL}/${getPair(market)}/`,
+  parse: (data) => data.last,
+  buildRangeUrl: (market, from, to) => `${BITCOIN_API.BITSTAMP_OHLC_URL}/${getPair(market)}/?step=60&limit=1000` +
+    `&start=${Math.floor((from - CANDLE_WIDTH) / 1000)}&end=${Math.ceil(to / 1000)}`,
+  parseRange: (data) => ((data.data && data.data.ohlc) || []).map((candle) => ({
+    timestamp: Number(candle.timestamp) * 1000 + CANDLE_WIDTH, // Close price is the price at the end of the candle
+    price: candle.close
+  }))
+});
@@ -0,0 +1,30 @@
+const { createHttpProvider } = require('./httpProvider');
+const { BITCOIN_API } = require('../../config/constants');
+
+const CANDLE_WIDTH = 60000; // granularity=60 in the candles URL
+
+/**
+ * Build the Coinbase product id of a market, e.g. "BTC-EUR"
+ * @param {Object} market - Market with asset and currency
+ * @returns {string} - Product id
+ */
+const getProductId = ({ asset, currency }) => `${asset}-${currency}`;
+
+/**
+ * Coinbase spot price endpoint
+ * Response: { "data": { "base": "BTC", "currency": "USD", "amount": "26950.23" } }
+ *
+ * Historical: Coinbase Exchange 1-minute candles with ISO start/end
+ * Response: [[time, low, high, open, close, volume], ...] where time is the candle open in seconds
+ */
+module.exports = createHttpProvider({
+  name: 'coinbase',
+  buildUrl: (market) => `${BITCOIN_API.COINBASE_URL}/${getProductId(market)}/spot`,
+  parse: (data) => data.data && data.data.amount,
+  buildRangeUrl: (market, from, to) => `${BITCOIN_API.COINBASE_CANDLES_URL}/${getProductId(market)}/candles?granularity=60` +
+    `&start=${new Date(from - CANDLE_WIDTH).toISOString()}&end=${new Date(to).toISOString()}`,
+  parseRange: (data) => (Array.isArray(data) ? data : []).map((candle) => ({
+    timestamp: candle[0] * 1000 + CANDLE_WIDTH, // Close price is the price at the end of the candle
+    price: candle[4]
+  }))
+});
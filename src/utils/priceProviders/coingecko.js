@@ -0,0 +1,18 @@
+const { createHttpProvider } = require('./httpProvider');
+const { BITCOIN_API } = require('../../config/constants');
+
+/**
+ * CoinGecko simple price endpoint, assets are identified by their CoinGecko id (e.g. "bitcoin")
+ * Response: { "bitcoin": { "usd": 26950.23 } } (keyed by the lowercase currency)
+ *
+ * Historical: market_chart/range with from/to in seconds
+ * Response: { "prices": [[1690000000000, 26950.23], ...] }
+ */
+module.exports = createHttpProvider({
+  name: 'coingecko',
+  buildUrl: ({ currency, assetConfig }) => `${BITCOIN_API.COINGECKO_URL}?ids=${assetConfig.COINGECKO_ID}&vs_currencies=${currency.toLowerCase()}`,
+  parse: (data, { currency, assetConfig }) => data[assetConfig.COINGECKO_ID] && data[assetConfig.COINGECKO_ID][currency.toLowerCase()],
+  buildRangeUrl: ({ currency, assetConfig }, from, to) => `${BITCOIN_API.COINGECKO_RANGE_URL}/${assetConfig.COINGECKO_ID}/market_chart/range` +
+    `?vs_currency=${currency.toLowerCase()}&from=${Math.floor(from / 1000)}&to=${Math.ceil(to / 1000)}`,
+  parseRange: (data) => (data.prices || []).map(([timestamp, price]) => ({ timestamp, price }))
+});
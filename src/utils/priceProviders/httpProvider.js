@@ -0,0 +1,68 @@
+const { fetchJson } = require('../http');
+const { ASSETS, CURRENCIES } = require('../../config/constants');
+
+/**
+ * Build the market a price is requested for
+ * @param {string} asset - Asset key, e.g. 'ETH'
+ * @param {string} currency - Quote currency, e.g. 'EUR'
+ * @returns {Object} - { asset, currency, assetConfig } with assetConfig from ASSETS.CATALOGUE
+ * @throws {Error} - If the asset or currency is not supported
+ */
+const buildMarket = (asset, currency) => {
+  const assetConfig = ASSETS.CATALOGUE[asset];
+  if (!assetConfig) {
+    throw new Error(`Unsupported asset: ${asset}`);
+  }
+  if (!CURRENCIES.SUPPORTED.includes(currency)) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return { asset, currency, assetConfig };
+};
+
+/**
+ * Build a price provider backed by a public JSON ticker endpoint.
+ * Every provider exposes the same shape: { name, fetchPrice(asset, currency) }, so the oracle
+ * can treat real exchanges and stubbed providers identically. Providers with a
+ * historical endpoint additionally expose fetchPriceRange(from, to, asset, currency).
+ * Endpoints are built from a market: { asset, currency, assetConfig } with assetConfig from ASSETS.CATALOGUE.
+ * @param {Object} options - Provider definition
+ * @param {string} options.name - Unique provider name (reported as a price source)
+ * @param {Function} options.buildUrl - Maps a market to the ticker endpoint URL
+ * @param {Function} options.parse - Maps (parsed JSON body, market) to a price (number)
+ * @param {Function} options.buildRangeUrl - Optional, maps (market, from, to) with from/to in milliseconds to a historical endpoint URL
+ * @param {Function} options.parseRange - Optional, maps the parsed historical JSON body to [{ timestamp, price }]
+ * @returns {Object} - Provider with name, fetchPrice and optionally fetchPriceRange
+ */
+const createHttpProvider = ({ name, buildUrl, parse, buildRangeUrl, parseRange }) => {
+  const provider = {
+    name,
+    fetchPrice: async (asset = ASSETS.DEFAULT, currency = CURRENCIES.DEFAULT) => {
+      const market = buildMarket(asset, currency);
+      const data = await fetchJson(buildUrl(market));
+      const price = Number(parse(data, market));
+
+      if (!Number.isFinite(price) || price <= 0) {
+        throw new Error(`Invalid ${asset}-${currency} price returned by ${name}`);
+      }
+
+      return price;
+    }
+  };
+
+  if (buildRangeUrl && parseRange) {
+    provider.fetchPriceRange = async (from, to, asset = ASSETS.DEFAULT, currency = CURRENCIES.DEFAULT) => {
+      const data = await fetchJson(buildRangeUrl(buildMarket(asset, currency), from, to));
+      const points = parseRange(data) || [];
+
+      return points
+        .map((point) => ({ timestamp: Number(point.timestamp), price: Number(point.price) }))
+        .filter((point) => Number.isFinite(point.timestamp) && Number.isFinite(point.price) && point.price > 0);
+    };
+  }
+
+  return provider;
+};
+
+module.exports = {
+  createHttpProvider
+};
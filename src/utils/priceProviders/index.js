@@ -0,0 +1,30 @@
+const coingecko = require('./coingecko');
+const coinbase = require('./coinbase');
+const kraken = require('./kraken');
+const bitstamp = require('./bitstamp');
+const { PRICE_ORACLE } = require('../../config/constants');
+
+/**
+ * Registry of available price providers keyed by name
+ */
+const PRICE_PROVIDERS = {
+  [coingecko.name]: coingecko,
+  [coinbase.name]: coinbase,
+  [kraken.name]: kraken,
+  [bitstamp.name]: bitstamp
+};
+
+/**
+ * Get the providers enabled in PRICE_ORACLE.PROVIDERS
+ * @returns {Array<Object>} - Enabled providers (unknown names are ignored)
+ */
+const getConfiguredProviders = () => {
+  return PRICE_ORACLE.PROVIDERS
+    .map((name) => PRICE_PROVIDERS[name])
+    .filter(Boolean);
+};
+
+module.exports = {
+  PRICE_PROVIDERS,
+  getConfiguredProviders
+};
@@ -0,0 +1,49 @@
+const { createHttpProvider } = require('./httpProvider');
+const { BITCOIN_API } = require('../../config/constants');
+
+const CANDLE_WIDTH = 60000; // interval=1 in the OHLC URL
+
+/**
+ * Build the Kraken pair of a market, e.g. "XBTEUR" (Kraken names Bitcoin XBT)
+ * @param {Object} market - Market with currency and assetConfig (KRAKEN_CODE)
+ * @returns {string} - Pair name
+ */
+const getPair = ({ currency, assetConfig }) => `${assetConfig.KRAKEN_CODE}${currency}`;
+
+/**
+ * Get the pair entry from a Kraken result object (keyed by Kraken's pair name, e.g. "XXBTZUSD")
+ * @param {Object} data - Parsed Kraken response
+ * @returns {*} - Pair entry or null on API errors
+ */
+const getPairResult = (data) => {
+  if (!data.result || (data.error && data.error.length > 0)) {
+    return null;
+  }
+
+  return Object.entries(data.result)
+    .filter(([key]) => key !== 'last')
+    .map(([, value]) => value)[0];
+};
+
+/**
+ * Kraken public ticker endpoint
+ * Response: { "error": [], "result": { "XXBTZUSD": { "c": ["26950.2", "0.01"], ... } } }
+ * The "c" field holds the last trade closed as [price, lot volume].
+ *
+ * Historical: 1-minute OHLC since a timestamp in seconds
+ * Response: { "error": [], "result": { "XXBTZUSD": [[time, open, high, low, close, vwap, volume, count], ...], "last": ... } }
+ */
+module.exports = createHttpProvider({
+  name: 'kraken',
+  buildUrl: (market) => `${BITCOIN_API.KRAKEN_URL}?pair=${getPair(market)}`,
+  parse: (data) => {
+    const ticker = getPairResult(data);
+    return ticker && ticker.c && ticker.c[0];
+  },
+  buildRangeUrl: (market, from) => `${BITCOIN_API.KRAKEN_OHLC_URL}?pair=${getPair(market)}&interval=1` +
+    `&since=${Math.floor((from - CANDLE_WIDTH) / 1000)}`,
+  parseRange: (data) => (getPairResult(data) || []).map((candle) => ({
+    timestamp: candle[0] * 1000 + CANDLE_WIDTH, // Close price is the price at the end of the candle
+    price: candle[4]
+  }))
+});
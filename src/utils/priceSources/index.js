@@ -0,0 +1,34 @@
+const simulator = require('./simulator');
+const replay = require('./replay');
+const { PRICE_SOURCES } = require('../../config/constants');
+
+/**
+ * Registry of simulated price sources keyed by name
+ * Each source exposes getPriceAt(timestamp, asset, currency), which throws when it has no price.
+ */
+const SIMULATED_PRICE_SOURCES = {
+  [simulator.name]: simulator,
+  [replay.name]: replay
+};
+
+/**
+ * Get a simulated price source by name
+ * @param {string} name - Price source name (one of PRICE_SOURCES)
+ * @returns {Object|null} - Simulator or replay source, or null for real oracle prices
+ */
+const getPriceSource = (name) => {
+  if (name === PRICE_SOURCES.ORACLE) {
+    return null;
+  }
+
+  const source = SIMULATED_PRICE_SOURCES[name];
+  if (!source) {
+    throw new Error(`Unknown price source: ${name}`);
+  }
+  return source;
+};
+
+module.exports = {
+  SIMULATED_PRICE_SOURCES,
+  getPriceSource
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { getPriceSymbol } = require('../priceHistory');
+const { logger } = require('../logger');
+const { ASSETS, CURRENCIES, PRICE_SOURCES, PRICE_SIMULATION } = require('../../config/constants');
+
+/**
+ * Replay price source: plays back a recorded price series.
+ *
+ * Rows are { timestamp, price, asset, currency } (asset and currency default to BTC and USD).
+ * The price at a time is the price of the last row at or before it, and stays at the last row's
+ * price once the series has ended. Rows play at their own timestamps unless a playback start is
+ * set, in which case the whole series is shifted so its first row plays at that time.
+ */
+
+let series = null; // Rows per price symbol, oldest first
+let playbackOffset = 0; // Added to row timestamps to get the time they play at
+
+/**
+ * Parse a timestamp given as epoch milliseconds or ISO 8601
+ * @param {number|string} value - Timestamp
+ * @returns {number} - Epoch milliseconds (NaN if invalid)
+ */
+const parseTimestamp = (value) => {
+  if (typeof value === 'number' || /^\d+$/.test(String(value).trim())) {
+    return Number(value);
+  }
+  return Date.parse(value);
+};
+
+/**
+ * Parse a CSV price series: timestamp,price[,asset[,currency]] per line, with an optional header line
+ * @param {string} content - CSV file content
+ * @returns {Array<Object>} - Rows as { timestamp, price, asset, currency }
+ */
+const parseCsv = (content) => {
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'))
+    .map((line) => line.split(',').map((cell) => cell.trim()))
+    .filter((cells, index) => !(index === 0 && Number.isNaN(parseTimestamp(cells[0]))))
+    .map(([timestamp, price, asset, currency]) => ({ timestamp, price, asset, currency }));
+};
+
+/**
+ * Load a price series, replacing the current one
+ * @param {Array<Object>} rows - Rows as { timestamp, price, asset?, currency? }
+ * @param {Object} options - Playback options
+ * @param {number|string} options.start - Time the first row plays at (default: rows play at their own timestamps)
+ * @returns {number} - Number of rows loaded
+ */
+const loadSeries = (rows, { start = null } = {}) => {
+  const loaded = new Map();
+
+  rows.forEach((row, index) => {
+    const timestamp = parseTimestamp(row.timestamp);
+    const price = Number(row.price);
+    const asset = row.asset ? String(row.asset).toUpperCase() : ASSETS.DEFAULT;
+    const currency = row.currency ? String(row.currency).toUpperCase() : CURRENCIES.DEFAULT;
+
+    if (Number.isNaN(timestamp) || !Number.isFinite(price) || price <= 0) {
+      throw new Error(`Invalid replay row ${index + 1}: ${JSON.stringify(row)}`);
+    }
+
+    const symbol = getPriceSymbol(asset, currency);
+    loaded.set(symbol, [...(loaded.get(symbol) || []), { timestamp, price }]);
+  });
+
+  loaded.forEach((symbolRows) => symbolRows.sort((a, b) => a.timestamp - b.timestamp));
+
+  const firstTimestamp = Math.min(...[...loaded.values()].map((symbolRows) => symbolRows[0].timestamp));
+  series = loaded;
+  playbackOffset = start === null ? 0 : parseTimestamp(start) - firstTimestamp;
+
+  logger.info('Replay series loaded', { symbols: [...loaded.keys()], rows: rows.length, playbackOffset });
+  return rows.length;
+};
+
+/**
+ * Load the price series from a CSV or JSON file
+ * @param {string} file - File path, relative to the working directory
+ * @param {Object} options - Playback options passed to loadSeries
+ * @returns {number} - Number of rows loaded
+ */
+const loadSeriesFile = (file, options = {}) => {
+  const content = fs.readFileSync(path.resolve(file), 'utf8');
+  const rows = path.extname(file).toLowerCase() === '.json' ? JSON.parse(content) : parseCsv(content);
+  return loadSeries(rows, options);
+};
+
+/**
+ * Get the loaded series, loading PRICE_SIMULATION.REPLAY_FILE on first use
+ * @returns {Map} - Rows per price symbol
+ */
+const getSeries = () => {
+  if (!series) {
+    if (!PRICE_SIMULATION.REPLAY_FILE) {
+      throw new Error('No replay series loaded (set PRICE_REPLAY_FILE)');
+    }
+    loadSeriesFile(PRICE_SIMULATION.REPLAY_FILE, { start: PRICE_SIMULATION.REPLAY_START || null });
+  }
+  return series;
+};
+
+/**
+ * Get the replayed price of an asset at a point in time
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} asset - Asset to price (default: ASSETS.DEFAULT)
+ * @param {string} currency - Quote currency (default: CURRENCIES.DEFAULT)
+ * @returns {number} - Price of the last row at or before the time
+ */
+const getPriceAt = (timestamp, asset = ASSETS.DEFAULT, currency = CURRENCIES.DEFAULT) => {
+  const symbol = getPriceSymbol(asset, currency);
+  const rows = getSeries().get(symbol);
+  if (!rows) {
+    throw new Error(`No replay prices for ${symbol}`);
+  }
+
+  // Binary search for the last row at or before the time
+  const seriesTime = timestamp - playbackOffset;
+  let low = 0;
+  let high = rows.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (rows[mid].timestamp <= seriesTime) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  if (found === -1) {
+    throw new Error(`No replay price for ${symbol} before ${new Date(rows[0].timestamp + playbackOffset).toISOString()}`);
+  }
+  return rows[found].price;
+};
+
+module.exports = {
+  name: PRICE_SOURCES.REPLAY,
+  getPriceAt,
+  loadSeries,
+  loadSeriesFile
+};
@@ -0,0 +1,39 @@
+const replay = require('./replay');
+
+describe('replay', () => {
+  beforeEach(() => {
+    replay.loadSeries([
+      { timestamp: '2024-01-01T00:01:00Z', price: 42100 },
+      { timestamp: '2024-01-01T00:00:00Z', price: 42000 },
+      { timestamp: '2024-01-01T00:02:00Z', price: 41950 },
+      { timestamp: '2024-01-01T00:00:00Z', price: 2300, asset: 'eth', currency: 'eur' }
+    ]);
+  });
+
+  it('returns the price of the last row at or before the time', () => {
+    expect(replay.getPriceAt(Date.parse('2024-01-01T00:00:00Z'))).toBe(42000);
+    expect(replay.getPriceAt(Date.parse('2024-01-01T00:01:59.999Z'))).toBe(42100);
+    expect(replay.getPriceAt(Date.parse('2024-01-01T05:00:00Z'))).toBe(41950);
+  });
+
+  it('keeps a series per asset and currency', () => {
+    expect(replay.getPriceAt(Date.parse('2024-01-01T00:03:00Z'), 'ETH', 'EUR')).toBe(2300);
+    expect(() => replay.getPriceAt(Date.parse('2024-01-01T00:03:00Z'), 'SOL', 'USD')).toThrow('No replay prices for SOL-USD');
+  });
+
+  it('has no price before the first row', () => {
+    expect(() => replay.getPriceAt(Date.parse('2023-12-31T23:59:59Z'))).toThrow('No replay price for BTC-USD before 2024-01-01T00:00:00.000Z');
+  });
+
+  it('shifts the series to start at the given time', () => {
+    replay.loadSeries([{ timestamp: 0, price: 100 }, { timestamp: 60000, price: 101 }], { start: '2024-06-01T12:00:00Z' });
+
+    expect(replay.getPriceAt(Date.parse('2024-06-01T12:00:10Z'))).toBe(100);
+    expect(replay.getPriceAt(Date.parse('2024-06-01T12:01:00Z'))).toBe(101);
+  });
+
+  it('rejects invalid rows', () => {
+    expect(() => replay.loadSeries([{ timestamp: 'soon', price: 1 }])).toThrow('Invalid replay row 1');
+    expect(() => replay.loadSeries([{ timestamp: 0, price: -1 }])).toThrow('Invalid replay row 1');
+  });
+});
@@ -0,0 +1,160 @@
+const { ASSETS, CURRENCIES, PRICE_SOURCES, PRICE_SIMULATION } = require('../../config/constants');
+
+const DAY = 86400000;
+const STEPS_PER_DAY = DAY / PRICE_SIMULATION.STEP;
+
+/**
+ * Seeded random-walk price simulator.
+ *
+ * The log price moves once per PRICE_SIMULATION.STEP with a normally distributed return
+ * (mean DRIFT, standard deviation VOLATILITY), starting from the asset's SIMULATOR_BASE_PRICE
+ * at PRICE_SIMULATION.EPOCH. Every random number is derived from the seed, the asset and the
+ * day, so the price at a given time is the same in every process and on every run. Daily
+ * closes are walked first and each day is filled in with a random walk pinned to the day's
+ * open and close (a Brownian bridge), so no more than one day is ever simulated per lookup.
+ */
+
+/**
+ * Hash a string to a 32-bit seed (FNV-1a)
+ * @param {string} value - String to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a seeded uniform random number generator (mulberry32)
+ * @param {string} key - Seed key, combined with PRICE_SIMULATION.SEED
+ * @returns {Function} - Generator returning numbers in [0, 1)
+ */
+const createRandom = (key) => {
+  let state = hashString(`${PRICE_SIMULATION.SEED}:${key}`);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Draw a standard normal number (Box-Muller transform)
+ * @param {Function} random - Uniform random number generator
+ * @returns {number} - Normally distributed number with mean 0 and standard deviation 1
+ */
+const randomNormal = (random) => {
+  const u1 = random() || Number.MIN_VALUE;
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+};
+
+/**
+ * Log returns of whole days, extended on demand, per asset
+ */
+const dailyReturns = new Map();
+
+/**
+ * Intraday log return paths per asset and day, most recently used last
+ */
+const intradayPaths = new Map();
+
+/**
+ * Get the log return of a whole simulated day
+ * @param {string} asset - Asset symbol
+ * @param {number} day - Day number since PRICE_SIMULATION.EPOCH
+ * @returns {number} - Log return from the day's open to its close
+ */
+const getDailyReturn = (asset, day) => {
+  const returns = dailyReturns.get(asset) || [];
+  for (let d = returns.length; d <= day; d++) {
+    const random = createRandom(`${asset}:day:${d}`);
+    returns.push(PRICE_SIMULATION.DRIFT * STEPS_PER_DAY
+      + PRICE_SIMULATION.VOLATILITY * Math.sqrt(STEPS_PER_DAY) * randomNormal(random));
+  }
+  dailyReturns.set(asset, returns);
+  return returns[day];
+};
+
+/**
+ * Get the log price of an asset at the open of a simulated day (in USD)
+ * @param {string} asset - Asset symbol
+ * @param {number} day - Day number since PRICE_SIMULATION.EPOCH
+ * @returns {number} - Log price at the open
+ */
+const getDayOpen = (asset, day) => {
+  getDailyReturn(asset, day);
+  const returns = dailyReturns.get(asset);
+  let logPrice = Math.log(ASSETS.CATALOGUE[asset].SIMULATOR_BASE_PRICE);
+  for (let d = 0; d < day; d++) {
+    logPrice += returns[d];
+  }
+  return logPrice;
+};
+
+/**
+ * Get the log return path of a simulated day, pinned to end at the day's return
+ * @param {string} asset - Asset symbol
+ * @param {number} day - Day number since PRICE_SIMULATION.EPOCH
+ * @returns {Float64Array} - Log return from the open after each step (STEPS_PER_DAY + 1 entries)
+ */
+const getIntradayPath = (asset, day) => {
+  const key = `${asset}:${day}`;
+  const cached = intradayPaths.get(key);
+  if (cached) {
+    intradayPaths.delete(key);
+    intradayPaths.set(key, cached);
+    return cached;
+  }
+
+  const random = createRandom(`${asset}:steps:${day}`);
+  const path = new Float64Array(STEPS_PER_DAY + 1);
+  for (let i = 1; i <= STEPS_PER_DAY; i++) {
+    path[i] = path[i - 1] + PRICE_SIMULATION.DRIFT + PRICE_SIMULATION.VOLATILITY * randomNormal(random);
+  }
+
+  // Bridge the free walk onto the day's return so consecutive days join up
+  const correction = path[STEPS_PER_DAY] - getDailyReturn(asset, day);
+  for (let i = 1; i <= STEPS_PER_DAY; i++) {
+    path[i] -= (i / STEPS_PER_DAY) * correction;
+  }
+
+  intradayPaths.set(key, path);
+  if (intradayPaths.size > PRICE_SIMULATION.MAX_CACHED_DAYS) {
+    intradayPaths.delete(intradayPaths.keys().next().value);
+  }
+  return path;
+};
+
+/**
+ * Get the simulated price of an asset at a point in time
+ * Times before PRICE_SIMULATION.EPOCH get the base price.
+ * @param {number} timestamp - Epoch milliseconds
+ * @param {string} asset - Asset to price (default: ASSETS.DEFAULT)
+ * @param {string} currency - Quote currency (default: CURRENCIES.DEFAULT)
+ * @returns {number} - Price rounded to 2 decimal places
+ */
+const getPriceAt = (timestamp, asset = ASSETS.DEFAULT, currency = CURRENCIES.DEFAULT) => {
+  if (!ASSETS.CATALOGUE[asset] || !PRICE_SIMULATION.FX_RATES[currency]) {
+    throw new Error(`Unsupported market for simulator: ${asset}-${currency}`);
+  }
+
+  const elapsed = Math.max(timestamp - PRICE_SIMULATION.EPOCH, 0);
+  const day = Math.floor(elapsed / DAY);
+  const step = Math.floor((elapsed % DAY) / PRICE_SIMULATION.STEP);
+
+  const logPrice = getDayOpen(asset, day) + getIntradayPath(asset, day)[step];
+  const price = Math.exp(logPrice) * PRICE_SIMULATION.FX_RATES[currency];
+  return Math.round(price * 100) / 100; // Round to 2 decimal places
+};
+
+module.exports = {
+  name: PRICE_SOURCES.SIMULATOR,
+  getPriceAt
+};
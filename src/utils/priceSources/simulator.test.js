@@ -0,0 +1,41 @@
+const simulator = require('./simulator');
+const { ASSETS, PRICE_SIMULATION } = require('../../config/constants');
+
+const time = Date.parse('2024-06-01T12:00:00.000Z');
+
+describe('simulator', () => {
+  it('returns the same price for the same time on every call', () => {
+    expect(simulator.getPriceAt(time)).toBe(simulator.getPriceAt(time));
+  });
+
+  it('returns the same prices in a fresh process with the same seed', () => {
+    let reloaded;
+    jest.isolateModules(() => {
+      reloaded = require('./simulator');
+    });
+
+    [time, time + 1000, time + 86400000 * 3 + 12345].forEach((timestamp) => {
+      expect(reloaded.getPriceAt(timestamp, 'ETH', 'EUR')).toBe(simulator.getPriceAt(timestamp, 'ETH', 'EUR'));
+    });
+  });
+
+  it('moves once per step', () => {
+    expect(simulator.getPriceAt(time + PRICE_SIMULATION.STEP - 1)).toBe(simulator.getPriceAt(time));
+    expect(simulator.getPriceAt(time + 60000)).not.toBe(simulator.getPriceAt(time));
+  });
+
+  it('starts from the base price of the asset', () => {
+    expect(simulator.getPriceAt(PRICE_SIMULATION.EPOCH - 60000, 'SOL')).toBe(ASSETS.CATALOGUE.SOL.SIMULATOR_BASE_PRICE);
+  });
+
+  it('converts to other currencies at the fixed rates', () => {
+    const usd = simulator.getPriceAt(time, 'BTC', 'USD');
+
+    expect(simulator.getPriceAt(time, 'BTC', 'GBP')).toBeCloseTo(usd * PRICE_SIMULATION.FX_RATES.GBP, 1);
+  });
+
+  it('rejects unsupported markets', () => {
+    expect(() => simulator.getPriceAt(time, 'DOGE', 'USD')).toThrow('Unsupported market for simulator: DOGE-USD');
+    expect(() => simulator.getPriceAt(time, 'BTC', 'JPY')).toThrow('Unsupported market');
+  });
+});
@@ -0,0 +1,360 @@
+/**
+ * Guess resolution logic shared by the resolveGuess handler and the overdue-guess sweeper.
+ * Returns plain outcome objects so each caller can map them to its own response format.
+ */
+const { getDefaultRepository } = require('../repositories');
+const { getBitcoinPriceAt } = require('./bitcoin');
+const { scheduleGuessResolution, cancelGuessResolution } = require('./eventbridge');
+const { getTimeframeConfig, getGuessType, calculateChangePercent } = require('./guess');
+const clock = require('./clock');
+const { logger, runWithLogContext } = require('./logger');
+const {
+  PRICE_POLICY,
+  RESOLUTION_MODES,
+  RESOLUTION_CONFIG,
+  GUESS_STATUS,
+  GUESS_DIRECTION,
+  GUESS_TYPES,
+  TARGET_CONDITIONS,
+  PREDICTION_RULES,
+  SCORE_CHANGES,
+  PUSH_CONFIG,
+  PUSH_EPSILON_UNITS,
+  RESOLUTION_OUTCOMES,
+  ASSETS,
+  CURRENCIES,
+  ERROR_CODES
+} = require('../config/constants');
+
+/**
+ * Calculate when a guess made at a given time resolves.
+ * In batch mode resolveAt is rounded up to the next bucket boundary so every guess in a
+ * bucket resolves at the same instant against a single price fetch.
+ * @param {number} timestamp - Guess creation time in milliseconds
+ * @param {string} timeframe - Guess timeframe (default: GUESS_TIMEFRAMES.DEFAULT)
+ * @returns {string} - ISO timestamp of resolveAt
+ */
+const calculateResolveAt = (timestamp, timeframe) => {
+  const resolveAt = timestamp + getTimeframeConfig(timeframe).DURATION;
+
+  if (RESOLUTION_CONFIG.MODE !== RESOLUTION_MODES.BATCH) {
+    return new Date(resolveAt).toISOString();
+  }
+
+  const bucketSize = RESOLUTION_CONFIG.BATCH_BUCKET_SIZE;
+  return new Date(Math.ceil(resolveAt / bucketSize) * bucketSize).toISOString();
+};
+
+/**
+ * Calculate the push epsilon around a reference price in price units
+ * @param {number} referencePrice - Entry price (up/down guesses) or target price (target guesses)
+ * @returns {number} - Maximum absolute price distance that still resolves the guess as a push
+ */
+const getPushEpsilon = (referencePrice) => {
+  if (PUSH_CONFIG.EPSILON_UNIT === PUSH_EPSILON_UNITS.BPS) {
+    return referencePrice * PUSH_CONFIG.EPSILON / 10000;
+  }
+  return PUSH_CONFIG.EPSILON;
+};
+
+/**
+ * Describe the price move between entry and resolution
+ * @param {number} entryPrice - Bitcoin price when the guess was made
+ * @param {number} resolvePrice - Bitcoin price as of resolveAt
+ * @returns {string} - 'up', 'down' or 'flat'
+ */
+const getPriceDirection = (entryPrice, resolvePrice) => {
+  if (resolvePrice === entryPrice) {
+    return 'flat';
+  }
+  return resolvePrice > entryPrice ? 'up' : 'down';
+};
+
+/**
+ * Build the outcome of a push: the score is unchanged and any stake is returned
+ * @returns {Object} - { result, status, scoreChange, priceDirection }
+ */
+const pushOutcome = () => ({
+  result: 'push',
+  status: GUESS_STATUS.PUSH,
+  scoreChange: SCORE_CHANGES.PUSH,
+  priceDirection: 'flat'
+});
+
+/**
+ * Build the outcome of a right-or-wrong guess.
+ * Wagers settle as +stake or -stake. Otherwise the score change is scaled by the multiplier recorded
+ * on the guess at creation, falling back to the multiplier of its timeframe for guesses created
+ * before multipliers were recorded.
+ * @param {Object} guess - Guess being resolved
+ * @param {boolean} guessWasCorrect - Whether the prediction came true
+ * @param {string} priceDirection - Price move between entry and resolution
+ * @returns {Object} - { result, status, scoreChange, priceDirection }
+ */
+const binaryOutcome = (guess, guessWasCorrect, priceDirection) => {
+  const multiplier = guess.scoreMultiplier || getTimeframeConfig(guess.timeframe).MULTIPLIER;
+  return {
+    result: guessWasCorrect ? 'win' : 'loss',
+    status: guessWasCorrect ? GUESS_STATUS.WON : GUESS_STATUS.LOST,
+    scoreChange: (guessWasCorrect ? SCORE_CHANGES.WIN : SCORE_CHANGES.LOSS) * (guess.stake || multiplier),
+    priceDirection
+  };
+};
+
+/**
+ * Score a percent-move guess by accuracy. Points fall linearly from PERCENT_MOVE.MAX_POINTS for an
+ * exact prediction to 0 at the tolerance of the timeframe (recorded on the guess as tolerancePercent)
+ * away from the actual move and are scaled by the multiplier; a prediction worth no points is a loss.
+ * @param {Object} guess - Percent-move guess being resolved
+ * @param {number} resolvePrice - Bitcoin price as of resolveAt
+ * @returns {Object} - { result, status, scoreChange, priceDirection }
+ */
+const evaluatePercentMoveGuess = (guess, resolvePrice) => {
+  const { MAX_POINTS } = PREDICTION_RULES.PERCENT_MOVE;
+  const tolerancePercent = guess.tolerancePercent || getTimeframeConfig(guess.timeframe).PERCENT_TOLERANCE;
+  const actualChangePercent = calculateChangePercent(guess.currentPrice, resolvePrice);
+  const error = Math.abs(actualChangePercent - guess.predictedChangePercent);
+  const points = Math.round(MAX_POINTS * Math.max(0, 1 - error / tolerancePercent));
+  const priceDirection = getPriceDirection(guess.currentPrice, resolvePrice);
+
+  if (points === 0) {
+    return binaryOutcome(guess, false, priceDirection);
+  }
+
+  const multiplier = guess.scoreMultiplier || getTimeframeConfig(guess.timeframe).MULTIPLIER;
+  return {
+    result: 'win',
+    status: GUESS_STATUS.WON,
+    scoreChange: points * multiplier,
+    priceDirection
+  };
+};
+
+/**
+ * Determine the outcome of a guess given the resolution price.
+ * - direction: up/down from the entry price; a price within the push epsilon of it is a push
+ * - target: above/below the target price; a price within the push epsilon of the target is a push
+ * - range: the price lands in [rangeLow, rangeHigh)
+ * - percent: scored by accuracy, see evaluatePercentMoveGuess
+ * A push leaves the score unchanged and returns any stake.
+ * @param {Object} guess - Guess with its prediction, currentPrice (entry price), timeframe/scoreMultiplier and optional stake
+ * @param {number} resolvePrice - Bitcoin price as of resolveAt
+ * @returns {Object} - { result, status, scoreChange, priceDirection }
+ */
+const evaluateGuess = (guess, resolvePrice) => {
+  const priceDirection = getPriceDirection(guess.currentPrice, resolvePrice);
+
+  switch (getGuessType(guess)) {
+    case GUESS_TYPES.TARGET: {
+      if (Math.abs(resolvePrice - guess.targetPrice) <= getPushEpsilon(guess.targetPrice)) {
+        return pushOutcome();
+      }
+      const isAbove = resolvePrice > guess.targetPrice;
+      return binaryOutcome(guess, isAbove === (guess.targetCondition === TARGET_CONDITIONS.ABOVE), priceDirection);
+    }
+
+    case GUESS_TYPES.RANGE:
+      return binaryOutcome(guess, resolvePrice >= guess.rangeLow && resolvePrice < guess.rangeHigh, priceDirection);
+
+    case GUESS_TYPES.PERCENT_MOVE:
+      return evaluatePercentMoveGuess(guess, resolvePrice);
+
+    default: {
+      if (Math.abs(resolvePrice - guess.currentPrice) <= getPushEpsilon(guess.currentPrice)) {
+        return pushOutcome();
+      }
+      const priceWentUp = resolvePrice > guess.currentPrice;
+      const guessWasCorrect = (guess.direction === GUESS_DIRECTION.UP && priceWentUp) ||
+                             (guess.direction === GUESS_DIRECTION.DOWN && !priceWentUp);
+      return binaryOutcome(guess, guessWasCorrect, priceDirection);
+    }
+  }
+};
+
+/**
+ * Re-schedule a resolution attempt because no real Bitcoin price is available.
+ * Gives up after PRICE_POLICY.MAX_RESOLVE_RETRIES; the guess stays ACTIVE for the sweeper.
+ * @param {Object} guess - Guess being resolved
+ * @param {number} attempt - Current resolution attempt
+ * @param {Object} repository - Player, guess and price tick repository
+ * @param {Object} scheduler - Scheduler backend (default: the one of the environment)
+ * @returns {Promise<Object>} - DEFERRED outcome, PRICE_UNAVAILABLE when retries are exhausted, or
+ *                              ALREADY_RESOLVED if the guess was resolved concurrently
+ */
+const deferGuessResolution = async (guess, attempt, repository, scheduler) => {
+  const nextAttempt = attempt + 1;
+  if (nextAttempt > PRICE_POLICY.MAX_RESOLVE_RETRIES) {
+    logger.error('Giving up on deferred guess resolution, guess left ACTIVE', { attempt });
+    return { outcome: RESOLUTION_OUTCOMES.PRICE_UNAVAILABLE, guess };
+  }
+
+  // Recorded before scheduling, so cleanup never misses the pending schedule's name
+  const recorded = await repository.recordResolveAttempt(guess.guessId, nextAttempt);
+  if (!recorded) {
+    return { outcome: RESOLUTION_OUTCOMES.ALREADY_RESOLVED, guess };
+  }
+
+  await scheduleGuessResolution(guess.guessId, guess.playerId, guess.currentPrice, {
+    delay: PRICE_POLICY.RESOLVE_RETRY_DELAY,
+    attempt: nextAttempt,
+    scheduler
+  });
+
+  logger.info('Guess resolution deferred', { attempt: nextAttempt });
+
+  return { outcome: RESOLUTION_OUTCOMES.DEFERRED, guess, attempt: nextAttempt };
+};
+
+/**
+ * Delete any resolution schedules still pending for a resolved guess (scheduler mode only).
+ * Failures are logged and swallowed; leftovers show up in the orphaned schedule report.
+ * @param {Object} guess - The resolved guess, as read before the resolution (for its resolveAttempt)
+ * @param {Object} scheduler - Scheduler backend (default: the one of the environment)
+ * @returns {Promise<void>}
+ */
+const cleanupGuessSchedules = async (guess, scheduler) => {
+  if (RESOLUTION_CONFIG.MODE !== RESOLUTION_MODES.SCHEDULER) {
+    return;
+  }
+
+  try {
+    const deleted = await cancelGuessResolution(guess.guessId, { attempt: guess.resolveAttempt || 0, scheduler });
+    if (deleted > 0) {
+      logger.info('Deleted pending resolution schedules', { deleted });
+    }
+  } catch (error) {
+    logger.warn('Failed to delete pending resolution schedules', error);
+  }
+};
+
+/**
+ * Resolve a guess (see resolveActiveGuess) within the log context of the guess
+ * @param {Object} guess - Guess to resolve
+ * @param {Object} options - Resolution options of resolveActiveGuess
+ * @returns {Promise<Object>} - Outcome object
+ */
+const resolveGuessInLogContext = async (guess, {
+  attempt = 0,
+  reschedule = false,
+  priceData: knownPriceData = null,
+  cleanupSchedules = true,
+  repository = getDefaultRepository(),
+  scheduler
+} = {}) => {
+  // Check if guess is already resolved
+  if (guess.status !== GUESS_STATUS.ACTIVE) {
+    return { outcome: RESOLUTION_OUTCOMES.ALREADY_RESOLVED, guess };
+  }
+
+  // Refuse to resolve before resolveAt so outcomes never depend on when the Lambda runs
+  const resolveAtMs = new Date(guess.resolveAt).getTime();
+  if (clock.now() < resolveAtMs) {
+    return { outcome: RESOLUTION_OUTCOMES.NOT_READY, guess };
+  }
+
+  // Get the Bitcoin price as of resolveAt, deferring instead of scoring against a mock price
+  let priceData = knownPriceData;
+  try {
+    priceData = priceData || await getBitcoinPriceAt(resolveAtMs, guess.asset || ASSETS.DEFAULT, guess.currency || CURRENCIES.DEFAULT, { repository });
+  } catch (priceError) {
+    if (priceError.code !== ERROR_CODES.PRICE_FETCH_ERROR) {
+      throw priceError;
+    }
+    return reschedule
+      ? deferGuessResolution(guess, attempt, repository, scheduler)
+      : { outcome: RESOLUTION_OUTCOMES.PRICE_UNAVAILABLE, guess };
+  }
+
+  logger.info('Price comparison', {
+    asset: guess.asset || ASSETS.DEFAULT,
+    currency: guess.currency || CURRENCIES.DEFAULT,
+    initialPrice: guess.currentPrice,
+    currentPrice: priceData.price,
+    priceSources: priceData.sources,
+    resolveAt: guess.resolveAt,
+    priceAt: new Date(priceData.timestamp).toISOString(),
+    guessType: getGuessType(guess),
+    direction: guess.direction
+  });
+
+  const evaluation = evaluateGuess(guess, priceData.price);
+
+  logger.info('Guess resolution', {
+    result: evaluation.result,
+    scoreChange: evaluation.scoreChange
+  });
+
+  // Update guess status and player score in a single transaction (exactly-once scoring)
+  try {
+    const { guess: resolvedGuess, player } = await repository.resolveGuessWithScore(guess, evaluation.status, priceData, evaluation.scoreChange);
+
+    if (cleanupSchedules) {
+      await cleanupGuessSchedules(guess, scheduler);
+    }
+
+    return {
+      outcome: RESOLUTION_OUTCOMES.RESOLVED,
+      guess: resolvedGuess,
+      player,
+      priceData,
+      ...evaluation
+    };
+  } catch (resolveError) {
+    if (resolveError.code !== ERROR_CODES.GUESS_ALREADY_RESOLVED) {
+      throw resolveError;
+    }
+
+    // Another invocation resolved the guess first
+    const resolvedGuess = await repository.getGuessById(guess.guessId, true);
+    return { outcome: RESOLUTION_OUTCOMES.ALREADY_RESOLVED, guess: resolvedGuess };
+  }
+};
+
+/**
+ * Resolve a guess at the price as of its resolveAt and apply the score change exactly once.
+ * Lines logged during the resolution carry the player and guess IDs.
+ * @param {Object} guess - Guess to resolve
+ * @param {Object} options - Resolution options
+ * @param {number} options.attempt - Current resolution attempt (default: 0)
+ * @param {boolean} options.reschedule - Re-schedule via EventBridge when no price is available (default: false)
+ * @param {Object} options.priceData - Price as of resolveAt already fetched by the caller (batch mode)
+ * @param {boolean} options.cleanupSchedules - Delete pending resolution schedules once resolved (default: true).
+ *                                             Schedules that invoked the resolution delete themselves after completion.
+ * @param {Object} options.repository - Player, guess and price tick repository (default: DynamoDB)
+ * @param {Object} options.scheduler - Scheduler backend for deferred retries and cleanup (default: the one of the environment)
+ * @returns {Promise<Object>} - Outcome object; { outcome: RESOLVED, guess, player, result, scoreChange, priceData, priceDirection }
+ *                              on success, otherwise ALREADY_RESOLVED, NOT_READY, DEFERRED or PRICE_UNAVAILABLE
+ */
+const resolveActiveGuess = async (guess, options = {}) => {
+  return runWithLogContext({ playerId: guess.playerId, guessId: guess.guessId }, () => resolveGuessInLogContext(guess, options));
+};
+
+/**
+ * Void an ACTIVE guess that can no longer be priced: the score is unchanged, any stake is released
+ * and pending resolution schedules are deleted.
+ * @param {Object} guess - Guess to void
+ * @param {Object} options - Void options
+ * @param {Object} options.repository - Player, guess and price tick repository (default: DynamoDB)
+ * @param {Object} options.scheduler - Scheduler backend for the schedule cleanup (default: the one of the environment)
+ * @returns {Promise<Object>} - { outcome: VOIDED, guess }, or ALREADY_RESOLVED if the guess is no longer ACTIVE
+ */
+const voidActiveGuess = async (guess, { repository = getDefaultRepository(), scheduler } = {}) => {
+  return runWithLogContext({ playerId: guess.playerId, guessId: guess.guessId }, async () => {
+    const voidedGuess = await repository.voidGuess(guess);
+    if (!voidedGuess) {
+      return { outcome: RESOLUTION_OUTCOMES.ALREADY_RESOLVED, guess };
+    }
+
+    logger.warn('Guess voided, no price as of resolveAt', { resolveAt: guess.resolveAt, stake: guess.stake || null });
+    await cleanupGuessSchedules(guess, scheduler);
+
+    return { outcome: RESOLUTION_OUTCOMES.VOIDED, guess: voidedGuess };
+  });
+};
+
+module.exports = {
+  calculateResolveAt,
+  evaluateGuess,
+  resolveActiveGuess,
+  voidActiveGuess
+};
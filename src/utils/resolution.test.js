@@ -0,0 +1,157 @@
+const { calculateResolveAt, evaluateGuess } = require('./resolution');
+const { GUESS_STATUS, GUESS_TIMEFRAMES, PREDICTION_RULES } = require('../config/constants');
+
+const directionGuess = (direction, extra = {}) => ({
+  guessType: 'direction',
+  direction,
+  currentPrice: 100,
+  timeframe: '1m',
+  scoreMultiplier: 1,
+  ...extra
+});
+
+describe('calculateResolveAt', () => {
+  it('resolves a guess one timeframe after it was made', () => {
+    const timestamp = Date.parse('2024-06-01T12:00:10.500Z');
+
+    expect(calculateResolveAt(timestamp, '1m')).toBe('2024-06-01T12:01:10.500Z');
+    expect(calculateResolveAt(timestamp, '1h')).toBe('2024-06-01T13:00:10.500Z');
+  });
+});
+
+describe('evaluateGuess', () => {
+  describe('direction guesses', () => {
+    it('wins when the price moves in the predicted direction', () => {
+      expect(evaluateGuess(directionGuess('up'), 101)).toEqual({
+        result: 'win',
+        status: GUESS_STATUS.WON,
+        scoreChange: 1,
+        priceDirection: 'up'
+      });
+      expect(evaluateGuess(directionGuess('down'), 99).status).toBe(GUESS_STATUS.WON);
+    });
+
+    it('loses when the price moves against the prediction', () => {
+      expect(evaluateGuess(directionGuess('up'), 99)).toEqual({
+        result: 'loss',
+        status: GUESS_STATUS.LOST,
+        scoreChange: -1,
+        priceDirection: 'down'
+      });
+    });
+
+    it('is a push when the price is unchanged', () => {
+      expect(evaluateGuess(directionGuess('up'), 100)).toEqual({
+        result: 'push',
+        status: GUESS_STATUS.PUSH,
+        scoreChange: 0,
+        priceDirection: 'flat'
+      });
+    });
+
+    it('scales the score change by the multiplier recorded on the guess', () => {
+      expect(evaluateGuess(directionGuess('up', { timeframe: '15m', scoreMultiplier: 3 }), 101).scoreChange).toBe(3);
+      expect(evaluateGuess(directionGuess('up', { timeframe: '15m', scoreMultiplier: 3 }), 99).scoreChange).toBe(-3);
+    });
+
+    it('falls back to the multiplier of the timeframe', () => {
+      expect(evaluateGuess(directionGuess('up', { timeframe: '1h', scoreMultiplier: undefined }), 101).scoreChange).toBe(5);
+    });
+
+    it('settles a wager as plus or minus the stake', () => {
+      expect(evaluateGuess(directionGuess('up', { stake: 7 }), 101).scoreChange).toBe(7);
+      expect(evaluateGuess(directionGuess('up', { stake: 7 }), 99).scoreChange).toBe(-7);
+    });
+
+    it('treats guesses without a type as direction guesses', () => {
+      expect(evaluateGuess({ direction: 'down', currentPrice: 100, timeframe: '1m' }, 98).status).toBe(GUESS_STATUS.WON);
+    });
+  });
+
+  describe('target guesses', () => {
+    const targetGuess = { guessType: 'target', targetCondition: 'above', targetPrice: 110, currentPrice: 100, timeframe: '1m', scoreMultiplier: 1 };
+
+    it('wins when the price ends on the predicted side of the target', () => {
+      expect(evaluateGuess(targetGuess, 111).status).toBe(GUESS_STATUS.WON);
+      expect(evaluateGuess({ ...targetGuess, targetCondition: 'below', targetPrice: 90 }, 89).status).toBe(GUESS_STATUS.WON);
+    });
+
+    it('loses when the price ends on the other side of the target', () => {
+      expect(evaluateGuess(targetGuess, 109).status).toBe(GUESS_STATUS.LOST);
+    });
+
+    it('is a push when the price ends on the target', () => {
+      expect(evaluateGuess(targetGuess, 110).status).toBe(GUESS_STATUS.PUSH);
+    });
+  });
+
+  describe('range guesses', () => {
+    const rangeGuess = { guessType: 'range', rangeLow: 100.5, rangeHigh: 101, currentPrice: 100, timeframe: '1m', scoreMultiplier: 1 };
+
+    it('wins when the price lands in [rangeLow, rangeHigh)', () => {
+      expect(evaluateGuess(rangeGuess, 100.5).status).toBe(GUESS_STATUS.WON);
+      expect(evaluateGuess(rangeGuess, 100.9).status).toBe(GUESS_STATUS.WON);
+    });
+
+    it('loses when the price lands outside the range', () => {
+      expect(evaluateGuess(rangeGuess, 101).status).toBe(GUESS_STATUS.LOST);
+      expect(evaluateGuess(rangeGuess, 100.4).status).toBe(GUESS_STATUS.LOST);
+    });
+  });
+
+  describe('percent-move guesses', () => {
+    const { MAX_POINTS } = PREDICTION_RULES.PERCENT_MOVE;
+    const TOLERANCE_PERCENT = GUESS_TIMEFRAMES.CATALOGUE['5m'].PERCENT_TOLERANCE;
+    const percentGuess = { guessType: 'percent', predictedChangePercent: 1, currentPrice: 100, timeframe: '5m', scoreMultiplier: 2 };
+
+    it('scores MAX_POINTS times the multiplier for an exact prediction', () => {
+      expect(evaluateGuess(percentGuess, 101)).toEqual({
+        result: 'win',
+        status: GUESS_STATUS.WON,
+        scoreChange: MAX_POINTS * 2,
+        priceDirection: 'up'
+      });
+    });
+
+    it('scores fewer points the further the prediction is off', () => {
+      const { scoreChange } = evaluateGuess(percentGuess, 100 + 1 + TOLERANCE_PERCENT / 2);
+
+      expect(scoreChange).toBeGreaterThan(0);
+      expect(scoreChange).toBeLessThan(MAX_POINTS * 2);
+    });
+
+    it('loses when the prediction is off by the tolerance or more', () => {
+      expect(evaluateGuess(percentGuess, 100 + 1 + TOLERANCE_PERCENT)).toEqual({
+        result: 'loss',
+        status: GUESS_STATUS.LOST,
+        scoreChange: -2,
+        priceDirection: 'up'
+      });
+    });
+
+    it('uses the tolerance recorded on the guess', () => {
+      const recordedGuess = { ...percentGuess, tolerancePercent: TOLERANCE_PERCENT * 4 };
+
+      expect(evaluateGuess(recordedGuess, 100 + 1 + TOLERANCE_PERCENT).status).toBe(GUESS_STATUS.WON);
+    });
+
+    it.each(Object.keys(GUESS_TIMEFRAMES.CATALOGUE))('does not pay to predict no move on %s', (timeframe) => {
+      // Actual moves are taken as normally distributed with a standard deviation of twice the
+      // tolerance (the typical move at ~3% daily volatility); integrate the score of predicting 0
+      const tolerance = GUESS_TIMEFRAMES.CATALOGUE[timeframe].PERCENT_TOLERANCE;
+      const sigma = 2 * tolerance;
+      const zeroGuess = { guessType: 'percent', predictedChangePercent: 0, currentPrice: 100, timeframe, scoreMultiplier: 1 };
+      const steps = 4000;
+      const step = 12 * sigma / steps;
+
+      let expectedScore = 0;
+      for (let i = 0; i < steps; i++) {
+        const move = -6 * sigma + (i + 0.5) * step;
+        const density = Math.exp(-(move * move) / (2 * sigma * sigma)) / (sigma * Math.sqrt(2 * Math.PI));
+        expectedScore += evaluateGuess(zeroGuess, 100 + move).scoreChange * density * step;
+      }
+
+      expect(expectedScore).toBeLessThanOrEqual(0);
+    });
+  });
+});
@@ -11,7 +11,7 @@ const createResponse = (statusCode, body, headers = {}) => {
     headers: {
       'Content-Type': 'application/json',
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
+      'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,X-Correlation-Id',
       'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
       ...headers
     },
@@ -0,0 +1,95 @@
+const AWS = require('aws-sdk');
+const { APP_CONFIG, SCHEDULER_CONFIG, ENV } = require('../../config/constants');
+
+// Configure EventBridge Scheduler for scheduled events (AWS SDK v2 service is named 'Scheduler')
+const scheduler = new AWS.Scheduler({
+  region: ENV.AWS_REGION
+});
+
+// Helper function to get AWS account ID
+const getAccountId = async () => {
+  const sts = new AWS.STS({ region: ENV.AWS_REGION });
+  const identity = await sts.getCallerIdentity().promise();
+  return identity.Account;
+};
+
+/**
+ * Create a one-shot EventBridge Scheduler schedule that invokes the resolveGuess Lambda
+ * @param {Object} schedule - Schedule definition
+ * @param {string} schedule.name - Unique schedule name
+ * @param {Date} schedule.runAt - Time of the run (whole seconds)
+ * @param {Object} schedule.input - Payload the resolveGuess Lambda is invoked with
+ * @returns {Promise<Object>} - EventBridge Scheduler response
+ */
+const createSchedule = async ({ name, runAt, input }) => {
+  const accountId = await getAccountId();
+  const functionName = `${APP_CONFIG.SERVICE_NAME}-${ENV.STAGE}-resolveGuess`;
+  const lambdaArn = `arn:aws:lambda:${ENV.AWS_REGION}:${accountId}:function:${functionName}`;
+  const roleName = `${APP_CONFIG.SERVICE_NAME}-${ENV.STAGE}-scheduler-role`;
+  const roleArn = `arn:aws:iam::${accountId}:role/${roleName}`;
+
+  const params = {
+    Name: name,
+    GroupName: SCHEDULER_CONFIG.GROUP_NAME,
+    FlexibleTimeWindow: { Mode: 'OFF' }, // Run exactly once
+    ActionAfterCompletion: 'DELETE', // Remove the one-shot schedule once it has invoked resolveGuess
+    ScheduleExpression: `at(${runAt.toISOString().slice(0, 19)})`, // e.g., at(2025-09-22T12:44:43), Scheduler expects no 'Z'
+    ScheduleExpressionTimezone: 'UTC',
+    Target: {
+      Arn: lambdaArn,
+      RoleArn: roleArn,
+      Input: JSON.stringify(input)
+    }
+  };
+
+  return scheduler.createSchedule(params).promise();
+};
+
+/**
+ * Delete a schedule by name. Missing schedules (already completed and auto-deleted) are ignored.
+ * @param {string} name - Schedule name
+ * @returns {Promise<boolean>} - True if a schedule was deleted, false if it did not exist
+ */
+const deleteSchedule = async (name) => {
+  try {
+    await scheduler.deleteSchedule({
+      Name: name,
+      GroupName: SCHEDULER_CONFIG.GROUP_NAME
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ResourceNotFoundException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * List schedule names starting with a prefix
+ * @param {string} namePrefix - Schedule name prefix
+ * @returns {Promise<Array<string>>} - Schedule names
+ */
+const listSchedules = async (namePrefix) => {
+  const params = {
+    GroupName: SCHEDULER_CONFIG.GROUP_NAME,
+    NamePrefix: namePrefix
+  };
+
+  const names = [];
+  let result;
+  do {
+    result = await scheduler.listSchedules(params).promise();
+    names.push(...(result.Schedules || []).map((schedule) => schedule.Name));
+    params.NextToken = result.NextToken;
+  } while (result.NextToken);
+
+  return names;
+};
+
+module.exports = {
+  name: 'aws',
+  createSchedule,
+  deleteSchedule,
+  listSchedules
+};
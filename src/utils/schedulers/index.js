@@ -0,0 +1,27 @@
+const awsScheduler = require('./awsScheduler');
+const { createLocalScheduler } = require('./localScheduler');
+const { ENV } = require('../../config/constants');
+
+let localScheduler = null;
+
+/**
+ * Get the scheduler backend for the environment: the local scheduler, backed by the default
+ * repository, in offline mode (serverless-offline sets IS_OFFLINE), EventBridge Scheduler
+ * everywhere else. The local scheduler is created and starts polling for due jobs on first use.
+ * @returns {Object} - Scheduler with createSchedule, deleteSchedule and listSchedules
+ */
+const getScheduler = () => {
+  if (ENV.IS_OFFLINE) {
+    localScheduler = localScheduler || createLocalScheduler();
+    localScheduler.start();
+    return localScheduler;
+  }
+
+  return awsScheduler;
+};
+
+module.exports = {
+  awsScheduler,
+  createLocalScheduler,
+  getScheduler
+};
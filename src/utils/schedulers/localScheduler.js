@@ -0,0 +1,150 @@
+const { getDefaultRepository } = require('../../repositories');
+const clock = require('../clock');
+const { logger } = require('../logger');
+const { SCHEDULER_CONFIG } = require('../../config/constants');
+
+/**
+ * In-process stand-in for EventBridge Scheduler used in offline mode (serverless-offline).
+ * Jobs are persisted through the repository (the local DynamoDB scheduled jobs table by default),
+ * so they survive a restart, and a polling timer invokes the resolveGuess handler with each job's
+ * payload once it is due. The handler runs against the same repository and this scheduler.
+ */
+
+/**
+ * Create a local scheduler
+ * @param {Object} dependencies - Injected dependencies (optional)
+ * @param {Object} dependencies.repository - Repository the jobs, players and guesses are stored in (default: DynamoDB)
+ * @returns {Object} - Scheduler with createSchedule, deleteSchedule, listSchedules, runDueJobs, start and stop
+ */
+const createLocalScheduler = ({ repository = getDefaultRepository() } = {}) => {
+  let pollTimer = null;
+  let isPolling = false;
+  let resolveGuessHandler = null;
+
+  /**
+   * Invoke the resolveGuess handler in-process with a job's payload
+   * @param {Object} job - Claimed job with name and input
+   * @returns {Promise<void>}
+   */
+  const runJob = async (job) => {
+    if (!resolveGuessHandler) {
+      // Required lazily: resolveGuess depends on the scheduler through the resolution utilities
+      const resolveGuess = require('../../handlers/resolveGuess');
+      resolveGuessHandler = resolveGuess.createHandler({ repository, scheduler });
+    }
+
+    try {
+      const response = await resolveGuessHandler(JSON.parse(job.input));
+      logger.info('Local schedule ran', { scheduleName: job.name, statusCode: response.statusCode });
+    } catch (error) {
+      logger.error('Local schedule failed', { scheduleName: job.name, error });
+    }
+  };
+
+  /**
+   * Run every job whose time has come. Each job is claimed by deleting it first, so a job runs
+   * once even when several offline workers poll the same table.
+   * @returns {Promise<number>} - Number of jobs run
+   */
+  const runDueJobs = async () => {
+    if (isPolling) {
+      return 0;
+    }
+
+    isPolling = true;
+    try {
+      const now = clock.now();
+      const jobs = await repository.getScheduledJobs(SCHEDULER_CONFIG.GROUP_NAME);
+      let ran = 0;
+
+      for (const job of jobs.filter((item) => item.runAt <= now)) {
+        const claimed = await repository.deleteScheduledJob(SCHEDULER_CONFIG.GROUP_NAME, job.name);
+        if (claimed) {
+          await runJob(claimed);
+          ran++;
+        }
+      }
+
+      return ran;
+    } catch (error) {
+      logger.error('Error running local schedules', error);
+      return 0;
+    } finally {
+      isPolling = false;
+    }
+  };
+
+  /**
+   * Start polling for due jobs (idempotent). The timer does not keep the process alive on its own.
+   */
+  const start = () => {
+    if (pollTimer) {
+      return;
+    }
+
+    pollTimer = setInterval(runDueJobs, SCHEDULER_CONFIG.LOCAL_POLL_INTERVAL);
+    pollTimer.unref();
+    logger.info('Local scheduler started', { pollInterval: SCHEDULER_CONFIG.LOCAL_POLL_INTERVAL });
+  };
+
+  /**
+   * Stop polling for due jobs. Persisted jobs run once polling is started again.
+   */
+  const stop = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  };
+
+  /**
+   * Persist a one-shot job that invokes resolveGuess at runAt
+   * @param {Object} schedule - Schedule definition
+   * @param {string} schedule.name - Unique schedule name
+   * @param {Date} schedule.runAt - Time of the run
+   * @param {Object} schedule.input - Payload the resolveGuess handler is invoked with
+   * @returns {Promise<Object>} - Stored job
+   */
+  const createSchedule = async ({ name, runAt, input }) => {
+    return repository.putScheduledJob({
+      scheduleGroup: SCHEDULER_CONFIG.GROUP_NAME,
+      name,
+      runAt: runAt.getTime(),
+      input: JSON.stringify(input),
+      createdAt: new Date(clock.now()).toISOString()
+    });
+  };
+
+  /**
+   * Delete a pending job by name
+   * @param {string} name - Schedule name
+   * @returns {Promise<boolean>} - True if a job was deleted, false if it did not exist
+   */
+  const deleteSchedule = async (name) => {
+    const deleted = await repository.deleteScheduledJob(SCHEDULER_CONFIG.GROUP_NAME, name);
+    return Boolean(deleted);
+  };
+
+  /**
+   * List pending job names starting with a prefix
+   * @param {string} namePrefix - Schedule name prefix
+   * @returns {Promise<Array<string>>} - Schedule names
+   */
+  const listSchedules = async (namePrefix) => {
+    const jobs = await repository.getScheduledJobs(SCHEDULER_CONFIG.GROUP_NAME, namePrefix);
+    return jobs.map((job) => job.name);
+  };
+
+  const scheduler = {
+    name: 'local',
+    createSchedule,
+    deleteSchedule,
+    listSchedules,
+    runDueJobs,
+    start,
+    stop
+  };
+  return scheduler;
+};
+
+module.exports = {
+  createLocalScheduler
+};
@@ -0,0 +1,66 @@
+const { createLocalScheduler } = require('./localScheduler');
+const makeGuess = require('../../handlers/makeGuess');
+const createPlayer = require('../../handlers/createPlayer');
+const { createInMemoryRepository } = require('../../repositories');
+const { usePriceSource } = require('../bitcoin');
+const { loadSeries } = require('../priceSources/replay');
+const clock = require('../clock');
+const { GUESS_STATUS, PRICE_SOURCES } = require('../../config/constants');
+
+const START = '2024-06-01T12:00:00.000Z';
+
+const parse = (response) => ({ statusCode: response.statusCode, ...JSON.parse(response.body) });
+
+describe('local scheduler on the in-memory repository', () => {
+  let repository;
+  let scheduler;
+
+  beforeAll(() => {
+    usePriceSource(PRICE_SOURCES.REPLAY);
+    loadSeries([
+      { timestamp: 0, price: 100 },
+      { timestamp: 60000, price: 101 }
+    ], { start: START });
+  });
+
+  afterAll(() => {
+    usePriceSource(PRICE_SOURCES.ORACLE);
+  });
+
+  beforeEach(() => {
+    clock.setTime(START);
+    repository = createInMemoryRepository();
+    scheduler = createLocalScheduler({ repository });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    clock.useWallClock();
+  });
+
+  it('stores the resolution job of a guess and resolves the guess once it is due', async () => {
+    const player = parse(await createPlayer.createHandler({ repository })({ body: JSON.stringify({ name: 'alice' }) })).data;
+    const made = parse(await makeGuess.createHandler({ repository, scheduler })({
+      headers: { Authorization: `Bearer ${player.sessionToken}` },
+      body: JSON.stringify({ userId: player.playerId, direction: 'up' })
+    }));
+
+    expect(await scheduler.listSchedules('resolve-guess-')).toEqual([`resolve-guess-${made.data.guessId}`]);
+    expect(await scheduler.runDueJobs()).toBe(0);
+
+    clock.advance(60000);
+    expect(await scheduler.runDueJobs()).toBe(1);
+
+    expect(repository.snapshot()).toMatchObject({
+      guesses: [{ guessId: made.data.guessId, status: GUESS_STATUS.WON }],
+      scheduledJobs: []
+    });
+  });
+
+  it('deletes pending jobs by name', async () => {
+    await scheduler.createSchedule({ name: 'resolve-guess-a', runAt: new Date(START), input: {} });
+
+    expect(await scheduler.deleteSchedule('resolve-guess-a')).toBe(true);
+    expect(await scheduler.deleteSchedule('resolve-guess-a')).toBe(false);
+  });
+});
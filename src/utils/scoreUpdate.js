@@ -0,0 +1,61 @@
+const { buildLeaderboardAttributes } = require('./leaderboard');
+const { applyResolutionToStats, getStatsPeriods } = require('./stats');
+
+/**
+ * Work out every change a guess resolution makes to the player, independent of how it is stored.
+ * Shared by the repositories so they score, rank and count a resolution identically.
+ * Scores never drop below 0.
+ * @param {Object} guess - The ACTIVE guess being resolved
+ * @param {Object} player - The player as currently stored
+ * @param {string} status - New status ('WON', 'LOST' or 'PUSH')
+ * @param {Object} priceData - Resolution price as { price, sources, timestamp } (timestamp in ms)
+ * @param {number} scoreChange - Score change (+1 for win, -1 for loss, 0 for push)
+ * @param {string} now - ISO timestamp of the resolution
+ * @returns {Object} - { hasScore, currentScore, newScore, leaderboardAttributes, histogramMoves, hasStats, stats, statsPeriods, resolution }
+ */
+const planScoreUpdate = (guess, player, status, priceData, scoreChange, now) => {
+  const hasScore = typeof player.score === 'number';
+  const currentScore = hasScore ? player.score : 0;
+  const newScore = Math.max(0, currentScore + scoreChange); // Floor at 0
+
+  // Players created before the leaderboard existed are enrolled on their first resolution
+  const isRanked = Boolean(player.rankKey);
+  const scoreChanged = newScore !== currentScore;
+  const leaderboardAttributes = buildLeaderboardAttributes(
+    guess.playerId,
+    newScore,
+    scoreChanged || !player.scoreReachedAt ? now : player.scoreReachedAt
+  );
+
+  // Score histogram bucket changes as { partition, score, delta }; players ranked in the
+  // unsharded partition move to their shard
+  const histogramMoves = [];
+  if (scoreChanged || !isRanked || player.leaderboard !== leaderboardAttributes.leaderboard) {
+    if (isRanked) {
+      histogramMoves.push({ partition: player.leaderboard, score: currentScore, delta: -1 });
+    }
+    histogramMoves.push({ partition: leaderboardAttributes.leaderboard, score: newScore, delta: 1 });
+  }
+
+  return {
+    hasScore,
+    currentScore,
+    newScore,
+    leaderboardAttributes,
+    histogramMoves,
+    hasStats: Boolean(player.stats),
+    stats: applyResolutionToStats(player.stats, guess, status, priceData.price),
+    statsPeriods: getStatsPeriods(guess.resolveAt || now),
+    resolution: {
+      status,
+      resolvePrice: priceData.price,
+      resolvePriceSources: priceData.sources || [],
+      resolvePriceAt: new Date(priceData.timestamp).toISOString(),
+      resolvedAt: now
+    }
+  };
+};
+
+module.exports = {
+  planScoreUpdate
+};
@@ -0,0 +1,90 @@
+const { planScoreUpdate } = require('./scoreUpdate');
+const { buildRankKey, getLeaderboardShard } = require('./leaderboard');
+const { GUESS_STATUS, LEADERBOARD } = require('../config/constants');
+
+const now = '2024-06-01T12:01:05.000Z';
+const guess = {
+  guessId: 'guess-1',
+  playerId: 'player-1',
+  direction: 'up',
+  currentPrice: 100,
+  resolveAt: '2024-06-01T12:01:00.000Z'
+};
+const priceData = { price: 101, sources: ['a', 'b'], timestamp: Date.parse('2024-06-01T12:01:00.000Z') };
+const shard = getLeaderboardShard('player-1');
+const rankedPlayer = (score) => ({
+  playerId: 'player-1',
+  score,
+  leaderboard: shard,
+  rankKey: buildRankKey(score, '2024-06-01T00:00:00.000Z'),
+  scoreReachedAt: '2024-06-01T00:00:00.000Z'
+});
+
+describe('planScoreUpdate', () => {
+  it('applies the score change and moves the player between histogram buckets', () => {
+    const plan = planScoreUpdate(guess, rankedPlayer(5), GUESS_STATUS.WON, priceData, 1, now);
+
+    expect(plan.currentScore).toBe(5);
+    expect(plan.newScore).toBe(6);
+    expect(plan.histogramMoves).toEqual([{ partition: shard, score: 5, delta: -1 }, { partition: shard, score: 6, delta: 1 }]);
+    expect(plan.leaderboardAttributes).toEqual({
+      leaderboard: shard,
+      rankKey: buildRankKey(6, now),
+      scoreReachedAt: now
+    });
+  });
+
+  it('never lets the score drop below 0', () => {
+    const plan = planScoreUpdate(guess, rankedPlayer(2), GUESS_STATUS.LOST, priceData, -5, now);
+
+    expect(plan.newScore).toBe(0);
+    expect(plan.histogramMoves).toEqual([{ partition: shard, score: 2, delta: -1 }, { partition: shard, score: 0, delta: 1 }]);
+  });
+
+  it('keeps the rank and histogram of a player whose score is unchanged at the floor', () => {
+    const player = rankedPlayer(0);
+    const plan = planScoreUpdate(guess, player, GUESS_STATUS.LOST, priceData, -1, now);
+
+    expect(plan.newScore).toBe(0);
+    expect(plan.histogramMoves).toEqual([]);
+    expect(plan.leaderboardAttributes.scoreReachedAt).toBe(player.scoreReachedAt);
+  });
+
+  it('enrols players created before the leaderboard existed', () => {
+    const plan = planScoreUpdate(guess, { playerId: 'player-1', score: 3 }, GUESS_STATUS.PUSH, priceData, 0, now);
+
+    expect(plan.newScore).toBe(3);
+    expect(plan.histogramMoves).toEqual([{ partition: shard, score: 3, delta: 1 }]);
+    expect(plan.leaderboardAttributes.rankKey).toBe(buildRankKey(3, now));
+  });
+
+  it('moves players ranked in the unsharded partition to their shard', () => {
+    const player = { ...rankedPlayer(0), leaderboard: LEADERBOARD.PARTITION };
+    const plan = planScoreUpdate(guess, player, GUESS_STATUS.LOST, priceData, -1, now);
+
+    expect(plan.histogramMoves).toEqual([{ partition: LEADERBOARD.PARTITION, score: 0, delta: -1 }, { partition: shard, score: 0, delta: 1 }]);
+    expect(plan.leaderboardAttributes).toEqual({ leaderboard: shard, rankKey: player.rankKey, scoreReachedAt: player.scoreReachedAt });
+  });
+
+  it('treats a missing score as 0', () => {
+    const plan = planScoreUpdate(guess, { playerId: 'player-1' }, GUESS_STATUS.WON, priceData, 1, now);
+
+    expect(plan.hasScore).toBe(false);
+    expect(plan.newScore).toBe(1);
+  });
+
+  it('records the resolution and the stats periods of resolveAt', () => {
+    const plan = planScoreUpdate(guess, rankedPlayer(5), GUESS_STATUS.WON, priceData, 1, now);
+
+    expect(plan.resolution).toEqual({
+      status: GUESS_STATUS.WON,
+      resolvePrice: 101,
+      resolvePriceSources: ['a', 'b'],
+      resolvePriceAt: '2024-06-01T12:01:00.000Z',
+      resolvedAt: now
+    });
+    expect(plan.statsPeriods).toEqual(['DAY#2024-06-01', 'WEEK#2024-W22']);
+    expect(plan.hasStats).toBe(false);
+    expect(plan.stats.wins).toBe(1);
+  });
+});
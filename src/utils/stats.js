@@ -0,0 +1,178 @@
+/**
+ * Player statistics helpers.
+ * Lifetime stats are kept as a `stats` map on the player item and daily/weekly counters as
+ * items in the player stats table. Both are updated in the guess resolution transaction, so
+ * reading stats never requires scanning a player's guesses.
+ */
+const { GUESS_STATUS, GUESS_DIRECTION, PLAYER_STATS } = require('../config/constants');
+
+/**
+ * Build an empty win/loss/push counter
+ * @returns {Object} - { totalGuesses, wins, losses, pushes }
+ */
+const emptyCounter = () => ({
+  totalGuesses: 0,
+  wins: 0,
+  losses: 0,
+  pushes: 0
+});
+
+/**
+ * Build empty lifetime stats
+ * @returns {Object} - Lifetime stats with every counter at 0
+ */
+const createEmptyStats = () => ({
+  ...emptyCounter(),
+  byDirection: {
+    [GUESS_DIRECTION.UP]: emptyCounter(),
+    [GUESS_DIRECTION.DOWN]: emptyCounter()
+  },
+  currentStreak: 0,
+  longestStreak: 0,
+  winPriceMovePercentTotal: 0,
+  lossPriceMovePercentTotal: 0
+});
+
+/**
+ * Add a resolved guess to a win/loss/push counter
+ * @param {Object} counter - Counter to update (not mutated)
+ * @param {string} status - Resolution status (WON, LOST or PUSH)
+ * @returns {Object} - Updated counter
+ */
+const addToCounter = (counter, status) => ({
+  ...counter,
+  totalGuesses: (counter.totalGuesses || 0) + 1,
+  wins: (counter.wins || 0) + (status === GUESS_STATUS.WON ? 1 : 0),
+  losses: (counter.losses || 0) + (status === GUESS_STATUS.LOST ? 1 : 0),
+  pushes: (counter.pushes || 0) + (status === GUESS_STATUS.PUSH ? 1 : 0)
+});
+
+/**
+ * Apply a resolved guess to a player's lifetime stats.
+ * A push is counted but neither extends nor breaks the win streak. Price moves are added as a
+ * percentage of the entry price, so moves of different assets and currencies can be averaged.
+ * @param {Object|undefined} stats - Current stats from the player item (missing for players without resolved guesses)
+ * @param {Object} guess - The guess being resolved
+ * @param {string} status - Resolution status (WON, LOST or PUSH)
+ * @param {number} resolvePrice - Price the guess was resolved at
+ * @returns {Object} - Updated stats
+ */
+const applyResolutionToStats = (stats, guess, status, resolvePrice) => {
+  const current = { ...createEmptyStats(), ...stats };
+  const won = status === GUESS_STATUS.WON;
+  const lost = status === GUESS_STATUS.LOST;
+  const priceMovePercent = (Math.abs(resolvePrice - guess.currentPrice) / guess.currentPrice) * 100;
+  const currentStreak = won ? current.currentStreak + 1 : (lost ? 0 : current.currentStreak);
+
+  // Only up/down guesses have a direction; target, range and percent-move guesses count overall only
+  const byDirection = guess.direction
+    ? { ...current.byDirection, [guess.direction]: addToCounter(current.byDirection[guess.direction] || emptyCounter(), status) }
+    : current.byDirection;
+
+  return {
+    ...addToCounter(current, status),
+    byDirection,
+    currentStreak,
+    longestStreak: Math.max(current.longestStreak, currentStreak),
+    winPriceMovePercentTotal: current.winPriceMovePercentTotal + (won ? priceMovePercent : 0),
+    lossPriceMovePercentTotal: current.lossPriceMovePercentTotal + (lost ? priceMovePercent : 0)
+  };
+};
+
+/**
+ * Get the ISO 8601 week of a date, e.g. "2024-W01"
+ * @param {Date} date - Date to get the week of
+ * @returns {string} - ISO week
+ */
+const getIsoWeek = (date) => {
+  // The ISO week belongs to the year of its Thursday
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+/**
+ * Get the daily and weekly stats period keys a timestamp falls into (UTC)
+ * @param {string|number} timestamp - ISO timestamp or epoch milliseconds
+ * @returns {Array<string>} - Period sort keys, e.g. ["DAY#2024-01-01", "WEEK#2024-W01"]
+ */
+const getStatsPeriods = (timestamp) => {
+  const date = new Date(timestamp);
+  return [
+    `${PLAYER_STATS.DAILY_PREFIX}${date.toISOString().slice(0, 10)}`,
+    `${PLAYER_STATS.WEEKLY_PREFIX}${getIsoWeek(date)}`
+  ];
+};
+
+/**
+ * Calculate a win rate as a percentage with 2 decimals. Pushes are excluded from the rate.
+ * @param {Object} counter - Counter with wins and losses
+ * @returns {number} - Win rate percentage (0 when there are no decided guesses)
+ */
+const calculateWinRate = (counter) => {
+  const decided = counter.wins + counter.losses;
+  return decided > 0 ? Math.round((counter.wins / decided) * 10000) / 100 : 0;
+};
+
+/**
+ * Format a win/loss/push counter for API responses
+ * @param {Object} counter - Counter with totalGuesses, wins, losses and pushes
+ * @returns {Object} - { totalGuesses, wins, losses, pushes, winRate }
+ */
+const formatCounter = (counter) => {
+  const formatted = { ...emptyCounter(), ...counter };
+  return {
+    totalGuesses: formatted.totalGuesses,
+    wins: formatted.wins,
+    losses: formatted.losses,
+    pushes: formatted.pushes,
+    winRate: calculateWinRate(formatted)
+  };
+};
+
+/**
+ * Format a player's stats for API responses
+ * @param {Object|undefined} stats - Lifetime stats from the player item
+ * @param {Array<Object>} dailyItems - Daily period items, latest first
+ * @param {Array<Object>} weeklyItems - Weekly period items, latest first
+ * @returns {Object} - Stats response data
+ */
+const formatPlayerStats = (stats, dailyItems, weeklyItems) => {
+  const current = { ...createEmptyStats(), ...stats };
+  const averageMove = (total, count) => (count > 0 ? Math.round((total / count) * 100) / 100 : null);
+
+  return {
+    ...formatCounter(current),
+    byDirection: {
+      [GUESS_DIRECTION.UP]: formatCounter(current.byDirection[GUESS_DIRECTION.UP]),
+      [GUESS_DIRECTION.DOWN]: formatCounter(current.byDirection[GUESS_DIRECTION.DOWN])
+    },
+    currentStreak: current.currentStreak,
+    longestStreak: current.longestStreak,
+    averagePriceMovePercent: {
+      wins: averageMove(current.winPriceMovePercentTotal, current.wins),
+      losses: averageMove(current.lossPriceMovePercentTotal, current.losses)
+    },
+    daily: dailyItems.map((item) => ({
+      date: item.period.slice(PLAYER_STATS.DAILY_PREFIX.length),
+      ...formatCounter(item)
+    })),
+    weekly: weeklyItems.map((item) => ({
+      week: item.period.slice(PLAYER_STATS.WEEKLY_PREFIX.length),
+      ...formatCounter(item)
+    }))
+  };
+};
+
+module.exports = {
+  createEmptyStats,
+  applyResolutionToStats,
+  getIsoWeek,
+  getStatsPeriods,
+  calculateWinRate,
+  formatPlayerStats
+};
@@ -0,0 +1,85 @@
+const { createEmptyStats, applyResolutionToStats, calculateWinRate, getIsoWeek, getStatsPeriods, formatPlayerStats } = require('./stats');
+const { GUESS_STATUS } = require('../config/constants');
+
+const upGuess = { direction: 'up', currentPrice: 100 };
+const downGuess = { direction: 'down', currentPrice: 100 };
+const targetGuess = { guessType: 'target', targetCondition: 'above', targetPrice: 105, currentPrice: 100 };
+
+describe('applyResolutionToStats', () => {
+  it('counts a win overall and for its direction and starts a streak', () => {
+    const stats = applyResolutionToStats(undefined, upGuess, GUESS_STATUS.WON, 110);
+
+    expect(stats).toMatchObject({ totalGuesses: 1, wins: 1, losses: 0, pushes: 0, currentStreak: 1, longestStreak: 1, winPriceMovePercentTotal: 10 });
+    expect(stats.byDirection.up).toEqual({ totalGuesses: 1, wins: 1, losses: 0, pushes: 0 });
+    expect(stats.byDirection.down).toEqual({ totalGuesses: 0, wins: 0, losses: 0, pushes: 0 });
+  });
+
+  it('breaks the streak on a loss but keeps the longest streak', () => {
+    let stats = applyResolutionToStats(undefined, upGuess, GUESS_STATUS.WON, 101);
+    stats = applyResolutionToStats(stats, upGuess, GUESS_STATUS.WON, 102);
+    stats = applyResolutionToStats(stats, downGuess, GUESS_STATUS.LOST, 104);
+
+    expect(stats).toMatchObject({ totalGuesses: 3, wins: 2, losses: 1, currentStreak: 0, longestStreak: 2, winPriceMovePercentTotal: 3, lossPriceMovePercentTotal: 4 });
+    expect(stats.byDirection.down.losses).toBe(1);
+  });
+
+  it('counts a push without extending or breaking the streak', () => {
+    let stats = applyResolutionToStats(undefined, upGuess, GUESS_STATUS.WON, 101);
+    stats = applyResolutionToStats(stats, upGuess, GUESS_STATUS.PUSH, 100);
+
+    expect(stats).toMatchObject({ totalGuesses: 2, wins: 1, pushes: 1, currentStreak: 1, longestStreak: 1 });
+  });
+
+  it('adds price moves as a percentage of the entry price', () => {
+    let stats = applyResolutionToStats(undefined, { ...upGuess, currentPrice: 60000 }, GUESS_STATUS.WON, 61200);
+    stats = applyResolutionToStats(stats, { ...upGuess, currentPrice: 20 }, GUESS_STATUS.WON, 20.5);
+
+    expect(stats.winPriceMovePercentTotal).toBeCloseTo(4.5);
+  });
+
+  it('counts guesses without a direction overall only', () => {
+    const stats = applyResolutionToStats(createEmptyStats(), targetGuess, GUESS_STATUS.WON, 106);
+
+    expect(stats.wins).toBe(1);
+    expect(stats.byDirection).toEqual(createEmptyStats().byDirection);
+  });
+});
+
+describe('calculateWinRate', () => {
+  it('returns the share of decided guesses that were won with 2 decimals', () => {
+    expect(calculateWinRate({ wins: 2, losses: 1 })).toBe(66.67);
+  });
+
+  it('excludes pushes', () => {
+    expect(calculateWinRate({ wins: 1, losses: 1, pushes: 8 })).toBe(50);
+  });
+
+  it('returns 0 when no guess was decided', () => {
+    expect(calculateWinRate({ wins: 0, losses: 0, pushes: 3 })).toBe(0);
+  });
+});
+
+describe('getIsoWeek', () => {
+  it('assigns days to the ISO week of their Thursday', () => {
+    expect(getIsoWeek(new Date('2024-01-01T00:00:00Z'))).toBe('2024-W01');
+    expect(getIsoWeek(new Date('2021-01-03T12:00:00Z'))).toBe('2020-W53');
+    expect(getIsoWeek(new Date('2024-12-30T00:00:00Z'))).toBe('2025-W01');
+  });
+});
+
+describe('getStatsPeriods', () => {
+  it('returns the daily and weekly period keys in UTC', () => {
+    expect(getStatsPeriods('2024-06-01T23:59:59.999Z')).toEqual(['DAY#2024-06-01', 'WEEK#2024-W22']);
+  });
+});
+
+describe('formatPlayerStats', () => {
+  it('formats counters with win rates and average percent price moves', () => {
+    const stats = applyResolutionToStats(applyResolutionToStats(undefined, upGuess, GUESS_STATUS.WON, 110), downGuess, GUESS_STATUS.LOST, 103);
+    const formatted = formatPlayerStats(stats, [{ period: 'DAY#2024-06-01', totalGuesses: 2, wins: 1, losses: 1, pushes: 0 }], []);
+
+    expect(formatted).toMatchObject({ totalGuesses: 2, wins: 1, losses: 1, winRate: 50, averagePriceMovePercent: { wins: 10, losses: 3 } });
+    expect(formatted.daily).toEqual([{ date: '2024-06-01', totalGuesses: 2, wins: 1, losses: 1, pushes: 0, winRate: 50 }]);
+    expect(formatted.weekly).toEqual([]);
+  });
+});
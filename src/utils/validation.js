@@ -1,4 +1,21 @@
-const { VALIDATION_RULES, GUESS_DIRECTION } = require('../config/constants');
+const {
+  VALIDATION_RULES,
+  GUESS_DIRECTION,
+  GUESS_TYPES,
+  TARGET_CONDITIONS,
+  PREDICTION_RULES,
+  GUESS_STATUS,
+  GUESS_TIMEFRAMES,
+  ASSETS,
+  CURRENCIES,
+  PRICE_HISTORY,
+  LEADERBOARD,
+  GUESS_HISTORY,
+  ERROR_MESSAGES,
+  ERROR_CODES
+} = require('../config/constants');
+const { decodeCursor } = require('./pagination');
+const { isValidLeaderboardCursor } = require('./leaderboard');
 
 /**
  * Validate player name
@@ -94,6 +111,215 @@ const validateGuessDirection = (direction) => {
   };
 };
 
+/**
+ * Check that a value is a positive finite number
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for numbers greater than 0
+ */
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Validate the prediction of a guess request for its guess type
+ * @param {Object} body - Request body with an optional type (default: GUESS_TYPES.DIRECTION) and its fields
+ * @returns {Object} - Validation result with isValid, error, and prediction (the guess attributes to store)
+ */
+const validateGuessPrediction = (body) => {
+  const guessType = body.type === undefined || body.type === null
+    ? GUESS_TYPES.DIRECTION
+    : String(body.type).toLowerCase().trim();
+
+  switch (guessType) {
+    case GUESS_TYPES.DIRECTION: {
+      const directionValidation = validateGuessDirection(body.direction);
+      if (!directionValidation.isValid) {
+        return directionValidation;
+      }
+      return {
+        isValid: true,
+        prediction: { guessType, direction: directionValidation.normalizedDirection }
+      };
+    }
+
+    case GUESS_TYPES.TARGET: {
+      const condition = typeof body.condition === 'string' ? body.condition.toLowerCase().trim() : '';
+      if (!Object.values(TARGET_CONDITIONS).includes(condition)) {
+        return {
+          isValid: false,
+          error: `Condition must be either "${TARGET_CONDITIONS.ABOVE}" or "${TARGET_CONDITIONS.BELOW}"`
+        };
+      }
+      if (!isPositiveNumber(body.targetPrice)) {
+        return {
+          isValid: false,
+          error: 'targetPrice must be a positive number'
+        };
+      }
+      return {
+        isValid: true,
+        prediction: { guessType, targetCondition: condition, targetPrice: body.targetPrice }
+      };
+    }
+
+    case GUESS_TYPES.RANGE:
+      if (!isPositiveNumber(body.rangeLow) || !isPositiveNumber(body.rangeHigh) || body.rangeLow >= body.rangeHigh) {
+        return {
+          isValid: false,
+          error: 'rangeLow and rangeHigh must be positive numbers with rangeLow below rangeHigh'
+        };
+      }
+      return {
+        isValid: true,
+        prediction: { guessType, rangeLow: body.rangeLow, rangeHigh: body.rangeHigh }
+      };
+
+    case GUESS_TYPES.PERCENT_MOVE:
+      if (typeof body.predictedChangePercent !== 'number' || !Number.isFinite(body.predictedChangePercent) ||
+          Math.abs(body.predictedChangePercent) > PREDICTION_RULES.MAX_CHANGE_PERCENT) {
+        return {
+          isValid: false,
+          error: `predictedChangePercent must be a number between -${PREDICTION_RULES.MAX_CHANGE_PERCENT} and ${PREDICTION_RULES.MAX_CHANGE_PERCENT}`
+        };
+      }
+      return {
+        isValid: true,
+        prediction: { guessType, predictedChangePercent: body.predictedChangePercent }
+      };
+
+    default:
+      return {
+        isValid: false,
+        error: `Type must be one of: ${Object.values(GUESS_TYPES).join(', ')}`
+      };
+  }
+};
+
+/**
+ * Validate a prediction against the entry price, rejecting predictions that are already decided.
+ * Target prices must lie on the predicted side of the entry price. Range buckets may span at most
+ * PREDICTION_RULES.MAX_RANGE_WIDTH_PERCENT of it and must not contain it: a narrow bucket around
+ * the entry price would win almost every time on short timeframes.
+ * @param {Object} prediction - Prediction returned by validateGuessPrediction
+ * @param {number} entryPrice - Bitcoin price the guess would be made at
+ * @returns {Object} - Validation result with isValid, error and code properties
+ */
+const validatePredictionAgainstPrice = (prediction, entryPrice) => {
+  if (prediction.guessType === GUESS_TYPES.TARGET) {
+    const isAbove = prediction.targetCondition === TARGET_CONDITIONS.ABOVE;
+    if (isAbove ? prediction.targetPrice <= entryPrice : prediction.targetPrice >= entryPrice) {
+      return {
+        isValid: false,
+        error: `targetPrice must be ${isAbove ? 'above' : 'below'} the current price of ${entryPrice}`,
+        code: ERROR_CODES.INVALID_PREDICTION
+      };
+    }
+  }
+
+  if (prediction.guessType === GUESS_TYPES.RANGE) {
+    if (prediction.rangeLow <= entryPrice && entryPrice < prediction.rangeHigh) {
+      return {
+        isValid: false,
+        error: `Range must not contain the current price of ${entryPrice}`,
+        code: ERROR_CODES.INVALID_PREDICTION
+      };
+    }
+
+    const maxWidth = entryPrice * PREDICTION_RULES.MAX_RANGE_WIDTH_PERCENT / 100;
+    if (prediction.rangeHigh - prediction.rangeLow > maxWidth) {
+      return {
+        isValid: false,
+        error: `Range must not be wider than ${maxWidth} (${PREDICTION_RULES.MAX_RANGE_WIDTH_PERCENT}% of the current price)`,
+        code: ERROR_CODES.INVALID_PREDICTION
+      };
+    }
+  }
+
+  return {
+    isValid: true
+  };
+};
+
+/**
+ * Validate a guess timeframe against the configured catalogue
+ * @param {string} timeframe - Timeframe to validate (optional, defaults to GUESS_TIMEFRAMES.DEFAULT)
+ * @returns {Object} - Validation result with isValid, error, and normalizedTimeframe
+ */
+const validateGuessTimeframe = (timeframe) => {
+  if (timeframe === undefined || timeframe === null) {
+    return {
+      isValid: true,
+      normalizedTimeframe: GUESS_TIMEFRAMES.DEFAULT
+    };
+  }
+
+  const normalizedTimeframe = typeof timeframe === 'string' ? timeframe.toLowerCase().trim() : '';
+  if (!GUESS_TIMEFRAMES.CATALOGUE[normalizedTimeframe]) {
+    return {
+      isValid: false,
+      error: `Timeframe must be one of: ${Object.keys(GUESS_TIMEFRAMES.CATALOGUE).join(', ')}`
+    };
+  }
+
+  return {
+    isValid: true,
+    normalizedTimeframe
+  };
+};
+
+/**
+ * Validate an asset against the configured asset catalogue
+ * @param {string} asset - Asset to validate (optional, defaults to ASSETS.DEFAULT)
+ * @returns {Object} - Validation result with isValid, error, and normalizedAsset
+ */
+const validateAsset = (asset) => {
+  if (asset === undefined || asset === null) {
+    return {
+      isValid: true,
+      normalizedAsset: ASSETS.DEFAULT
+    };
+  }
+
+  const normalizedAsset = typeof asset === 'string' ? asset.toUpperCase().trim() : '';
+  if (!ASSETS.CATALOGUE[normalizedAsset]) {
+    return {
+      isValid: false,
+      error: `Asset must be one of: ${Object.keys(ASSETS.CATALOGUE).join(', ')}`
+    };
+  }
+
+  return {
+    isValid: true,
+    normalizedAsset
+  };
+};
+
+/**
+ * Validate a quote currency against the supported currencies
+ * @param {string} currency - Currency to validate (optional)
+ * @param {string|null} defaultCurrency - Currency used when none is given (default: CURRENCIES.DEFAULT)
+ * @returns {Object} - Validation result with isValid, error, and normalizedCurrency
+ */
+const validateCurrency = (currency, defaultCurrency = CURRENCIES.DEFAULT) => {
+  if (currency === undefined || currency === null) {
+    return {
+      isValid: true,
+      normalizedCurrency: defaultCurrency
+    };
+  }
+
+  const normalizedCurrency = typeof currency === 'string' ? currency.toUpperCase().trim() : '';
+  if (!CURRENCIES.SUPPORTED.includes(normalizedCurrency)) {
+    return {
+      isValid: false,
+      error: `Currency must be one of: ${CURRENCIES.SUPPORTED.join(', ')}`
+    };
+  }
+
+  return {
+    isValid: true,
+    normalizedCurrency
+  };
+};
+
 /**
  * Validate make guess request body
  * @param {Object} body - Request body to validate
@@ -122,17 +348,344 @@ const validateMakeGuessRequest = (body) => {
     };
   }
 
-  // Validate direction
-  const directionValidation = validateGuessDirection(body.direction);
-  if (!directionValidation.isValid) {
-    return directionValidation;
+  // Validate the prediction of the guess type (up/down by default)
+  const predictionValidation = validateGuessPrediction(body);
+  if (!predictionValidation.isValid) {
+    return predictionValidation;
+  }
+  const { prediction } = predictionValidation;
+
+  // Validate asset
+  const assetValidation = validateAsset(body.asset);
+  if (!assetValidation.isValid) {
+    return assetValidation;
+  }
+
+  // Validate currency (optional; the handler falls back to the player's currency)
+  const currencyValidation = validateCurrency(body.currency, null);
+  if (!currencyValidation.isValid) {
+    return currencyValidation;
+  }
+
+  // Validate timeframe
+  const timeframeValidation = validateGuessTimeframe(body.timeframe);
+  if (!timeframeValidation.isValid) {
+    return timeframeValidation;
+  }
+
+  // Validate stake (optional); limits depending on the player's score are checked by the handler
+  if (body.stake !== undefined && body.stake !== null && (!Number.isInteger(body.stake) || body.stake < 1)) {
+    return {
+      isValid: false,
+      error: 'Stake must be a positive integer'
+    };
+  }
+
+  // Percent-move guesses are scored by accuracy, which has no fixed amount to wager
+  if (body.stake && prediction.guessType === GUESS_TYPES.PERCENT_MOVE) {
+    return {
+      isValid: false,
+      error: ERROR_MESSAGES.STAKE_NOT_SUPPORTED
+    };
   }
 
   return {
     isValid: true,
     validatedData: {
       userId: body.userId,
-      direction: directionValidation.normalizedDirection
+      asset: assetValidation.normalizedAsset,
+      currency: currencyValidation.normalizedCurrency,
+      prediction,
+      timeframe: timeframeValidation.normalizedTimeframe,
+      stake: body.stake || null
+    }
+  };
+};
+
+/**
+ * Validate a password against the length rules
+ * @param {string} password - Password to validate
+ * @returns {Object} - Validation result with isValid and error properties
+ */
+const validatePassword = (password) => {
+  const rules = VALIDATION_RULES.PASSWORD;
+
+  if (typeof password !== 'string' || password.length < rules.MIN_LENGTH || password.length > rules.MAX_LENGTH) {
+    return {
+      isValid: false,
+      error: `Password must be ${rules.MIN_LENGTH}-${rules.MAX_LENGTH} characters long`
+    };
+  }
+
+  return {
+    isValid: true
+  };
+};
+
+/**
+ * Validate an account registration request
+ * @param {Object} body - Request body ({ email, username, password })
+ * @returns {Object} - Validation result with isValid, error, and validated data (email lowercased)
+ */
+const validateAccountRegistration = (body) => {
+  if (!body || typeof body !== 'object') {
+    return {
+      isValid: false,
+      error: 'Request body is required'
+    };
+  }
+
+  if (!body.email && !body.username) {
+    return {
+      isValid: false,
+      error: 'email or username is required'
+    };
+  }
+
+  let email = null;
+  if (body.email) {
+    email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+    if (email.length > VALIDATION_RULES.EMAIL.MAX_LENGTH || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return {
+        isValid: false,
+        error: 'Invalid email format'
+      };
+    }
+  }
+
+  let username = null;
+  if (body.username) {
+    username = typeof body.username === 'string' ? body.username.trim() : '';
+    const rules = VALIDATION_RULES.USERNAME;
+    if (username.length < rules.MIN_LENGTH || username.length > rules.MAX_LENGTH || !rules.PATTERN.test(username)) {
+      return {
+        isValid: false,
+        error: `Username must be ${rules.MIN_LENGTH}-${rules.MAX_LENGTH} characters of letters, digits, ".", "_" or "-"`
+      };
+    }
+  }
+
+  const passwordValidation = validatePassword(body.password);
+  if (!passwordValidation.isValid) {
+    return passwordValidation;
+  }
+
+  return {
+    isValid: true,
+    validatedData: {
+      email,
+      username,
+      password: body.password
+    }
+  };
+};
+
+/**
+ * Largest distance from the epoch a JavaScript Date can represent, in milliseconds
+ */
+const MAX_DATE_MS = 8.64e15;
+
+/**
+ * Parse a timestamp given as epoch milliseconds or an ISO 8601 string
+ * @param {string|number} value - Timestamp to parse
+ * @returns {number|null} - Epoch milliseconds or null if invalid or outside the range of Date
+ */
+const parseTimestamp = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const timestamp = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return Number.isFinite(timestamp) && Math.abs(timestamp) <= MAX_DATE_MS ? timestamp : null;
+};
+
+/**
+ * Validate price history query parameters
+ * @param {Object} query - Query string parameters ({ asset, currency, from, to, interval })
+ * @returns {Object} - Validation result with isValid, error, and validated data
+ */
+const validatePriceHistoryQuery = (query) => {
+  const params = query || {};
+
+  const assetValidation = validateAsset(params.asset);
+  if (!assetValidation.isValid) {
+    return assetValidation;
+  }
+
+  const currencyValidation = validateCurrency(params.currency);
+  if (!currencyValidation.isValid) {
+    return currencyValidation;
+  }
+
+  const interval = params.interval || PRICE_HISTORY.RAW_INTERVAL;
+  const isRaw = interval === PRICE_HISTORY.RAW_INTERVAL;
+  if (!isRaw && !PRICE_HISTORY.INTERVALS[interval]) {
+    return {
+      isValid: false,
+      error: `interval must be one of: ${[PRICE_HISTORY.RAW_INTERVAL, ...Object.keys(PRICE_HISTORY.INTERVALS)].join(', ')}`
+    };
+  }
+
+  const to = params.to !== undefined ? parseTimestamp(params.to) : Date.now();
+  if (to === null) {
+    return {
+      isValid: false,
+      error: 'Invalid "to" timestamp'
+    };
+  }
+
+  const from = params.from !== undefined ? parseTimestamp(params.from) : to - PRICE_HISTORY.DEFAULT_RANGE;
+  if (from === null) {
+    return {
+      isValid: false,
+      error: 'Invalid "from" timestamp'
+    };
+  }
+
+  if (from > to) {
+    return {
+      isValid: false,
+      error: '"from" must be before "to"'
+    };
+  }
+
+  const maxRange = isRaw ? PRICE_HISTORY.MAX_RAW_RANGE : PRICE_HISTORY.MAX_CANDLE_RANGE;
+  if (to - from > maxRange) {
+    return {
+      isValid: false,
+      error: `Time range must not exceed ${maxRange / 3600000} hours for interval "${interval}"`
+    };
+  }
+
+  return {
+    isValid: true,
+    validatedData: {
+      asset: assetValidation.normalizedAsset,
+      currency: currencyValidation.normalizedCurrency,
+      from,
+      to,
+      interval
+    }
+  };
+};
+
+/**
+ * Parse a page size query parameter
+ * @param {string|number} value - Requested limit
+ * @param {number} defaultLimit - Limit used when none is given
+ * @param {number} maxLimit - Largest allowed limit
+ * @returns {number|null} - Page size or null if invalid
+ */
+const parseLimit = (value, defaultLimit, maxLimit) => {
+  if (value === undefined || value === null || value === '') {
+    return defaultLimit;
+  }
+
+  const limit = /^\d+$/.test(String(value)) ? Number(value) : NaN;
+  return limit >= 1 && limit <= maxLimit ? limit : null;
+};
+
+/**
+ * Validate leaderboard query parameters
+ * @param {Object} query - Query string parameters ({ limit, cursor })
+ * @returns {Object} - Validation result with isValid, error, code and validated data
+ */
+const validateLeaderboardQuery = (query) => {
+  const params = query || {};
+
+  const limit = parseLimit(params.limit, LEADERBOARD.DEFAULT_LIMIT, LEADERBOARD.MAX_LIMIT);
+  if (limit === null) {
+    return {
+      isValid: false,
+      error: `limit must be an integer between 1 and ${LEADERBOARD.MAX_LIMIT}`,
+      code: ERROR_CODES.VALIDATION_ERROR
+    };
+  }
+
+  let exclusiveStartKey = null;
+  if (params.cursor) {
+    exclusiveStartKey = decodeCursor(params.cursor);
+    if (!exclusiveStartKey || !isValidLeaderboardCursor(exclusiveStartKey)) {
+      return {
+        isValid: false,
+        error: 'Invalid cursor',
+        code: ERROR_CODES.INVALID_CURSOR
+      };
+    }
+  }
+
+  return {
+    isValid: true,
+    validatedData: {
+      limit,
+      exclusiveStartKey
+    }
+  };
+};
+
+/**
+ * Validate guess history query parameters
+ * @param {Object} query - Query string parameters ({ limit, cursor, status, direction, from, to })
+ * @param {string} playerId - Player whose history is requested; cursors of other players are rejected
+ * @returns {Object} - Validation result with isValid, error, code and validated data
+ */
+const validateGuessHistoryQuery = (query, playerId) => {
+  const params = query || {};
+  const invalid = (error, code = ERROR_CODES.VALIDATION_ERROR) => ({ isValid: false, error, code });
+
+  const limit = parseLimit(params.limit, GUESS_HISTORY.DEFAULT_LIMIT, GUESS_HISTORY.MAX_LIMIT);
+  if (limit === null) {
+    return invalid(`limit must be an integer between 1 and ${GUESS_HISTORY.MAX_LIMIT}`);
+  }
+
+  let exclusiveStartKey = null;
+  if (params.cursor) {
+    exclusiveStartKey = decodeCursor(params.cursor);
+    if (!exclusiveStartKey || exclusiveStartKey.playerId !== playerId) {
+      return invalid('Invalid cursor', ERROR_CODES.INVALID_CURSOR);
+    }
+  }
+
+  let status = null;
+  if (params.status) {
+    status = String(params.status).toUpperCase();
+    if (!Object.values(GUESS_STATUS).includes(status)) {
+      return invalid(`status must be one of: ${Object.values(GUESS_STATUS).join(', ')}`);
+    }
+  }
+
+  let direction = null;
+  if (params.direction) {
+    const directionValidation = validateGuessDirection(params.direction);
+    if (!directionValidation.isValid) {
+      return invalid(directionValidation.error);
+    }
+    direction = directionValidation.normalizedDirection;
+  }
+
+  const from = params.from !== undefined ? parseTimestamp(params.from) : null;
+  if (params.from !== undefined && from === null) {
+    return invalid('Invalid "from" timestamp');
+  }
+
+  const to = params.to !== undefined ? parseTimestamp(params.to) : null;
+  if (params.to !== undefined && to === null) {
+    return invalid('Invalid "to" timestamp');
+  }
+
+  if (from !== null && to !== null && from > to) {
+    return invalid('"from" must be before "to"');
+  }
+
+  return {
+    isValid: true,
+    validatedData: {
+      limit,
+      exclusiveStartKey,
+      status,
+      direction,
+      from: from !== null ? new Date(from).toISOString() : null,
+      to: to !== null ? new Date(to).toISOString() : null
     }
   };
 };
@@ -141,5 +694,17 @@ module.exports = {
   validatePlayerName,
   isValidUUID,
   validateGuessDirection,
-  validateMakeGuessRequest
+  validateGuessPrediction,
+  validatePredictionAgainstPrice,
+  validateGuessTimeframe,
+  validateAsset,
+  validateCurrency,
+  validateMakeGuessRequest,
+  validatePassword,
+  validateAccountRegistration,
+  parseTimestamp,
+  validatePriceHistoryQuery,
+  parseLimit,
+  validateLeaderboardQuery,
+  validateGuessHistoryQuery
 };
@@ -0,0 +1,239 @@
+const {
+  validatePlayerName,
+  isValidUUID,
+  validateGuessPrediction,
+  validatePredictionAgainstPrice,
+  validateGuessTimeframe,
+  validateAsset,
+  validateCurrency,
+  validateMakeGuessRequest,
+  validatePassword,
+  validateAccountRegistration,
+  parseTimestamp,
+  validatePriceHistoryQuery,
+  parseLimit,
+  validateLeaderboardQuery,
+  validateGuessHistoryQuery
+} = require('./validation');
+const { encodeCursor } = require('./pagination');
+const { ERROR_CODES, ERROR_MESSAGES, GUESS_HISTORY, LEADERBOARD } = require('../config/constants');
+
+const playerId = '3b241101-e2bb-4255-8caf-4136c566a962';
+
+describe('validatePlayerName', () => {
+  it('accepts and trims a valid name', () => {
+    expect(validatePlayerName('  alice ')).toEqual({ isValid: true, trimmedName: 'alice' });
+  });
+
+  it.each([
+    [undefined, 'Name is required'],
+    [42, 'Name must be a string'],
+    ['   ', 'Name cannot be empty'],
+    ['a', 'Name must be at least 2 characters long'],
+    ['a'.repeat(51), 'Name must be less than 50 characters long']
+  ])('rejects %p', (name, error) => {
+    expect(validatePlayerName(name)).toEqual({ isValid: false, error });
+  });
+});
+
+describe('isValidUUID', () => {
+  it('accepts version 1-5 UUIDs', () => {
+    expect(isValidUUID(playerId)).toBe(true);
+  });
+
+  it('rejects malformed IDs', () => {
+    expect(isValidUUID('not-a-uuid')).toBe(false);
+    expect(isValidUUID('3b241101-e2bb-0255-8caf-4136c566a962')).toBe(false);
+  });
+});
+
+describe('validateGuessPrediction', () => {
+  it('defaults to a direction guess and normalizes the direction', () => {
+    expect(validateGuessPrediction({ direction: ' UP ' })).toEqual({
+      isValid: true,
+      prediction: { guessType: 'direction', direction: 'up' }
+    });
+  });
+
+  it('validates target guesses', () => {
+    expect(validateGuessPrediction({ type: 'target', condition: 'Above', targetPrice: 70000 })).toEqual({
+      isValid: true,
+      prediction: { guessType: 'target', targetCondition: 'above', targetPrice: 70000 }
+    });
+    expect(validateGuessPrediction({ type: 'target', condition: 'sideways', targetPrice: 70000 }).isValid).toBe(false);
+    expect(validateGuessPrediction({ type: 'target', condition: 'below', targetPrice: -1 }).isValid).toBe(false);
+  });
+
+  it('validates range guesses', () => {
+    expect(validateGuessPrediction({ type: 'range', rangeLow: 100, rangeHigh: 101 }).prediction)
+      .toEqual({ guessType: 'range', rangeLow: 100, rangeHigh: 101 });
+    expect(validateGuessPrediction({ type: 'range', rangeLow: 101, rangeHigh: 100 }).isValid).toBe(false);
+    expect(validateGuessPrediction({ type: 'range', rangeLow: '100', rangeHigh: 101 }).isValid).toBe(false);
+  });
+
+  it('validates percent-move guesses', () => {
+    expect(validateGuessPrediction({ type: 'percent', predictedChangePercent: -1.5 }).prediction)
+      .toEqual({ guessType: 'percent', predictedChangePercent: -1.5 });
+    expect(validateGuessPrediction({ type: 'percent', predictedChangePercent: 51 }).isValid).toBe(false);
+    expect(validateGuessPrediction({ type: 'percent' }).isValid).toBe(false);
+  });
+
+  it('rejects unknown types', () => {
+    expect(validateGuessPrediction({ type: 'lottery' }).error).toBe('Type must be one of: direction, target, range, percent');
+  });
+});
+
+describe('validatePredictionAgainstPrice', () => {
+  it('requires targets on the predicted side of the entry price', () => {
+    expect(validatePredictionAgainstPrice({ guessType: 'target', targetCondition: 'above', targetPrice: 101 }, 100).isValid).toBe(true);
+    expect(validatePredictionAgainstPrice({ guessType: 'target', targetCondition: 'above', targetPrice: 100 }, 100))
+      .toMatchObject({ isValid: false, code: ERROR_CODES.INVALID_PREDICTION });
+    expect(validatePredictionAgainstPrice({ guessType: 'target', targetCondition: 'below', targetPrice: 101 }, 100).isValid).toBe(false);
+  });
+
+  it('limits the width of ranges', () => {
+    expect(validatePredictionAgainstPrice({ guessType: 'range', rangeLow: 100.2, rangeHigh: 100.9 }, 100).isValid).toBe(true);
+    expect(validatePredictionAgainstPrice({ guessType: 'range', rangeLow: 98.5, rangeHigh: 99.5 }, 100).isValid).toBe(true);
+    expect(validatePredictionAgainstPrice({ guessType: 'range', rangeLow: 100.2, rangeHigh: 101.5 }, 100))
+      .toMatchObject({ isValid: false, code: ERROR_CODES.INVALID_PREDICTION });
+  });
+
+  it('rejects ranges that contain the entry price', () => {
+    expect(validatePredictionAgainstPrice({ guessType: 'range', rangeLow: 99.5, rangeHigh: 100.5 }, 100))
+      .toMatchObject({ isValid: false, code: ERROR_CODES.INVALID_PREDICTION });
+    expect(validatePredictionAgainstPrice({ guessType: 'range', rangeLow: 100, rangeHigh: 100.5 }, 100).isValid).toBe(false);
+    expect(validatePredictionAgainstPrice({ guessType: 'range', rangeLow: 99.5, rangeHigh: 100 }, 100).isValid).toBe(true);
+  });
+
+  it('accepts direction and percent-move predictions at any price', () => {
+    expect(validatePredictionAgainstPrice({ guessType: 'direction', direction: 'up' }, 100).isValid).toBe(true);
+    expect(validatePredictionAgainstPrice({ guessType: 'percent', predictedChangePercent: 0 }, 100).isValid).toBe(true);
+  });
+});
+
+describe('catalogue validators', () => {
+  it('defaults and normalizes timeframes, assets and currencies', () => {
+    expect(validateGuessTimeframe(undefined)).toEqual({ isValid: true, normalizedTimeframe: '1m' });
+    expect(validateGuessTimeframe(' 1H ')).toEqual({ isValid: true, normalizedTimeframe: '1h' });
+    expect(validateAsset('eth')).toEqual({ isValid: true, normalizedAsset: 'ETH' });
+    expect(validateCurrency(undefined, 'GBP')).toEqual({ isValid: true, normalizedCurrency: 'GBP' });
+    expect(validateCurrency('eur')).toEqual({ isValid: true, normalizedCurrency: 'EUR' });
+  });
+
+  it('rejects values outside the catalogue', () => {
+    expect(validateGuessTimeframe('2m').isValid).toBe(false);
+    expect(validateAsset('DOGE').isValid).toBe(false);
+    expect(validateCurrency('JPY').isValid).toBe(false);
+  });
+});
+
+describe('validateMakeGuessRequest', () => {
+  it('returns the validated guess request with defaults', () => {
+    expect(validateMakeGuessRequest({ userId: playerId, direction: 'down' })).toEqual({
+      isValid: true,
+      validatedData: {
+        userId: playerId,
+        asset: 'BTC',
+        currency: null,
+        prediction: { guessType: 'direction', direction: 'down' },
+        timeframe: '1m',
+        stake: null
+      }
+    });
+  });
+
+  it('requires a valid userId', () => {
+    expect(validateMakeGuessRequest({ direction: 'up' }).error).toBe('userId is required');
+    expect(validateMakeGuessRequest({ userId: 'abc', direction: 'up' }).error).toBe('Invalid userId format');
+  });
+
+  it('requires stakes to be positive integers', () => {
+    expect(validateMakeGuessRequest({ userId: playerId, direction: 'up', stake: 3 }).validatedData.stake).toBe(3);
+    expect(validateMakeGuessRequest({ userId: playerId, direction: 'up', stake: 1.5 }).isValid).toBe(false);
+    expect(validateMakeGuessRequest({ userId: playerId, direction: 'up', stake: 0 }).isValid).toBe(false);
+  });
+
+  it('rejects stakes on percent-move guesses', () => {
+    expect(validateMakeGuessRequest({ userId: playerId, type: 'percent', predictedChangePercent: 1, stake: 2 }))
+      .toEqual({ isValid: false, error: ERROR_MESSAGES.STAKE_NOT_SUPPORTED });
+  });
+});
+
+describe('account validators', () => {
+  it('enforces the password length', () => {
+    expect(validatePassword('12345678').isValid).toBe(true);
+    expect(validatePassword('1234567').isValid).toBe(false);
+    expect(validatePassword(12345678).isValid).toBe(false);
+  });
+
+  it('validates registrations and lowercases the email', () => {
+    expect(validateAccountRegistration({ email: ' Alice@Example.com ', password: 'correct horse' })).toEqual({
+      isValid: true,
+      validatedData: { email: 'alice@example.com', username: null, password: 'correct horse' }
+    });
+    expect(validateAccountRegistration({ password: 'correct horse' }).error).toBe('email or username is required');
+    expect(validateAccountRegistration({ email: 'alice', password: 'correct horse' }).error).toBe('Invalid email format');
+    expect(validateAccountRegistration({ username: 'a b', password: 'correct horse' }).isValid).toBe(false);
+  });
+});
+
+describe('query validators', () => {
+  it('parses timestamps given as epoch milliseconds or ISO 8601', () => {
+    expect(parseTimestamp('1717243200000')).toBe(1717243200000);
+    expect(parseTimestamp('2024-06-01T12:00:00Z')).toBe(1717243200000);
+    expect(parseTimestamp('yesterday')).toBeNull();
+    expect(parseTimestamp(undefined)).toBeNull();
+  });
+
+  it('rejects timestamps outside the range of Date', () => {
+    expect(parseTimestamp('8640000000000000')).toBe(8.64e15);
+    expect(parseTimestamp('99999999999999999')).toBeNull();
+    expect(validateGuessHistoryQuery({ from: '99999999999999999' }, playerId)).toEqual({
+      isValid: false,
+      error: 'Invalid "from" timestamp',
+      code: ERROR_CODES.VALIDATION_ERROR
+    });
+  });
+
+  it('parses limits within bounds', () => {
+    expect(parseLimit(undefined, 20, 100)).toBe(20);
+    expect(parseLimit('50', 20, 100)).toBe(50);
+    expect(parseLimit('101', 20, 100)).toBeNull();
+    expect(parseLimit('0', 20, 100)).toBeNull();
+    expect(parseLimit('1.5', 20, 100)).toBeNull();
+  });
+
+  it('validates price history ranges', () => {
+    expect(validatePriceHistoryQuery({ from: '1000', to: '2000', interval: '1m' }).validatedData)
+      .toEqual({ asset: 'BTC', currency: 'USD', from: 1000, to: 2000, interval: '1m' });
+    expect(validatePriceHistoryQuery({ from: '2000', to: '1000' }).error).toBe('"from" must be before "to"');
+    expect(validatePriceHistoryQuery({ interval: '7m' }).isValid).toBe(false);
+  });
+
+  it('validates leaderboard pages', () => {
+    expect(validateLeaderboardQuery({}).validatedData).toEqual({ limit: LEADERBOARD.DEFAULT_LIMIT, exclusiveStartKey: null });
+    expect(validateLeaderboardQuery({ cursor: '%%%' })).toMatchObject({ isValid: false, code: ERROR_CODES.INVALID_CURSOR });
+    expect(validateLeaderboardQuery({ cursor: encodeCursor({ OTHER: null }) })).toMatchObject({ isValid: false, code: ERROR_CODES.INVALID_CURSOR });
+    expect(validateLeaderboardQuery({ cursor: encodeCursor({ [LEADERBOARD.PARTITION]: null }) }).isValid).toBe(true);
+  });
+
+  it('validates guess history filters', () => {
+    const cursor = encodeCursor({ guessId: 'g', playerId, createdAt: '2024-06-01T12:00:00.000Z' });
+
+    expect(validateGuessHistoryQuery({ cursor, status: 'won', direction: 'UP', from: '0' }, playerId).validatedData).toEqual({
+      limit: GUESS_HISTORY.DEFAULT_LIMIT,
+      exclusiveStartKey: { guessId: 'g', playerId, createdAt: '2024-06-01T12:00:00.000Z' },
+      status: 'WON',
+      direction: 'up',
+      from: '1970-01-01T00:00:00.000Z',
+      to: null
+    });
+    expect(validateGuessHistoryQuery({ status: 'maybe' }, playerId).isValid).toBe(false);
+  });
+
+  it('rejects guess history cursors of other players', () => {
+    const cursor = encodeCursor({ guessId: 'g', playerId: 'someone-else', createdAt: '2024-06-01T12:00:00.000Z' });
+
+    expect(validateGuessHistoryQuery({ cursor }, playerId)).toMatchObject({ isValid: false, code: ERROR_CODES.INVALID_CURSOR });
+  });
+});